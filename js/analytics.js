@@ -2,7 +2,9 @@
  * UPSC Pro - Analytics Module
  * Tracks study progress, streaks, and completion statistics
  * 
- * Data stored in localStorage (simple, survives page refreshes)
+ * Data stored in localStorage (simple, survives page refreshes).
+ * Streaks and study days come from tracked study time (StudyTimer);
+ * app visits only count for days before tracking started.
  */
 
 const Analytics = {
@@ -10,28 +12,16 @@ const Analytics = {
 
     // Default data structure
     defaultData: {
-        currentStreak: 0,
-        longestStreak: 0,
-        lastVisitDate: null,
-        totalDaysStudied: 0,
         visitHistory: {}, // { '2026-01-07': true, '2026-01-06': true }
-        lecturesCompleted: 0
+        lecturesCompleted: 0,
+        trackingSince: null // First day of study-time tracking (local date)
     },
 
     /**
-     * Get today's date as string (YYYY-MM-DD)
+     * Get today's local date as string (YYYY-MM-DD)
      */
     today() {
-        return new Date().toISOString().split('T')[0];
-    },
-
-    /**
-     * Get yesterday's date as string
-     */
-    yesterday() {
-        const d = new Date();
-        d.setDate(d.getDate() - 1);
-        return d.toISOString().split('T')[0];
+        return Revision.dateKey();
     },
 
     /**
@@ -66,7 +56,11 @@ const Analytics = {
     recordVisit() {
         const data = this.load();
         const today = this.today();
-        const yesterday = this.yesterday();
+
+        if (!data.trackingSince) {
+            data.trackingSince = today;
+            this.save(data);
+        }
 
         // Already visited today? Don't count again
         if (data.visitHistory[today]) {
@@ -76,28 +70,9 @@ const Analytics = {
 
         // Mark today as visited
         data.visitHistory[today] = true;
-        data.totalDaysStudied++;
-
-        // Calculate streak
-        if (data.lastVisitDate === yesterday) {
-            // Consecutive day - increase streak
-            data.currentStreak++;
-        } else if (data.lastVisitDate === today) {
-            // Same day, no change
-        } else {
-            // Streak broken - reset to 1
-            data.currentStreak = 1;
-        }
-
-        // Update longest streak
-        if (data.currentStreak > data.longestStreak) {
-            data.longestStreak = data.currentStreak;
-        }
-
-        data.lastVisitDate = today;
 
         this.save(data);
-        console.log('[Analytics] Visit recorded. Streak:', data.currentStreak);
+        console.log('[Analytics] Visit recorded:', today);
         return data;
     },
 
@@ -113,23 +88,63 @@ const Analytics = {
     },
 
     /**
-     * Get current stats for display
+     * Check whether a day counts as studied
+     * @param {string} date - 'YYYY-MM-DD'
+     * @param {Object} dayTotals - Tracked seconds per date (StudyTimer.getDayTotals)
+     * @param {Object} data - Stored analytics data
+     */
+    isStudyDay(date, dayTotals, data) {
+        if (data.trackingSince && date < data.trackingSince) {
+            return !!data.visitHistory[date];
+        }
+        return (dayTotals[date] || 0) >= StudyTimer.MIN_DAY_SECONDS;
+    },
+
+    /**
+     * Streaks and study days from tracked time
+     * (today not studied yet doesn't break the current streak)
+     * @param {Object} dayTotals - Tracked seconds per date
      */
-    getStats() {
+    getStudyStats(dayTotals) {
         const data = this.load();
+        const dates = new Set([...Object.keys(data.visitHistory), ...Object.keys(dayTotals)]);
+        const studied = [...dates].filter(date => this.isStudyDay(date, dayTotals, data)).sort();
+        const studiedSet = new Set(studied);
+
+        const nextDay = (date) => {
+            const [y, m, d] = date.split('-').map(Number);
+            return Revision.dateKey(new Date(y, m - 1, d + 1));
+        };
+
+        let longestStreak = 0;
+        let run = 0;
+        studied.forEach((date, i) => {
+            run = i > 0 && nextDay(studied[i - 1]) === date ? run + 1 : 1;
+            longestStreak = Math.max(longestStreak, run);
+        });
+
+        let currentStreak = 0;
+        const day = new Date();
+        if (!studiedSet.has(Revision.dateKey(day))) day.setDate(day.getDate() - 1);
+        while (studiedSet.has(Revision.dateKey(day))) {
+            currentStreak++;
+            day.setDate(day.getDate() - 1);
+        }
+
         return {
-            currentStreak: data.currentStreak,
-            longestStreak: data.longestStreak,
-            totalDays: data.totalDaysStudied,
-            lecturesCompleted: data.lecturesCompleted,
-            visitHistory: data.visitHistory
+            currentStreak,
+            longestStreak,
+            totalDays: studied.length
         };
     },
 
     /**
-     * Get visit history for last N days (for calendar)
+     * Get study history for last N days (for calendar and charts)
+     * @param {number} days
+     * @param {Object} dayTotals - Tracked seconds per date
+     * @returns {Array} [{ date, visited, seconds }] oldest first
      */
-    getRecentHistory(days = 30) {
+    getRecentHistory(days = 30, dayTotals = {}) {
         const data = this.load();
         const history = [];
         const today = new Date();
@@ -137,16 +152,65 @@ const Analytics = {
         for (let i = 0; i < days; i++) {
             const d = new Date(today);
             d.setDate(d.getDate() - i);
-            const dateStr = d.toISOString().split('T')[0];
+            const dateStr = Revision.dateKey(d);
             history.push({
                 date: dateStr,
-                visited: !!data.visitHistory[dateStr]
+                visited: this.isStudyDay(dateStr, dayTotals, data),
+                seconds: dayTotals[dateStr] || 0
             });
         }
 
         return history.reverse(); // Oldest first
     },
 
+    /**
+     * Tracked seconds per week (weeks start on Monday)
+     * @param {Object} dayTotals - Tracked seconds per date
+     * @param {number} weeks - Number of weeks, including this one
+     * @returns {Array} [{ start, seconds }] oldest first
+     */
+    getWeeklyTotals(dayTotals, weeks = 8) {
+        const monday = new Date();
+        monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+
+        const result = [];
+        for (let w = 0; w < weeks; w++) {
+            const start = new Date(monday);
+            start.setDate(start.getDate() - w * 7);
+
+            let seconds = 0;
+            for (let i = 0; i < 7; i++) {
+                const d = new Date(start);
+                d.setDate(d.getDate() + i);
+                seconds += dayTotals[Revision.dateKey(d)] || 0;
+            }
+            result.push({ start: Revision.dateKey(start), seconds });
+        }
+
+        return result.reverse();
+    },
+
+    /**
+     * Lectures completed per day over the last N days
+     * (a shorter window while completion history is young, but at least 7 days)
+     * @param {Array} lectures - Lecture records (completedAt)
+     * @param {number} days - Window length
+     * @returns {{ rate: number, days: number, completed: number }}
+     */
+    getCompletionRate(lectures, days = 30) {
+        const dates = lectures
+            .filter(l => l.completed && l.completedAt)
+            .map(l => Revision.dateKey(new Date(l.completedAt)));
+        if (dates.length === 0) return { rate: 0, days, completed: 0 };
+
+        const earliest = dates.reduce((min, date) => date < min ? date : min);
+        const span = Math.min(days, Math.max(7, 1 - Revision.daysUntil(earliest)));
+        const since = Revision.daysFromToday(1 - span);
+        const completed = dates.filter(date => date >= since).length;
+
+        return { rate: completed / span, days: span, completed };
+    },
+
     /**
      * Get stats for display on home page
      */
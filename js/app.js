@@ -15,26 +15,39 @@ const App = {
             // Initialize database and state
             await AppState.init();
 
-            // Initialize file system (try to restore saved folder)
+            // Initialize file system (try to restore saved library folders)
             if (FileSystem.isSupported()) {
                 const restored = await FileSystem.init();
 
-                // Auto-sync if master folder is configured
+                // Auto-sync if any library folder is connected
                 // This keeps DB in sync with file system (source of truth)
                 if (restored && FileSystem.hasMasterFolder()) {
                     console.log('Starting background sync...');
                     // Optimized: Backup sync
+                    // Never removes anything: missing items wait for a reviewed "Sync Now"
                     FileSystem.syncToDatabase().then(result => {
                         console.log('Background sync complete');
-                        // Refresh to show any new/deleted files
+                        if (result.pending > 0) {
+                            KeyboardShortcuts.showToast(`${result.pending} item(s) missing from disk. Use Sync Now to review.`);
+                        } else if (result.newPaperFolders.length > 0) {
+                            KeyboardShortcuts.showToast(`New folder(s) found: ${result.newPaperFolders.join(', ')}. Use Sync Now to add them as papers.`);
+                        }
+                        // Refresh to show any new/renamed files
                         App.render();
+
+                        // Pick up later changes without "Sync Now"
+                        FolderWatcher.start();
                     });
                 }
             }
 
+            // Drop trash entries past their retention period
+            Trash.purgeExpired().catch(err => console.error('[Trash] Purge error:', err));
+
             // Initialize components
             Sidebar.init();
             Modal.init();
+            SearchBox.init();
             this.setupFullScreenToggle();
 
             // Track daily visit for streaks
@@ -142,9 +155,21 @@ const App = {
         await Breadcrumb.render();
 
         // Render appropriate content based on navigation state
-        const { paper, provider, course } = AppState.currentView;
-
-        if (course) {
+        const { paper, provider, course, screen } = AppState.currentView;
+
+        if (screen === 'trash') {
+            await TrashView.render();
+        } else if (screen === 'papers') {
+            await PaperManager.render();
+        } else if (screen === 'flashcards') {
+            await FlashcardReview.render();
+        } else if (screen === 'syllabus') {
+            await SyllabusMap.render();
+        } else if (screen === 'collection') {
+            await LectureList.renderCollection();
+        } else if (screen === 'playlist') {
+            await PlaylistView.render();
+        } else if (course) {
             await LectureList.render();
         } else if (provider) {
             await CourseList.render();
@@ -175,24 +200,43 @@ const App = {
             return;
         }
 
-        if (FileSystem.hasMasterFolder()) {
-            // Show current folder
+        if (FileSystem.roots.length > 0) {
+            // Show library folders
             const banner = Utils.createElement('div', { className: 'setup-banner' }, [
                 Utils.createElement('div', { className: 'setup-banner-content' }, [
                     Utils.createElement('div', { className: 'setup-banner-title' },
-                        '📁 Master Folder Connected'
+                        FileSystem.roots.length === 1 ? '📁 Library Folder' : '📁 Library Folders'
                     ),
-                    Utils.createElement('div', { className: 'setup-banner-folder' },
-                        FileSystem.getMasterFolderName()
+                    Utils.createElement('div', { className: 'root-list' },
+                        FileSystem.roots.map(root => this.createRootItem(root))
                     )
                 ]),
-                Utils.createElement('button', {
-                    className: 'btn btn-secondary',
-                    onClick: async () => {
-                        await FileSystem.syncToDatabase();
-                        await this.render();
-                    }
-                }, 'Sync Now')
+                Utils.createElement('div', { className: 'setup-banner-actions' }, [
+                    Utils.createElement('button', {
+                        className: 'btn btn-secondary',
+                        title: 'Add another folder (e.g., on an external drive)',
+                        onClick: async () => await this.addLibraryFolder()
+                    }, [
+                        Utils.createElement('i', { className: 'ph-duotone ph-folder-plus' }),
+                        Utils.createElement('span', {}, 'Add Folder')
+                    ]),
+                    Utils.createElement('button', {
+                        className: 'btn btn-secondary',
+                        title: 'Items removed by sync (restorable for 30 days)',
+                        onClick: async () => {
+                            AppState.openScreen('trash');
+                            await this.render();
+                        }
+                    }, [
+                        Utils.createElement('i', { className: 'ph-duotone ph-trash' }),
+                        Utils.createElement('span', {}, 'Trash')
+                    ]),
+                    Utils.createElement('button', {
+                        className: 'btn btn-secondary',
+                        ...(FileSystem.hasMasterFolder() ? {} : { disabled: 'disabled' }),
+                        onClick: async () => await this.runSync()
+                    }, 'Sync Now')
+                ])
             ]);
             container.appendChild(banner);
         } else {
@@ -210,19 +254,128 @@ const App = {
                 ]),
                 Utils.createElement('button', {
                     className: 'btn btn-primary',
-                    onClick: async () => {
-                        const handle = await FileSystem.selectMasterFolder();
-                        if (handle) {
-                            await FileSystem.syncToDatabase();
-                            await this.render();
-                        }
-                    }
+                    onClick: async () => await this.addLibraryFolder()
                 }, 'Select Folder')
             ]);
             container.appendChild(banner);
         }
     },
 
+    /**
+     * Create a library folder row (name, status, reconnect/remove)
+     * @param {Object} root - FileSystem root
+     */
+    createRootItem(root) {
+        return Utils.createElement('div', { className: `root-item ${root.connected ? '' : 'disconnected'}`.trim() }, [
+            Utils.createElement('i', { className: `ph-duotone ${root.connected ? 'ph-folder' : 'ph-folder-dashed'}` }),
+            Utils.createElement('span', { className: 'root-item-name' }, root.name),
+            root.connected
+                ? Utils.createElement('span', { className: 'root-item-status' }, 'Connected')
+                : Utils.createElement('button', {
+                    className: 'btn btn-secondary btn-sm',
+                    title: 'Grant access again (e.g., after plugging the drive back in)',
+                    onClick: async () => {
+                        try {
+                            if (await FileSystem.reconnectRoot(root.id)) {
+                                await this.runSync();
+                                FolderWatcher.start();
+                            }
+                        } catch (err) {
+                            console.error('[App] Reconnect error:', err);
+                            alert('Could not reconnect folder: ' + err.message);
+                        }
+                    }
+                }, 'Reconnect'),
+            Utils.createElement('button', {
+                className: 'lecture-action-btn delete',
+                title: 'Remove from library',
+                onClick: async () => await this.confirmRemoveRoot(root)
+            }, [Utils.createElement('i', { className: 'ph-duotone ph-x' })])
+        ]);
+    },
+
+    /**
+     * Pick a folder, add it as a library root and sync
+     */
+    async addLibraryFolder() {
+        try {
+            const root = await FileSystem.addRoot();
+            if (!root) return;
+
+            await this.runSync();
+            FolderWatcher.start();
+        } catch (err) {
+            console.error('[App] Add folder error:', err);
+            alert('Could not add folder: ' + err.message);
+        }
+    },
+
+    /**
+     * Unregister a library root after confirmation
+     * Files on disk are untouched; its courses go through the sync preview.
+     */
+    async confirmRemoveRoot(root) {
+        const confirmed = await Dialog.open({
+            title: 'Remove Folder?',
+            body: Utils.createElement('p', {},
+                `"${root.name}" will no longer be part of the library. Files on disk are not touched; ` +
+                'its courses can be moved to Trash on the next sync.'
+            ),
+            actions: [
+                { label: 'Cancel', value: false },
+                { label: 'Remove', value: true, className: 'btn btn-primary' }
+            ]
+        });
+        if (!confirmed) return;
+
+        await FileSystem.removeRoot(root.id);
+        FolderWatcher.start();
+
+        if (FileSystem.hasMasterFolder()) {
+            await this.runSync();
+        } else {
+            await this.render();
+        }
+    },
+
+    /**
+     * Preview a sync, let the user review it, then apply
+     * (nothing is removed without confirmation)
+     */
+    async runSync() {
+        // Don't let a background resync run between preview and apply
+        FolderWatcher.pause();
+
+        try {
+            let plan = await FileSystem.previewSync();
+
+            // Unmatched top-level folders: add as papers first, then rescan
+            if (plan.newPaperFolders.length > 0 && await PaperManager.offerNewPapers(plan.newPaperFolders)) {
+                plan = await FileSystem.previewSync();
+            }
+
+            if (!FileSystem.hasChanges(plan)) {
+                // Still refresh folder paths, fingerprints and order
+                await FileSystem.syncToDatabase({ plan });
+                await this.render();
+                KeyboardShortcuts.showToast('Sync: Everything up to date');
+                return;
+            }
+
+            const choice = await SyncPreview.open(plan);
+            if (!choice) return;
+
+            const result = await FileSystem.syncToDatabase({ plan, confirmDeletes: choice === 'all' });
+            await this.render();
+            KeyboardShortcuts.showToast(`Sync: ${FileSystem.describeSyncResult(result)}`);
+        } catch (err) {
+            console.error('[App] Sync error:', err);
+            alert('Sync failed: ' + err.message);
+        } finally {
+            FolderWatcher.resume();
+        }
+    },
+
     /**
      * Render home screen
      */
@@ -234,9 +387,18 @@ const App = {
         // Note: renderSetupBanner appends to container. We pass fragment.
         this.renderSetupBanner(fragment);
 
+        // Days to Prelims/Mains and coverage projection
+        await ExamCountdown.render(fragment);
+
         // Analytics Dashboard (always visible on home)
         await AnalyticsDashboard.render(fragment);
 
+        // Revisions due today (once any lecture is completed)
+        await RevisionQueue.render(fragment);
+
+        // Today's targets from course plans
+        await StudyPlanner.render(fragment);
+
         // Recently Played section
         const hasRecent = await this.renderRecentlyPlayed(fragment);
 
@@ -326,7 +488,7 @@ const App = {
             }, [
                 Utils.createElement('div', { className: 'recent-tile-icon' }, [
                     Utils.createElement('i', {
-                        className: lecture.type === 'video' ? 'ph-duotone ph-video' : 'ph-duotone ph-file-text'
+                        className: FileSystem.getTypeIcon(lecture.type)
                     })
                 ]),
                 Utils.createElement('div', { className: 'recent-tile-content' }, [
@@ -0,0 +1,183 @@
+/**
+ * UPSC Study Desk - Smart Collections
+ * Saved lecture filters that cut across papers, providers and courses
+ *
+ * Query syntax (case-insensitive):
+ *   tag:weak            lecture has a tag containing "weak" (quote values
+ *                       with spaces: tag:"weak area")
+ *   paper:GS3           paper name or ID
+ *   course:polity       course name contains
+ *   type:pdf            lecture type (video, audio, pdf, image, document)
+ *   topic:gs2-polity    syllabus topic (or any topic below it)
+ *   completed / due     completed, or due for revision today
+ *   anything else       title contains
+ * Terms are ANDed ("AND" may be written out); NOT or a leading "-"
+ * negates the next term; OR separates alternatives:
+ *   tag:weak AND paper:GS3 AND NOT completed
+ *   tag:rewatch OR tag:"pyq-linked" -completed
+ */
+
+const Collections = {
+    // Fields accepted before ":"
+    FIELDS: ['tag', 'paper', 'course', 'type', 'topic'],
+
+    // Terms without a field
+    KEYWORDS: ['completed', 'due'],
+
+    /**
+     * Parse a query
+     * @param {string} query
+     * @returns {Array} Alternatives (OR), each a list of terms (AND):
+     *   [[{ field, value, negate }]]
+     * @throws {Error} On an empty query or unknown field
+     */
+    parse(query) {
+        const tokens = (query || '').match(/(?:[^\s"]+|"[^"]*")+/g) || [];
+        const groups = [[]];
+        let negate = false;
+
+        for (let token of tokens) {
+            const upper = token.toUpperCase();
+            if (upper === 'AND') continue;
+            if (upper === 'OR') {
+                if (groups[groups.length - 1].length > 0) groups.push([]);
+                continue;
+            }
+            if (upper === 'NOT') {
+                negate = !negate;
+                continue;
+            }
+            if (token.startsWith('-') && token.length > 1) {
+                negate = !negate;
+                token = token.slice(1);
+            }
+
+            const colon = token.indexOf(':');
+            let field = colon > 0 ? token.slice(0, colon).toLowerCase() : null;
+            let value = (colon > 0 ? token.slice(colon + 1) : token).replace(/"/g, '').trim().toLowerCase();
+
+            if (field && !this.FIELDS.includes(field)) {
+                throw new Error(`Unknown filter "${field}:". Use ${this.FIELDS.map(f => f + ':').join(', ')}.`);
+            }
+            if (!field && this.KEYWORDS.includes(value)) {
+                field = value;
+                value = '';
+            } else if (!field) {
+                field = 'title';
+            }
+            if (!value && !this.KEYWORDS.includes(field)) {
+                throw new Error(`Missing value for "${field}:".`);
+            }
+
+            groups[groups.length - 1].push({ field, value, negate });
+            negate = false;
+        }
+
+        const terms = groups.filter(group => group.length > 0);
+        if (terms.length === 0) throw new Error('The filter is empty.');
+        return terms;
+    },
+
+    /**
+     * Check whether a lecture matches a single term
+     * @param {Object} term
+     * @param {Object} entry - { lecture, course, paper }
+     */
+    matchTerm(term, { lecture, course, paper }) {
+        const { value } = term;
+
+        switch (term.field) {
+            case 'tag':
+                return (lecture.tags || []).some(tag => tag.toLowerCase().includes(value));
+            case 'paper':
+                return paper.id.toLowerCase() === value || paper.name.toLowerCase() === value;
+            case 'course':
+                return course.name.toLowerCase().includes(value);
+            case 'type':
+                return lecture.type === value;
+            case 'topic':
+                return (lecture.syllabusTopics || []).some(id => id === value || id.startsWith(`${value}-`));
+            case 'completed':
+                return Boolean(lecture.completed);
+            case 'due':
+                return Revision.isDue(lecture);
+            default:
+                return lecture.title.toLowerCase().includes(value);
+        }
+    },
+
+    /**
+     * Check whether a lecture matches a parsed query
+     * @param {Array} groups - Result of parse
+     * @param {Object} entry - { lecture, course, paper }
+     */
+    matches(groups, entry) {
+        return groups.some(terms => terms.every(term => this.matchTerm(term, entry) !== term.negate));
+    },
+
+    /**
+     * Lectures matching a collection's query
+     * (lectures in the trash are left out)
+     * @param {Object} collection - { query }
+     * @returns {Promise<Array>} [{ lecture, course, paper }] by paper, course and course order
+     * @throws {Error} If the query doesn't parse
+     */
+    async getLectures(collection) {
+        const groups = this.parse(collection.query);
+        const [lectures, courses, providers] = await Promise.all([
+            DB.getAll('lectures'),
+            DB.getAll('courses'),
+            DB.getAll('providers')
+        ]);
+        const courseById = new Map(courses.map(c => [c.id, c]));
+        const providerById = new Map(providers.map(p => [p.id, p]));
+
+        const result = [];
+        for (const lecture of lectures) {
+            const course = courseById.get(lecture.courseId);
+            const provider = course && providerById.get(course.providerId);
+            const paper = provider && AppState.getPaper(provider.paperId);
+            if (!paper) continue;
+
+            const entry = { lecture, course, paper };
+            if (this.matches(groups, entry)) result.push(entry);
+        }
+
+        return result.sort((a, b) =>
+            a.paper.orderIndex - b.paper.orderIndex ||
+            a.course.name.localeCompare(b.course.name, undefined, { numeric: true }) ||
+            (a.lecture.orderIndex || 0) - (b.lecture.orderIndex || 0)
+        );
+    },
+
+    /**
+     * All tags in use, most used first
+     * @returns {Promise<Array>} Tag names
+     */
+    async getAllTags() {
+        const counts = new Map();
+        for (const lecture of await DB.getAll('lectures')) {
+            (lecture.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+        }
+        return Array.from(counts.keys()).sort((a, b) => counts.get(b) - counts.get(a) || a.localeCompare(b));
+    },
+
+    /**
+     * Normalize a tag list: trimmed, no empties, no case-insensitive duplicates
+     * @param {Array} tags
+     */
+    cleanTags(tags) {
+        const seen = new Set();
+        return (tags || [])
+            .map(tag => tag.trim().replace(/\s+/g, ' '))
+            .filter(tag => {
+                const key = tag.toLowerCase();
+                if (!tag || seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+    }
+};
+
+// Make Collections globally available
+window.Collections = Collections;
@@ -9,9 +9,13 @@ const AnalyticsDashboard = {
      * @param {HTMLElement} container - Parent element to append to
      */
     async render(container) {
-        const stats = Analytics.getStats();
+        const dayTotals = await StudyTimer.getDayTotals();
+        const stats = Analytics.getStudyStats(dayTotals);
         const completedFromDB = await Analytics.getTotalCompletedFromDB();
-        const history = Analytics.getRecentHistory(30);
+        const history = Analytics.getRecentHistory(30, dayTotals);
+        const weeks = Analytics.getWeeklyTotals(dayTotals, 8);
+        const paperTotals = await StudyTimer.getPaperTotals(history[0].date);
+        const focusCounts = await FocusSession.getDayCounts();
 
         const dashboard = Utils.createElement('div', { className: 'analytics-dashboard' });
 
@@ -50,17 +54,49 @@ const AnalyticsDashboard = {
             'ph-duotone ph-trophy'
         );
 
+        // Study Time Cards
+        const todayCard = this.createStatCard(
+            'today',
+            StudyTimer.formatDuration(history[history.length - 1].seconds),
+            'Today',
+            'ph-duotone ph-timer'
+        );
+
+        const weekCard = this.createStatCard(
+            'week',
+            StudyTimer.formatDuration(weeks[weeks.length - 1].seconds),
+            'This Week',
+            'ph-duotone ph-clock'
+        );
+
         statsRow.appendChild(streakCard);
         statsRow.appendChild(completedCard);
         statsRow.appendChild(daysCard);
         statsRow.appendChild(longestCard);
+        statsRow.appendChild(todayCard);
+        statsRow.appendChild(weekCard);
 
         dashboard.appendChild(statsRow);
 
         // Activity Calendar (last 30 days)
-        const calendar = this.createCalendar(history);
+        const calendar = this.createCalendar(history, focusCounts);
         dashboard.appendChild(calendar);
 
+        // Hours per day, week and paper
+        dashboard.appendChild(Utils.createElement('div', { className: 'analytics-time-row' }, [
+            this.createBarChart('Last 14 Days', history.slice(-14).map(day => ({
+                label: day.date.slice(8),
+                title: day.date,
+                seconds: day.seconds
+            }))),
+            this.createBarChart('Last 8 Weeks', weeks.map(week => ({
+                label: week.start.slice(5).replace('-', '/'),
+                title: `Week of ${week.start}`,
+                seconds: week.seconds
+            }))),
+            this.createPaperBreakdown(paperTotals)
+        ]));
+
         container.appendChild(dashboard);
     },
 
@@ -81,26 +117,90 @@ const AnalyticsDashboard = {
 
     /**
      * Create activity calendar (GitHub-style)
+     * Days with completed focus sessions get a marker.
+     * @param {Array} history - Analytics.getRecentHistory
+     * @param {Object} focusCounts - Focus sessions per date
      */
-    createCalendar(history) {
+    createCalendar(history, focusCounts = {}) {
         const calendarSection = Utils.createElement('div', { className: 'analytics-calendar' });
 
-        const title = Utils.createElement('div', { className: 'calendar-title' }, 'Activity (Last 30 Days)');
+        const sessions = history.reduce((sum, day) => sum + (focusCounts[day.date] || 0), 0);
+        const title = Utils.createElement('div', { className: 'calendar-title' },
+            `Activity (Last 30 Days)${sessions > 0 ? ` · ${sessions} focus session${sessions === 1 ? '' : 's'}` : ''}`
+        );
         calendarSection.appendChild(title);
 
         const grid = Utils.createElement('div', { className: 'calendar-grid' });
 
         history.forEach(day => {
+            const focus = focusCounts[day.date] || 0;
+            const details = [
+                day.date,
+                day.seconds > 0 ? StudyTimer.formatDuration(day.seconds) : '',
+                focus > 0 ? `${focus} focus session${focus === 1 ? '' : 's'}` : ''
+            ].filter(Boolean).join(' · ');
+
             const cell = Utils.createElement('div', {
                 className: `calendar-cell ${day.visited ? 'active' : ''}`,
-                title: day.date
-            });
+                title: details
+            }, focus > 0 ? [Utils.createElement('span', { className: 'calendar-focus' }, String(focus))] : []);
             grid.appendChild(cell);
         });
 
         calendarSection.appendChild(grid);
 
         return calendarSection;
+    },
+
+    /**
+     * Create a bar chart of study time
+     * @param {string} title
+     * @param {Array} bars - [{ label, title, seconds }]
+     */
+    createBarChart(title, bars) {
+        const max = Math.max(...bars.map(bar => bar.seconds), 1);
+
+        return Utils.createElement('div', { className: 'analytics-chart' }, [
+            Utils.createElement('div', { className: 'calendar-title' }, title),
+            Utils.createElement('div', { className: 'chart-bars' }, bars.map(bar =>
+                Utils.createElement('div', {
+                    className: 'chart-bar',
+                    title: `${bar.title} · ${StudyTimer.formatDuration(bar.seconds)}`
+                }, [
+                    Utils.createElement('div', {
+                        className: 'chart-bar-fill',
+                        style: `height: ${Math.round((bar.seconds / max) * 100)}%`
+                    }),
+                    Utils.createElement('div', { className: 'chart-bar-label' }, bar.label)
+                ])
+            ))
+        ]);
+    },
+
+    /**
+     * Create the per-paper study time list (last 30 days)
+     * @param {Array} totals - [{ paper, seconds }]
+     */
+    createPaperBreakdown(totals) {
+        const max = Math.max(...totals.map(t => t.seconds), 1);
+
+        return Utils.createElement('div', { className: 'analytics-chart' }, [
+            Utils.createElement('div', { className: 'calendar-title' }, 'By Paper (30 Days)'),
+            totals.length === 0
+                ? Utils.createElement('div', { className: 'chart-empty' }, 'No study time tracked yet.')
+                : Utils.createElement('div', { className: 'paper-time-list' }, totals.map(({ paper, seconds }) =>
+                    Utils.createElement('div', { className: 'paper-time-item' }, [
+                        Utils.createElement('span', { className: 'paper-time-name' }, paper.name),
+                        Utils.createElement('div', { className: 'paper-time-bar' }, [
+                            Utils.createElement('div', {
+                                className: 'chart-bar-fill',
+                                style: `width: ${Math.round((seconds / max) * 100)}%`
+                            })
+                        ]),
+                        Utils.createElement('span', { className: 'paper-time-value' }, StudyTimer.formatDuration(seconds))
+                    ])
+                ))
+        ]);
     }
 };
 
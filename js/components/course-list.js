@@ -32,6 +32,7 @@ const CourseList = {
         for (const course of courses) {
             // Get real progress from lectures
             const progress = await AppState.getCourseProgress(course.id);
+            const resume = await this.getResumeLecture(course.id);
 
             const card = Utils.createElement('div', {
                 className: 'card',
@@ -43,6 +44,28 @@ const CourseList = {
                         progress.total === 1 ? '1 lecture' :
                             `${progress.total} lectures`
                 ),
+                this.createRootBadge(course),
+                Utils.createElement('div', { className: 'card-actions' }, [
+                    resume ? Utils.createElement('button', {
+                        className: 'btn btn-primary btn-sm',
+                        title: resume.title,
+                        onClick: async (e) => {
+                            e.stopPropagation();
+                            await StudyMode.enter(resume.id);
+                        }
+                    }, [
+                        Utils.createElement('i', { className: 'ph-duotone ph-play' }),
+                        Utils.createElement('span', {}, progress.completed > 0 || resume.lastOpenedAt ? ' Continue' : ' Start')
+                    ]) : '',
+                    Utils.createElement('button', {
+                        className: 'lecture-action-btn',
+                        title: 'Playback settings',
+                        onClick: async (e) => {
+                            e.stopPropagation();
+                            await this.promptSettings(course);
+                        }
+                    }, [Utils.createElement('i', { className: 'ph-duotone ph-gear-six' })])
+                ]),
                 Utils.createElement('div', { className: 'card-progress' }, [
                     Utils.createElement('div', { className: 'progress-bar' }, [
                         Utils.createElement('div', {
@@ -72,6 +95,115 @@ const CourseList = {
         container.appendChild(grid);
     },
 
+    /**
+     * Show which library folder a course lives on
+     * (only when there is more than one)
+     * @param {Object} course
+     * @returns {HTMLElement|string}
+     */
+    createRootBadge(course) {
+        if (FileSystem.roots.length < 2 || !course.rootId) return '';
+
+        const root = FileSystem.getRoot(course.rootId);
+        const connected = FileSystem.isRootConnected(course.rootId);
+
+        return Utils.createElement('div', {
+            className: `root-badge ${connected ? '' : 'disconnected'}`.trim(),
+            title: connected ? 'Library folder' : 'Library folder not connected'
+        }, [
+            Utils.createElement('i', { className: `ph-duotone ${connected ? 'ph-hard-drives' : 'ph-plugs'}` }),
+            Utils.createElement('span', {}, root ? root.name : 'Removed folder')
+        ]);
+    },
+
+    /**
+     * Lecture to pick a course up from: the last opened one if it isn't
+     * finished, else the next incomplete lecture after it
+     * @param {string} courseId
+     * @returns {Promise<Object|null>} Null if there's nothing left to study
+     */
+    async getResumeLecture(courseId) {
+        const lectures = await AppState.getLectures(courseId);
+        const last = lectures.reduce((latest, lecture) =>
+            lecture.lastOpenedAt && (!latest || lecture.lastOpenedAt > latest.lastOpenedAt) ? lecture : latest, null);
+        if (last && !last.completed) return last;
+
+        const start = last ? lectures.indexOf(last) + 1 : 0;
+        return lectures.slice(start).find(l => !l.completed) ||
+            lectures.slice(0, start).find(l => !l.completed) || null;
+    },
+
+    /**
+     * Edit a course's playback and auto-complete settings
+     * @param {Object} course
+     * @returns {Promise<boolean>} True if the settings were saved
+     */
+    async promptSettings(course) {
+        const settings = await CourseSettings.get(course.id);
+
+        const speedInput = Utils.createElement('select', { className: 'modal-input' },
+            CourseSettings.SPEEDS.map(speed => Utils.createElement('option', {
+                value: String(speed),
+                ...(speed === settings.speed ? { selected: 'selected' } : {})
+            }, speed === 1 ? 'Normal' : `${speed}x`))
+        );
+        const skipInput = (value) => Utils.createElement('input', {
+            className: 'modal-input',
+            type: 'number',
+            min: '0',
+            max: String(CourseSettings.MAX_SKIP),
+            value: String(value)
+        });
+        const introInput = skipInput(settings.skipIntro);
+        const outroInput = skipInput(settings.skipOutro);
+        const completeAtInput = Utils.createElement('input', {
+            className: 'modal-input',
+            type: 'number',
+            min: String(CourseSettings.MIN_COMPLETE_AT),
+            max: '100',
+            value: String(settings.completeAt)
+        });
+        const autoplayInput = Utils.createElement('input', {
+            type: 'checkbox',
+            ...(settings.autoplay ? { checked: 'checked' } : {})
+        });
+
+        const confirmed = await Dialog.open({
+            title: `Playback: ${course.name}`,
+            body: Utils.createElement('div', { className: 'focus-form' }, [
+                Utils.createElement('label', {}, [Utils.createElement('span', {}, 'Speed'), speedInput]),
+                Utils.createElement('label', {}, [Utils.createElement('span', {}, 'Skip intro (seconds)'), introInput]),
+                Utils.createElement('label', {}, [Utils.createElement('span', {}, 'Skip outro (seconds)'), outroInput]),
+                Utils.createElement('label', {}, [Utils.createElement('span', {}, 'Mark complete at (% watched/read)'), completeAtInput]),
+                Utils.createElement('label', { className: 'focus-form-check' }, [
+                    autoplayInput,
+                    Utils.createElement('span', {}, 'Play the next lecture automatically')
+                ])
+            ]),
+            actions: [
+                { label: 'Cancel', value: false },
+                { label: 'Save', value: true, className: 'btn btn-primary' }
+            ]
+        });
+        if (!confirmed) return false;
+
+        try {
+            await CourseSettings.save(course.id, {
+                speed: parseFloat(speedInput.value),
+                skipIntro: parseInt(introInput.value),
+                skipOutro: parseInt(outroInput.value),
+                autoplay: autoplayInput.checked,
+                completeAt: parseInt(completeAtInput.value)
+            });
+            KeyboardShortcuts.showToast('Playback settings saved');
+            return true;
+        } catch (err) {
+            console.error('[CourseSettings] Save error:', err);
+            alert('Failed to save playback settings: ' + err.message);
+            return false;
+        }
+    },
+
     /**
      * Handle course card click
      */
@@ -0,0 +1,80 @@
+/**
+ * UPSC Study Desk - Dialog Component
+ * Promise-based modal with custom body and buttons
+ * (the static Modal only handles single text input)
+ */
+
+const Dialog = {
+    /**
+     * Open a dialog
+     * @param {Object} options - { title, body, actions, className }
+     *   body: element(s) for the modal body, or a function (close) => element(s)
+     *     for bodies that close the dialog themselves (e.g., a picker)
+     *   actions: [{ label, value, className }] footer buttons, in order
+     * @returns {Promise<*>} Value of the clicked action, or null if dismissed
+     */
+    open(options = {}) {
+        const {
+            title = '',
+            body = [],
+            actions = [{ label: 'OK', value: true, className: 'btn btn-primary' }],
+            className = ''
+        } = options;
+
+        return new Promise(resolve => {
+            let overlay = null;
+
+            const close = (value) => {
+                document.removeEventListener('keydown', onKeydown, true);
+                overlay.classList.remove('active');
+                setTimeout(() => overlay.remove(), 200);
+                resolve(value);
+            };
+
+            const onKeydown = (e) => {
+                if (e.key === 'Escape') {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    close(null);
+                }
+            };
+
+            const buttons = actions.map(action => Utils.createElement('button', {
+                className: action.className || 'btn btn-secondary',
+                onClick: () => close(action.value)
+            }, action.label));
+
+            const content = typeof body === 'function' ? body(close) : body;
+
+            overlay = Utils.createElement('div', { className: 'modal-overlay' }, [
+                Utils.createElement('div', { className: `modal ${className}`.trim() }, [
+                    Utils.createElement('div', { className: 'modal-header' }, [
+                        Utils.createElement('h2', { className: 'modal-title' }, title),
+                        Utils.createElement('button', {
+                            className: 'modal-close',
+                            onClick: () => close(null)
+                        }, '×')
+                    ]),
+                    Utils.createElement('div', { className: 'modal-body' }, Array.isArray(content) ? content : [content]),
+                    Utils.createElement('div', { className: 'modal-footer' }, buttons)
+                ])
+            ]);
+
+            overlay.addEventListener('click', (e) => {
+                if (e.target === overlay) close(null);
+            });
+
+            document.body.appendChild(overlay);
+            document.addEventListener('keydown', onKeydown, true);
+
+            requestAnimationFrame(() => {
+                overlay.classList.add('active');
+                const primary = buttons[buttons.length - 1];
+                if (primary) primary.focus();
+            });
+        });
+    }
+};
+
+// Make Dialog globally available
+window.Dialog = Dialog;
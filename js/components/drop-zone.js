@@ -21,7 +21,7 @@ const DropZone = {
                 'Drop files here'
             ),
             Utils.createElement('div', { className: 'drop-zone-text' },
-                'Drag & drop .mp4, .mkv, .webm, or .pdf files'
+                'Drag & drop videos, audio, PDFs, images or documents'
             ),
             Utils.createElement('div', { className: 'drop-zone-or' }, '— or —'),
             Utils.createElement('button', {
@@ -140,16 +140,10 @@ const DropZone = {
             if ('showOpenFilePicker' in window) {
                 const handles = await window.showOpenFilePicker({
                     multiple: true,
-                    types: [
-                        {
-                            description: 'Video files',
-                            accept: { 'video/*': ['.mp4', '.mkv', '.webm'] }
-                        },
-                        {
-                            description: 'PDF files',
-                            accept: { 'application/pdf': ['.pdf'] }
-                        }
-                    ]
+                    types: Object.entries(FileSystem.supportedTypes).map(([type, extensions]) => ({
+                        description: `${FileSystem.typeInfo[type].label} files`,
+                        accept: { [FileSystem.typeInfo[type].mime]: extensions }
+                    }))
                 });
 
                 const files = await Promise.all(handles.map(h => h.getFile()));
@@ -159,7 +153,7 @@ const DropZone = {
                 const input = document.createElement('input');
                 input.type = 'file';
                 input.multiple = true;
-                input.accept = '.mp4,.mkv,.webm,.pdf';
+                input.accept = FileSystem.getSupportedExtensions().join(',');
 
                 input.onchange = async () => {
                     const files = Array.from(input.files);
@@ -196,10 +190,16 @@ const DropZone = {
             const provider = await AppState.getProvider(course.providerId);
             const paper = AppState.getPaper(provider.paperId);
 
-            // If master folder is configured, move files there
-            if (FileSystem.hasMasterFolder()) {
-                const folderPath = `${paper.name}/${provider.name}/${course.name}`;
-                const folder = await FileSystem.getOrCreateFolder(folderPath);
+            // If the course's library folder is connected, move files there
+            // (courses created in the app go to the first library folder)
+            if (FileSystem.isRootConnected(course.rootId)) {
+                if (!course.folderPath) {
+                    course.folderPath = `${paper.name}/${provider.name}/${course.name}`;
+                    course.rootId = FileSystem.getDefaultRoot().id;
+                    await DB.put('courses', course);
+                    AppState.invalidateCache();
+                }
+                const folder = await FileSystem.getOrCreateFolder(course.folderPath, course.rootId);
 
                 for (const file of files) {
                     const type = FileSystem.classifyFile(file.name);
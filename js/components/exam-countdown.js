@@ -0,0 +1,186 @@
+/**
+ * UPSC Study Desk - Exam Countdown Component
+ * Days to Prelims/Mains and per-paper coverage projection on the home screen
+ */
+
+const ExamCountdown = {
+    // Rendered section (replaced in place after the dates change)
+    sectionEl: null,
+
+    /**
+     * Render the countdown
+     * @param {HTMLElement} container - Parent element to append to
+     */
+    async render(container) {
+        this.sectionEl = await this.createSection();
+        container.appendChild(this.sectionEl);
+    },
+
+    /**
+     * Rebuild the section after the dates changed
+     */
+    async refresh() {
+        if (!this.sectionEl || !this.sectionEl.isConnected) return;
+
+        const section = await this.createSection();
+        this.sectionEl.replaceWith(section);
+        this.sectionEl = section;
+    },
+
+    /**
+     * Build the countdown section
+     * @returns {Promise<HTMLElement>}
+     */
+    async createSection() {
+        const dates = await Exams.getDates();
+        const upcoming = Exams.getUpcoming(dates);
+
+        const section = Utils.createElement('div', { className: 'recent-section exam-countdown' }, [
+            Utils.createElement('h3', { className: 'section-title' }, [
+                Utils.createElement('i', { className: 'ph-duotone ph-hourglass-medium' }),
+                Utils.createElement('span', {}, ' Exam Countdown'),
+                Utils.createElement('button', {
+                    className: 'lecture-action-btn',
+                    title: 'Set exam dates',
+                    onClick: async () => await this.promptDates()
+                }, [Utils.createElement('i', { className: 'ph ph-pencil-simple' })])
+            ])
+        ]);
+
+        if (upcoming.length === 0) {
+            const hasDates = Object.keys(Exams.EXAMS).some(key => dates[key]);
+            section.appendChild(Utils.createElement('p', { className: 'list-hint' }, [
+                Utils.createElement('span', {}, hasDates
+                    ? 'Your exam dates have passed. '
+                    : 'Set your Prelims and Mains dates to see a countdown and whether each paper will be covered in time. '),
+                Utils.createElement('button', {
+                    className: 'btn-link',
+                    onClick: async () => await this.promptDates()
+                }, 'Set exam dates')
+            ]));
+            return section;
+        }
+
+        section.appendChild(Utils.createElement('div', { className: 'exam-tiles' },
+            upcoming.map(exam => Utils.createElement('div', { className: 'exam-tile' }, [
+                Utils.createElement('i', { className: `${exam.icon} exam-tile-icon` }),
+                Utils.createElement('div', {}, [
+                    Utils.createElement('div', { className: 'exam-tile-days' },
+                        exam.daysLeft === 0 ? 'Today' : `${exam.daysLeft} day${exam.daysLeft === 1 ? '' : 's'}`
+                    ),
+                    Utils.createElement('div', { className: 'exam-tile-label' },
+                        `to ${exam.label} · ${Planner.formatDate(exam.date)}`
+                    )
+                ])
+            ]))
+        ));
+
+        const next = upcoming[0];
+        const projection = await Exams.getProjection(next);
+        if (projection.length > 0) {
+            section.appendChild(this.createProjection(next, projection));
+        }
+
+        return section;
+    },
+
+    /**
+     * Create the per-paper coverage projection
+     * @param {Object} exam - Next upcoming exam
+     * @param {Array} projection - Result of Exams.getProjection
+     */
+    createProjection(exam, projection) {
+        return Utils.createElement('div', { className: 'analytics-chart exam-projection' }, [
+            Utils.createElement('div', { className: 'calendar-title' },
+                `Syllabus coverage before ${exam.label} (pace over the last 30 days)`
+            ),
+            Utils.createElement('div', { className: 'paper-time-list' }, projection.map(entry => {
+                const done = entry.total - entry.remaining;
+                let detail;
+                if (entry.remaining === 0) {
+                    detail = 'All lectures done';
+                } else if (exam.daysLeft === 0) {
+                    detail = `${entry.remaining} left`;
+                } else {
+                    detail = [
+                        `${entry.remaining} left`,
+                        `need ${Exams.formatPace(entry.requiredPerDay)}`,
+                        entry.rate > 0
+                            ? `at ${Exams.formatPace(entry.rate)}: done ${Planner.formatDate(entry.projectedFinish)}`
+                            : 'no recent progress'
+                    ].join(' · ');
+                }
+
+                return Utils.createElement('div', {
+                    className: `paper-time-item exam-projection-item ${entry.onTrack ? 'on-track' : 'behind'}`,
+                    title: entry.onTrack ? `On track for ${exam.label}` : `Won't be finished before ${exam.label} at the current pace`
+                }, [
+                    Utils.createElement('span', { className: 'paper-time-name' }, entry.paper.name),
+                    Utils.createElement('div', { className: 'paper-time-bar' }, [
+                        Utils.createElement('div', {
+                            className: 'chart-bar-fill',
+                            style: `width: ${Math.round((done / entry.total) * 100)}%`
+                        })
+                    ]),
+                    Utils.createElement('span', { className: 'exam-projection-detail' }, [
+                        Utils.createElement('i', {
+                            className: entry.onTrack ? 'ph-duotone ph-check-circle' : 'ph-duotone ph-warning'
+                        }),
+                        Utils.createElement('span', {}, ` ${detail}`)
+                    ])
+                ]);
+            }))
+        ]);
+    },
+
+    /**
+     * Set or clear the exam dates
+     */
+    async promptDates() {
+        const dates = await Exams.getDates();
+        const inputs = {};
+
+        const rows = Object.entries(Exams.EXAMS).map(([key, exam]) => {
+            inputs[key] = Utils.createElement('input', {
+                className: 'modal-input',
+                type: 'date',
+                value: dates[key] || ''
+            });
+            return Utils.createElement('label', {}, [Utils.createElement('span', {}, exam.label), inputs[key]]);
+        });
+
+        const confirmed = await Dialog.open({
+            title: 'Exam Dates',
+            body: Utils.createElement('div', { className: 'focus-form' }, [
+                ...rows,
+                Utils.createElement('p', { className: 'list-hint' }, 'Leave a date empty to hide it.')
+            ]),
+            actions: [
+                { label: 'Cancel', value: false },
+                { label: 'Save', value: true, className: 'btn btn-primary' }
+            ]
+        });
+        if (!confirmed) return;
+
+        const value = {};
+        Object.keys(Exams.EXAMS).forEach(key => {
+            value[key] = inputs[key].value || null;
+        });
+
+        if (value.prelims && value.mains && value.mains < value.prelims) {
+            alert('Mains must be after Prelims.');
+            return;
+        }
+
+        try {
+            await Exams.saveDates(value);
+            await this.refresh();
+        } catch (err) {
+            console.error('[Exams] Save error:', err);
+            alert('Failed to save exam dates: ' + err.message);
+        }
+    }
+};
+
+// Make ExamCountdown globally available
+window.ExamCountdown = ExamCountdown;
@@ -24,6 +24,22 @@ const Export = {
 
 
 
+    /**
+     * Export flashcards as an Anki import file
+     * @param {Object} deck - Optional { paperId, courseId } filter
+     */
+    async exportFlashcardsCSV(deck = {}) {
+        await Flashcards.syncAll();
+        const entries = await Flashcards.getCards(deck);
+
+        if (entries.length === 0) {
+            alert('No flashcards yet. Add Q:/A: lines or {{c1::cloze}} deletions to your lecture notes.');
+            return;
+        }
+
+        this.downloadFile(Flashcards.toAnkiCSV(entries), 'upsc-flashcards.csv', 'text/csv');
+    },
+
     /**
      * Gather all data for export
      */
@@ -64,7 +80,11 @@ const Export = {
                             title: l.title,
                             type: l.type,
                             completed: l.completed,
-                            lastPosition: l.lastPosition
+                            lastPosition: l.lastPosition,
+                            watchedPercent: Math.round(AppState.getWatchedFraction(l) * 100),
+                            nextRevisionAt: l.nextRevisionAt || null,
+                            revisions: l.revisions || [],
+                            tags: l.tags || []
                         }))
                     };
 
@@ -87,7 +107,7 @@ const Export = {
      */
     convertToCSV(data) {
         const rows = [
-            ['Paper', 'Provider', 'Course', 'Lecture', 'Type', 'Completed', 'Last Position']
+            ['Paper', 'Provider', 'Course', 'Lecture', 'Type', 'Completed', 'Last Position', 'Watched %', 'Revisions', 'Next Revision']
         ];
 
         for (const paper of data.papers) {
@@ -101,7 +121,10 @@ const Export = {
                             lecture.title,
                             lecture.type,
                             lecture.completed ? 'Yes' : 'No',
-                            lecture.lastPosition || 0
+                            lecture.lastPosition || 0,
+                            lecture.watchedPercent,
+                            lecture.revisions.length,
+                            lecture.nextRevisionAt || ''
                         ]);
                     }
                 }
@@ -156,6 +179,12 @@ const Export = {
                     },
                     innerHTML: '<i class="ph ph-file-csv"></i> CSV Export'
                 }),
+                Utils.createElement('button', {
+                    className: 'btn btn-minimal btn-sm',
+                    title: 'Flashcards from your notes, for File > Import in Anki',
+                    onClick: async () => await this.exportFlashcardsCSV(),
+                    innerHTML: '<i class="ph ph-cards"></i> Anki Flashcards'
+                }),
 
             ])
         ]);
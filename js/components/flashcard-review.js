@@ -0,0 +1,280 @@
+/**
+ * UPSC Study Desk - Flashcard Review Component
+ * Deck list (all, per paper, per course) and the review session
+ */
+
+const FlashcardReview = {
+    // Active review session: { deck, queue, index, revealed, reviewed } or null
+    session: null,
+
+    /**
+     * Render the flashcards screen
+     */
+    async render() {
+        if (this.session) {
+            this.renderSession();
+        } else {
+            await this.renderDecks();
+        }
+    },
+
+    /**
+     * Render the deck list
+     */
+    async renderDecks() {
+        const container = Utils.$('content-area');
+        if (!container) return;
+
+        await Flashcards.syncAll();
+        const entries = await Flashcards.getCards();
+
+        const fragment = document.createDocumentFragment();
+        const allDue = entries.filter(e => Flashcards.isDue(e.card)).length;
+
+        fragment.appendChild(Utils.createElement('div', { className: 'content-header' }, [
+            Utils.createElement('h2', { className: 'content-title' }, 'Flashcards'),
+            entries.length > 0 ? Utils.createElement('button', {
+                className: 'btn btn-primary',
+                ...(allDue === 0 ? { disabled: 'disabled' } : {}),
+                onClick: async () => await this.start({ label: 'All Cards' })
+            }, `Review All (${allDue} due)`) : ''
+        ]));
+
+        fragment.appendChild(Utils.createElement('p', { className: 'list-hint' }, [
+            Utils.createElement('span', {}, 'Write cards in lecture notes as '),
+            Utils.createElement('code', {}, 'Q: question'),
+            Utils.createElement('span', {}, ' / '),
+            Utils.createElement('code', {}, 'A: answer'),
+            Utils.createElement('span', {}, ' lines, or as cloze deletions like '),
+            Utils.createElement('code', {}, '{{c1::Article 21}}'),
+            Utils.createElement('span', {}, '.')
+        ]));
+
+        if (entries.length === 0) {
+            fragment.appendChild(Utils.createElement('div', { className: 'empty-state' }, [
+                Utils.createElement('div', { className: 'empty-state-icon' }, [
+                    Utils.createElement('i', { className: 'ph-duotone ph-cards' })
+                ]),
+                Utils.createElement('div', { className: 'empty-state-text' }, 'No flashcards yet')
+            ]));
+        } else {
+            const list = Utils.createElement('div', { className: 'item-list' });
+            this.getDecks(entries).forEach(deck => list.appendChild(this.createDeckItem(deck)));
+            fragment.appendChild(list);
+        }
+
+        Utils.clearElement(container);
+        container.appendChild(fragment);
+    },
+
+    /**
+     * Group cards into paper decks, each followed by its course decks
+     * @param {Array} entries - Result of Flashcards.getCards (sorted by paper, course)
+     * @returns {Array} [{ label, paperId, courseId, icon, total, due }]
+     */
+    getDecks(entries) {
+        const decks = [];
+        const byKey = new Map();
+
+        const add = (key, deck, entry) => {
+            if (!byKey.has(key)) {
+                byKey.set(key, { ...deck, total: 0, due: 0 });
+                decks.push(byKey.get(key));
+            }
+            const target = byKey.get(key);
+            target.total++;
+            if (Flashcards.isDue(entry.card)) target.due++;
+        };
+
+        for (const entry of entries) {
+            const { paper, course } = entry;
+            add(paper.id, { label: paper.name, paperId: paper.id, icon: paper.icon }, entry);
+            add(course.id, { label: course.name, courseId: course.id, icon: 'ph-duotone ph-folder' }, entry);
+        }
+
+        return decks;
+    },
+
+    /**
+     * Create a deck row
+     */
+    createDeckItem(deck) {
+        const filter = deck.courseId ? { courseId: deck.courseId } : { paperId: deck.paperId };
+
+        return Utils.createElement('div', { className: `item-row${deck.courseId ? ' flashcard-deck-course' : ''}` }, [
+            Utils.createElement('i', { className: `${deck.icon} item-row-icon` }),
+            Utils.createElement('div', { className: 'item-row-content' }, [
+                Utils.createElement('div', { className: 'item-row-title' }, deck.label),
+                Utils.createElement('div', { className: 'item-row-meta' },
+                    `${deck.total} card${deck.total === 1 ? '' : 's'} · ${deck.due} due`
+                )
+            ]),
+            Utils.createElement('div', { className: 'lecture-actions' }, [
+                Utils.createElement('button', {
+                    className: 'lecture-action-btn',
+                    title: 'Export this deck for Anki',
+                    onClick: async () => await Export.exportFlashcardsCSV(filter)
+                }, [Utils.createElement('i', { className: 'ph ph-export' })]),
+                Utils.createElement('button', {
+                    className: 'btn btn-secondary btn-sm',
+                    ...(deck.due === 0 ? { disabled: 'disabled' } : {}),
+                    onClick: async () => await this.start({ label: deck.label, ...filter })
+                }, 'Review')
+            ])
+        ]);
+    },
+
+    /**
+     * Start reviewing the due cards of a deck
+     * @param {Object} deck - { label, paperId?, courseId? }
+     */
+    async start(deck) {
+        const entries = await Flashcards.getCards(deck);
+        const queue = entries.filter(e => Flashcards.isDue(e.card));
+        if (queue.length === 0) return;
+
+        this.session = { deck, queue, index: 0, revealed: false, reviewed: 0 };
+        this.renderSession();
+    },
+
+    /**
+     * End the session and go back to the deck list
+     */
+    async end() {
+        this.session = null;
+        await this.renderDecks();
+    },
+
+    /**
+     * Render the current card (or the end-of-session summary)
+     */
+    renderSession() {
+        const container = Utils.$('content-area');
+        if (!container) return;
+
+        const { deck, queue, index, revealed, reviewed } = this.session;
+        const fragment = document.createDocumentFragment();
+
+        fragment.appendChild(Utils.createElement('div', { className: 'content-header' }, [
+            Utils.createElement('h2', { className: 'content-title' }, deck.label),
+            Utils.createElement('button', {
+                className: 'btn btn-secondary',
+                onClick: async () => await this.end()
+            }, 'End Review')
+        ]));
+
+        if (index >= queue.length) {
+            fragment.appendChild(Utils.createElement('div', { className: 'empty-state' }, [
+                Utils.createElement('div', { className: 'empty-state-icon' }, [
+                    Utils.createElement('i', { className: 'ph-duotone ph-confetti' })
+                ]),
+                Utils.createElement('div', { className: 'empty-state-text' },
+                    `Done! ${reviewed} card${reviewed === 1 ? '' : 's'} reviewed.`
+                )
+            ]));
+        } else {
+            const { card, lecture } = queue[index];
+
+            const actions = revealed
+                ? Object.entries(Flashcards.RATINGS).map(([rating, info], i) => Utils.createElement('button', {
+                    className: `btn ${rating === 'good' ? 'btn-primary' : 'btn-secondary'}`,
+                    title: `${info.label} (${i + 1})`,
+                    onClick: async () => await this.rate(rating)
+                }, [
+                    Utils.createElement('span', {}, info.label),
+                    Utils.createElement('span', { className: 'flashcard-interval' }, this.describeInterval(Flashcards.getNextInterval(card, rating)))
+                ]))
+                : [Utils.createElement('button', {
+                    className: 'btn btn-primary',
+                    title: 'Show answer (Space)',
+                    onClick: () => this.reveal()
+                }, 'Show Answer')];
+
+            fragment.appendChild(Utils.createElement('div', { className: 'flashcard' }, [
+                Utils.createElement('div', { className: 'flashcard-meta' }, [
+                    Utils.createElement('span', {}, `${index + 1} / ${queue.length}`),
+                    Utils.createElement('button', {
+                        className: 'btn-link',
+                        title: 'Open the lecture this card came from',
+                        onClick: async () => await StudyMode.enter(lecture.id)
+                    }, lecture.title)
+                ]),
+                Utils.createElement('div', { className: 'flashcard-front' }, card.front),
+                revealed ? Utils.createElement('div', { className: 'flashcard-back' }, card.back) : '',
+                Utils.createElement('div', { className: 'flashcard-actions' }, actions)
+            ]));
+        }
+
+        Utils.clearElement(container);
+        container.appendChild(fragment);
+    },
+
+    /**
+     * Show the answer of the current card
+     */
+    reveal() {
+        if (!this.session || this.session.index >= this.session.queue.length) return;
+        this.session.revealed = true;
+        this.renderSession();
+    },
+
+    /**
+     * Rate the current card and move on
+     * Cards rated "Again" come back at the end of the session.
+     */
+    async rate(rating) {
+        const session = this.session;
+        if (!session || !session.revealed) return;
+
+        const entry = session.queue[session.index];
+        try {
+            await Flashcards.review(entry.card, rating);
+        } catch (err) {
+            console.error('[Flashcards] Review error:', err);
+            alert('Failed to save review: ' + err.message);
+            return;
+        }
+
+        if (rating === 'again') session.queue.push(entry);
+        session.index++;
+        session.reviewed++;
+        session.revealed = false;
+        this.renderSession();
+    },
+
+    /**
+     * Describe an interval for the rating buttons
+     */
+    describeInterval(days) {
+        if (days < 30) return `${days}d`;
+        if (days < 365) return `${Math.round(days / 30)}mo`;
+        return `${(days / 365).toFixed(1)}y`;
+    },
+
+    /**
+     * Keyboard shortcuts during a session: Space shows the answer, 1-4 rate
+     * @param {KeyboardEvent} e
+     * @returns {boolean} True if handled
+     */
+    handleKey(e) {
+        if (!this.session) return false;
+
+        if (e.code === 'Space' && !this.session.revealed) {
+            e.preventDefault();
+            this.reveal();
+            return true;
+        }
+
+        const rating = Object.keys(Flashcards.RATINGS)[parseInt(e.key) - 1];
+        if (rating && this.session.revealed) {
+            e.preventDefault();
+            this.rate(rating);
+            return true;
+        }
+
+        return false;
+    }
+};
+
+// Make FlashcardReview globally available
+window.FlashcardReview = FlashcardReview;
@@ -5,10 +5,19 @@
 
 const LectureList = {
     // Tab state
-    activeTab: 'video', // 'video' or 'pdf'
+    activeTab: 'video', // 'video' (video/audio) or 'pdf' (PDFs, images, documents)
     // Sort state
     sortOrder: 'asc', // 'asc' or 'desc'
 
+    // What the list currently shows (for incremental updates)
+    renderedCourseId: null,
+    renderedItems: new Map(), // lectureId -> row signature
+    renderedSections: '', // Module folder paths, one per line
+    sectionEls: new Map(), // section path -> { list, progressText, progressFill } (root: { list })
+
+    // Collapsed module sections ("courseId/path")
+    collapsedSections: new Set(),
+
     /**
      * Set active tab and rerender
      */
@@ -65,10 +74,12 @@ const LectureList = {
         }
 
         Utils.clearElement(container);
+        this.renderedCourseId = courseId;
+        this.renderedItems = new Map();
 
         // Filter contents
-        let videos = lectures.filter(l => l.type === 'video');
-        let pdfs = lectures.filter(l => l.type === 'pdf');
+        let videos = lectures.filter(l => FileSystem.isPlayable(l.type));
+        let pdfs = lectures.filter(l => !FileSystem.isPlayable(l.type));
 
         // Apply sorting
         videos = this.sortItems(videos);
@@ -83,10 +94,12 @@ const LectureList = {
 
         // Content header with progress
         const progress = await AppState.getCourseProgress(courseId);
+        const plan = await Planner.get(courseId);
         const header = Utils.createElement('div', { className: 'content-header' }, [
-            Utils.createElement('h2', { className: 'content-title' },
-                `${course.name}`
-            ),
+            Utils.createElement('h2', { className: 'content-title' }, [
+                Utils.createElement('span', {}, `${course.name}`),
+                CourseList.createRootBadge(course)
+            ]),
             Utils.createElement('div', { className: 'content-actions' }, [
                 // Sort Button
                 Utils.createElement('button', {
@@ -102,6 +115,28 @@ const LectureList = {
                     })
                 ]),
 
+                Utils.createElement('button', {
+                    className: `btn btn-secondary btn-sm planner-button${plan ? ' active' : ''}`,
+                    title: plan ? 'Edit study plan' : 'Plan when to finish this course',
+                    onClick: async () => {
+                        if (await StudyPlanner.promptPlan(course)) this.render();
+                    }
+                }, [
+                    Utils.createElement('i', { className: 'ph-duotone ph-calendar-check' }),
+                    Utils.createElement('span', {},
+                        plan ? ` ${plan.lecturesPerDay}/day · by ${Planner.formatDate(plan.targetDate)}` : ' Plan'
+                    )
+                ]),
+
+                Utils.createElement('button', {
+                    className: 'btn btn-secondary btn-sm',
+                    title: 'Playback speed, intro/outro skipping and autoplay',
+                    onClick: async () => await CourseList.promptSettings(course)
+                }, [
+                    Utils.createElement('i', { className: 'ph-duotone ph-gear-six' }),
+                    Utils.createElement('span', {}, ' Playback')
+                ]),
+
                 Utils.createElement('span', { className: 'lecture-count' },
                     `${progress.completed}/${progress.total} completed (${progress.percent}%)`
                 )
@@ -147,22 +182,7 @@ const LectureList = {
             }
             container.appendChild(emptyMsg);
         } else {
-            // Render list
-            const list = Utils.createElement('div', {
-                className: 'lecture-list',
-                dataset: { courseId: courseId }
-            });
-
-            currentItems.forEach((lecture, index) => {
-                // We pass the ORIGINAL index from the main list to keep ID stable? 
-                // Or just display index? 
-                // The reorder logic relies on index. 
-                // Reordering filtered lists is tricky. For now, disable drag in filtered view?
-                // Or just Pass the lecture object which has 'orderIndex'.
-                const item = this.createLectureItem(lecture, index, courseId);
-                list.appendChild(item);
-            });
-            container.appendChild(list);
+            this.renderList(container, currentItems, courseId);
         }
 
         // Add compact drop zone for more files
@@ -184,22 +204,307 @@ const LectureList = {
         container.appendChild(addMore);
     },
 
+    /**
+     * Apply data changes (e.g., from a background resync) to the rendered
+     * list in place: add, remove, update and reorder rows without
+     * rebuilding the view. Falls back to render() if the layout changes.
+     */
+    async update() {
+        const courseId = AppState.currentView.course;
+        const container = Utils.$('content-area');
+        const list = container && container.querySelector('.lecture-list');
+
+        if (!list || courseId !== this.renderedCourseId) {
+            await this.render();
+            return;
+        }
+
+        const lectures = await AppState.getLectures(courseId);
+        const videos = lectures.filter(l => FileSystem.isPlayable(l.type));
+        const pdfs = lectures.filter(l => !FileSystem.isPlayable(l.type));
+        const currentItems = this.sortItems(this.activeTab === 'video' ? videos : pdfs);
+        const tree = this.buildSectionTree(currentItems);
+
+        // Tabs appear/disappear, the tab empties or module folders change: layout changes
+        const hasTabs = !!container.querySelector('.tab-pills-container');
+        if (currentItems.length === 0 || hasTabs !== pdfs.length > 0 ||
+            this.getSectionPaths(tree) !== this.renderedSections) {
+            await this.render();
+            return;
+        }
+
+        // Stale check (navigated away while loading)
+        if (AppState.currentView.course !== courseId) return;
+
+        const rows = new Map();
+        container.querySelectorAll('.lecture-item').forEach(row => rows.set(row.dataset.lectureId, row));
+
+        // Remove rows that are gone
+        const keepIds = new Set(currentItems.map(l => l.id));
+        for (const [id, row] of rows) {
+            if (!keepIds.has(id)) {
+                row.remove();
+                rows.delete(id);
+                this.renderedItems.delete(id);
+            }
+        }
+
+        // Add/replace rows, then put them in order (in their section)
+        const indexOf = this.getDisplayIndex(tree);
+        for (const node of [tree, ...this.getAllSections(tree)]) {
+            const sectionList = this.sectionEls.get(node.path).list;
+
+            node.lectures.forEach((lecture, position) => {
+                const signature = this.getItemSignature(lecture);
+                const index = indexOf.get(lecture.id);
+                let row = rows.get(lecture.id);
+
+                if (!row || this.renderedItems.get(lecture.id) !== signature) {
+                    const fresh = this.createLectureItem(lecture, index, courseId);
+                    if (!row) fresh.classList.add('lecture-item-new');
+                    if (row) row.replaceWith(fresh);
+                    row = fresh;
+                    this.renderedItems.set(lecture.id, signature);
+                }
+
+                row.dataset.index = index;
+                if (sectionList.children[position] !== row) {
+                    sectionList.insertBefore(row, sectionList.children[position] || null);
+                }
+            });
+
+            if (node !== tree) this.updateSectionProgress(node);
+        }
+
+        // Header and tab counts
+        const progress = await AppState.getCourseProgress(courseId);
+        const countEl = container.querySelector('.lecture-count');
+        if (countEl) {
+            countEl.textContent = `${progress.completed}/${progress.total} completed (${progress.percent}%)`;
+        }
+
+        const tabCounts = container.querySelectorAll('.tab-pill-count');
+        if (tabCounts.length === 2) {
+            tabCounts[0].textContent = videos.length;
+            tabCounts[1].textContent = pdfs.length;
+        }
+    },
+
+    /**
+     * Render the rows, grouped into collapsible sections when the
+     * course has module folders
+     * @param {HTMLElement} container
+     * @param {Array} items - Sorted lectures of the active tab
+     * @param {string} courseId
+     */
+    renderList(container, items, courseId) {
+        const tree = this.buildSectionTree(items);
+        const indexOf = this.getDisplayIndex(tree);
+        this.sectionEls = new Map();
+        this.renderedSections = this.getSectionPaths(tree);
+
+        const list = this.createList(tree, indexOf, courseId);
+        container.appendChild(list);
+        // Root lectures (no module folder) have no section header or progress
+        this.sectionEls.set(tree.path, { list });
+
+        const sections = this.getSortedSections(tree);
+        if (sections.length > 0) {
+            container.appendChild(Utils.createElement('div', { className: 'lecture-sections' },
+                sections.map(node => this.createSection(node, indexOf, courseId))
+            ));
+        }
+    },
+
+    /**
+     * Create the row list for a section's own lectures
+     */
+    createList(node, indexOf, courseId) {
+        const list = Utils.createElement('div', {
+            className: 'lecture-list',
+            dataset: { courseId: courseId }
+        });
+
+        node.lectures.forEach(lecture => {
+            list.appendChild(this.createLectureItem(lecture, indexOf.get(lecture.id), courseId));
+            this.renderedItems.set(lecture.id, this.getItemSignature(lecture));
+        });
+
+        return list;
+    },
+
+    /**
+     * Create a collapsible module section (with nested sections)
+     */
+    createSection(node, indexOf, courseId) {
+        const key = `${courseId}/${node.path}`;
+        const progressText = Utils.createElement('span', { className: 'lecture-section-progress' });
+        const progressFill = Utils.createElement('div', { className: 'progress-fill' });
+        const list = this.createList(node, indexOf, courseId);
+
+        const section = Utils.createElement('div', {
+            className: `lecture-section${this.collapsedSections.has(key) ? ' collapsed' : ''}`
+        }, [
+            Utils.createElement('button', {
+                className: 'lecture-section-header',
+                title: node.path,
+                onClick: () => {
+                    const collapsed = section.classList.toggle('collapsed');
+                    if (collapsed) this.collapsedSections.add(key);
+                    else this.collapsedSections.delete(key);
+                }
+            }, [
+                Utils.createElement('i', { className: 'ph ph-caret-down lecture-section-caret' }),
+                Utils.createElement('i', { className: 'ph-duotone ph-folder' }),
+                Utils.createElement('span', { className: 'lecture-section-name' }, node.name),
+                Utils.createElement('div', { className: 'progress-bar lecture-section-bar' }, [progressFill]),
+                progressText
+            ]),
+            Utils.createElement('div', { className: 'lecture-section-body' }, [
+                list,
+                ...this.getSortedSections(node).map(child => this.createSection(child, indexOf, courseId))
+            ])
+        ]);
+
+        this.sectionEls.set(node.path, { list, progressText, progressFill });
+        this.updateSectionProgress(node);
+        return section;
+    },
+
+    /**
+     * Show a section's rolled-up progress (nested sections included)
+     */
+    updateSectionProgress(node) {
+        const els = this.sectionEls.get(node.path);
+        const lectures = this.getSectionLectures(node);
+        const completed = lectures.filter(l => l.completed).length;
+        const percent = lectures.length > 0 ? Math.round((completed / lectures.length) * 100) : 0;
+
+        els.progressText.textContent = `${completed}/${lectures.length}`;
+        els.progressFill.style.width = `${percent}%`;
+    },
+
+    /**
+     * Group lectures by module folder (lecture.subPath)
+     * @param {Array} items - Sorted lectures
+     * @returns {Object} Root node { name, path, lectures, sections: Map(name -> node) }
+     */
+    buildSectionTree(items) {
+        const root = { name: '', path: '', lectures: [], sections: new Map() };
+
+        items.forEach(lecture => {
+            let node = root;
+            (lecture.subPath || '').split('/').filter(Boolean).forEach(part => {
+                if (!node.sections.has(part)) {
+                    node.sections.set(part, {
+                        name: part,
+                        path: node.path ? `${node.path}/${part}` : part,
+                        lectures: [],
+                        sections: new Map()
+                    });
+                }
+                node = node.sections.get(part);
+            });
+            node.lectures.push(lecture);
+        });
+
+        return root;
+    },
+
+    /**
+     * Child sections in the current sort order
+     */
+    getSortedSections(node) {
+        return Array.from(node.sections.values()).sort((a, b) => {
+            const comparison = a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: 'base' });
+            return this.sortOrder === 'asc' ? comparison : -comparison;
+        });
+    },
+
+    /**
+     * All sections below a node, in display order
+     */
+    getAllSections(node) {
+        return this.getSortedSections(node).flatMap(child => [child, ...this.getAllSections(child)]);
+    },
+
+    /**
+     * Lectures in a section and its nested sections, in display order
+     */
+    getSectionLectures(node) {
+        return [...node.lectures, ...this.getSortedSections(node).flatMap(child => this.getSectionLectures(child))];
+    },
+
+    /**
+     * Position of each lecture in display order (used for drag-to-reorder)
+     * @returns {Map} lectureId -> index
+     */
+    getDisplayIndex(tree) {
+        return new Map(this.getSectionLectures(tree).map((lecture, index) => [lecture.id, index]));
+    },
+
+    /**
+     * Section paths as a string (a change means the layout is rebuilt)
+     */
+    getSectionPaths(tree) {
+        return this.getAllSections(tree).map(node => node.path).join('\n');
+    },
+
+    /**
+     * Watched-percent bar for a row (only once the lecture's length is known)
+     * @param {Object} lecture
+     * @returns {HTMLElement|string}
+     */
+    createWatchedBar(lecture) {
+        const isPdf = lecture.type === 'pdf';
+        const length = isPdf ? lecture.pageCount : lecture.duration;
+        if (lecture.completed || !(length > 0)) return '';
+
+        const percent = Math.round(AppState.getWatchedFraction(lecture) * 100);
+        return Utils.createElement('div', {
+            className: 'lecture-watched',
+            title: isPdf
+                ? `Read ${(lecture.readPages || []).length} of ${length} pages`
+                : `Watched ${Utils.formatTime(AppState.getPlayedSeconds(lecture))} of ${Utils.formatTime(length)}`
+        }, [
+            Utils.createElement('div', { className: 'progress-bar' }, [
+                Utils.createElement('div', { className: 'progress-fill', style: `width: ${percent}%` })
+            ]),
+            Utils.createElement('span', { className: 'lecture-watched-text' }, `${percent}%`)
+        ]);
+    },
+
+    /**
+     * Fields shown in a row (a change means the row is redrawn)
+     */
+    getItemSignature(lecture) {
+        const watched = Math.round(AppState.getWatchedFraction(lecture) * 100);
+        return `${lecture.title}|${lecture.completed ? 1 : 0}|${lecture.type}|${(lecture.tags || []).join(',')}|${watched}`;
+    },
+
     /**
      * Create a lecture item element
+     * @param {Object} lecture
+     * @param {number} index
+     * @param {string} courseId
+     * @param {string} context - Course/paper shown under the title in
+     *   smart collections (rows can't be reordered there)
      */
-    createLectureItem(lecture, index, courseId) {
+    createLectureItem(lecture, index, courseId, context = null) {
         const item = Utils.createElement('div', {
             className: `lecture-item${lecture.completed ? ' completed' : ''}`,
             dataset: { lectureId: lecture.id, index: index },
-            draggable: 'true'
+            draggable: context ? 'false' : 'true'
         });
 
         // Drag handle
-        const dragHandle = Utils.createElement('div', {
-            className: 'lecture-drag-handle',
-            title: 'Drag to reorder'
-        }, [Utils.createElement('i', { className: 'ph-duotone ph-dots-six-vertical' })]);
-        item.appendChild(dragHandle);
+        if (!context) {
+            const dragHandle = Utils.createElement('div', {
+                className: 'lecture-drag-handle',
+                title: 'Drag to reorder'
+            }, [Utils.createElement('i', { className: 'ph-duotone ph-dots-six-vertical' })]);
+            item.appendChild(dragHandle);
+        }
 
         // Status checkbox
         const status = Utils.createElement('div', {
@@ -214,19 +519,49 @@ const LectureList = {
 
         // Type icon
         const typeIcon = Utils.createElement('div', { className: 'lecture-type-icon' }, [
-            Utils.createElement('i', { className: lecture.type === 'video' ? 'ph-duotone ph-video' : 'ph-duotone ph-file-text' })
+            Utils.createElement('i', { className: FileSystem.getTypeIcon(lecture.type) })
         ]);
         item.appendChild(typeIcon);
 
-        // Title (clickable area for opening)
+        // Title (clickable area for opening), with tags
+        const tags = lecture.tags || [];
         const title = Utils.createElement('div', {
             className: 'lecture-title'
-        }, lecture.title);
+        }, [
+            lecture.title,
+            context ? Utils.createElement('div', { className: 'lecture-context' }, context) : '',
+            tags.length > 0 ? Utils.createElement('div', { className: 'lecture-tags' },
+                tags.map(tag => Utils.createElement('span', { className: 'lecture-tag' }, tag))
+            ) : '',
+            this.createWatchedBar(lecture)
+        ]);
         item.appendChild(title);
 
         // Action buttons container
         const actions = Utils.createElement('div', { className: 'lecture-actions' });
 
+        // Tags button
+        const tagBtn = Utils.createElement('button', {
+            className: 'lecture-action-btn',
+            title: 'Tags',
+            onClick: async (e) => {
+                e.stopPropagation();
+                await this.editTags(lecture);
+            }
+        }, [Utils.createElement('i', { className: 'ph-duotone ph-tag' })]);
+        actions.appendChild(tagBtn);
+
+        // Add to playlist button
+        const playlistBtn = Utils.createElement('button', {
+            className: 'lecture-action-btn',
+            title: 'Add to playlist',
+            onClick: async (e) => {
+                e.stopPropagation();
+                await PlaylistView.promptAdd(lecture);
+            }
+        }, [Utils.createElement('i', { className: 'ph-duotone ph-playlist' })]);
+        actions.appendChild(playlistBtn);
+
         // Edit button
         const editBtn = Utils.createElement('button', {
             className: 'lecture-action-btn',
@@ -252,13 +587,14 @@ const LectureList = {
         item.appendChild(actions);
 
         // Type badge
+        // Documents show their format (DOCX, PPTX, EPUB)
         const typeBadge = Utils.createElement('div', { className: 'lecture-type-badge' },
-            lecture.type.toUpperCase()
+            (lecture.type === 'document' ? lecture.fileName.split('.').pop() : lecture.type).toUpperCase()
         );
         item.appendChild(typeBadge);
 
         // Setup drag events
-        this.setupDragEvents(item, lecture, courseId);
+        if (!context) this.setupDragEvents(item, lecture, courseId);
 
         // Click to open Study Mode
         item.addEventListener('click', async (e) => {
@@ -391,10 +727,215 @@ const LectureList = {
      * Toggle lecture completion status
      */
     async toggleComplete(lecture) {
-        lecture.completed = !lecture.completed;
-        await DB.put('lectures', lecture);
-        AppState.invalidateCache();
-        await this.render();
+        await AppState.setLectureCompleted(lecture, !lecture.completed);
+        await this.refresh();
+    },
+
+    /**
+     * Re-render the course or smart collection being shown
+     */
+    async refresh() {
+        if (AppState.currentView.screen === 'collection') {
+            await this.renderCollection();
+        } else {
+            await this.render();
+        }
+    },
+
+    /**
+     * Edit a lecture's free-form tags
+     * @param {Object} lecture
+     */
+    async editTags(lecture) {
+        const input = Utils.createElement('input', {
+            className: 'modal-input',
+            type: 'text',
+            placeholder: 'e.g. weak area, PYQ-linked, rewatch',
+            value: (lecture.tags || []).join(', ')
+        });
+
+        const addTag = (tag) => {
+            const current = input.value.split(',').map(t => t.trim()).filter(Boolean);
+            if (!current.some(t => t.toLowerCase() === tag.toLowerCase())) current.push(tag);
+            input.value = current.join(', ');
+            input.focus();
+        };
+
+        const known = await Collections.getAllTags();
+        const save = await Dialog.open({
+            title: `Tags: ${lecture.title}`,
+            body: [
+                input,
+                Utils.createElement('p', { className: 'list-hint' }, 'Separate tags with commas.'),
+                known.length > 0 ? Utils.createElement('div', { className: 'lecture-tags' },
+                    known.slice(0, 20).map(tag => Utils.createElement('button', {
+                        className: 'lecture-tag lecture-tag-suggestion',
+                        title: 'Add this tag',
+                        onClick: () => addTag(tag)
+                    }, tag))
+                ) : ''
+            ],
+            actions: [
+                { label: 'Cancel', value: false },
+                { label: 'Save', value: true, className: 'btn btn-primary' }
+            ]
+        });
+        if (!save) return;
+
+        try {
+            await AppState.setLectureTags(lecture, input.value.split(','));
+            await this.refresh();
+        } catch (err) {
+            console.error('[LectureList] Tag error:', err);
+            alert('Failed to save tags: ' + err.message);
+        }
+    },
+
+    /**
+     * Render a smart collection as a virtual lecture list
+     * (lectures from any paper/course matching the saved filter)
+     */
+    async renderCollection() {
+        const container = Utils.$('content-area');
+        if (!container) return;
+
+        const collection = AppState.getCollection(AppState.currentView.collection);
+        if (!collection) {
+            AppState.navigateTo();
+            await App.render();
+            return;
+        }
+
+        let entries = [];
+        let error = null;
+        try {
+            entries = await Collections.getLectures(collection);
+        } catch (err) {
+            error = err.message;
+        }
+
+        const completed = entries.filter(e => e.lecture.completed).length;
+        const header = Utils.createElement('div', { className: 'content-header' }, [
+            Utils.createElement('h2', { className: 'content-title' }, [
+                Utils.createElement('span', {}, collection.name)
+            ]),
+            Utils.createElement('div', { className: 'content-actions' }, [
+                Utils.createElement('button', {
+                    className: 'lecture-action-btn',
+                    title: 'Edit collection',
+                    onClick: async () => await this.promptCollection(collection)
+                }, [Utils.createElement('i', { className: 'ph-duotone ph-pencil-simple' })]),
+                Utils.createElement('button', {
+                    className: 'lecture-action-btn delete',
+                    title: 'Delete collection',
+                    onClick: async () => await this.deleteCollection(collection)
+                }, [Utils.createElement('i', { className: 'ph-duotone ph-trash' })]),
+                Utils.createElement('span', { className: 'lecture-count' },
+                    `${completed}/${entries.length} completed`
+                )
+            ])
+        ]);
+
+        const fragment = document.createDocumentFragment();
+        fragment.appendChild(header);
+        fragment.appendChild(Utils.createElement('p', { className: 'list-hint' }, [
+            Utils.createElement('span', {}, 'Filter: '),
+            Utils.createElement('code', {}, collection.query)
+        ]));
+
+        if (error || entries.length === 0) {
+            fragment.appendChild(Utils.createElement('div', { className: 'empty-state' }, [
+                Utils.createElement('div', { className: 'empty-state-icon' }, [
+                    Utils.createElement('i', { className: 'ph-duotone ph-funnel' })
+                ]),
+                Utils.createElement('div', { className: 'empty-state-text' }, error || 'No lectures match this filter')
+            ]));
+        } else {
+            const list = Utils.createElement('div', { className: 'lecture-list' });
+            entries.forEach(({ lecture, course, paper }, index) => {
+                list.appendChild(this.createLectureItem(lecture, index, course.id, `${paper.name} · ${course.name}`));
+            });
+            fragment.appendChild(list);
+        }
+
+        Utils.clearElement(container);
+        this.renderedCourseId = null;
+        container.appendChild(fragment);
+    },
+
+    /**
+     * Create or edit a smart collection
+     * @param {Object} collection - Existing collection, or null to create one
+     */
+    async promptCollection(collection = null) {
+        const nameInput = Utils.createElement('input', {
+            className: 'modal-input',
+            type: 'text',
+            placeholder: 'e.g. GS3 weak areas',
+            value: collection ? collection.name : ''
+        });
+        const queryInput = Utils.createElement('input', {
+            className: 'modal-input',
+            type: 'text',
+            placeholder: 'tag:weak AND paper:GS3 AND NOT completed',
+            value: collection ? collection.query : ''
+        });
+
+        const save = await Dialog.open({
+            title: collection ? 'Edit Collection' : 'New Collection',
+            body: Utils.createElement('div', { className: 'focus-form' }, [
+                Utils.createElement('label', {}, [Utils.createElement('span', {}, 'Name'), nameInput]),
+                Utils.createElement('label', {}, [Utils.createElement('span', {}, 'Filter'), queryInput]),
+                Utils.createElement('p', { className: 'list-hint' },
+                    'Filters: tag:, paper:, course:, type:, topic:, completed, due, or words in the title. ' +
+                    'Combine with AND, OR and NOT (or -); quote values with spaces, e.g. tag:"weak area".'
+                )
+            ]),
+            actions: [
+                { label: 'Cancel', value: false },
+                { label: 'Save', value: true, className: 'btn btn-primary' }
+            ]
+        });
+        if (!save) return;
+
+        if (!nameInput.value.trim()) {
+            alert('Please enter a name for the collection.');
+            return;
+        }
+
+        try {
+            const saved = await AppState.saveCollection({
+                id: collection ? collection.id : null,
+                name: nameInput.value,
+                query: queryInput.value
+            });
+            AppState.openCollection(saved.id);
+            await App.render();
+        } catch (err) {
+            console.error('[Collections] Save error:', err);
+            alert('Failed to save collection: ' + err.message);
+        }
+    },
+
+    /**
+     * Delete a smart collection (after confirmation)
+     */
+    async deleteCollection(collection) {
+        const confirmed = await Dialog.open({
+            title: 'Delete Collection',
+            body: Utils.createElement('p', {},
+                `Delete "${collection.name}"? The lectures and their tags are not affected.`
+            ),
+            actions: [
+                { label: 'Cancel', value: false },
+                { label: 'Delete', value: true, className: 'btn btn-primary' }
+            ]
+        });
+        if (!confirmed) return;
+
+        await AppState.deleteCollection(collection.id);
+        AppState.navigateTo();
+        await App.render();
     },
 
     /**
@@ -417,7 +958,7 @@ const LectureList = {
                     lecture.title = newTitle;
                     await DB.put('lectures', lecture);
                     AppState.invalidateCache();
-                    await this.render();
+                    await this.refresh();
                 }
             }
         });
@@ -429,8 +970,8 @@ const LectureList = {
      */
     async showDeleteGuidance(lecture, courseId) {
         const course = await AppState.getCourse(courseId);
-        const folderPath = course.folderPath || 'your study folder';
-        const masterFolder = FileSystem.getMasterFolderName() || 'Master Folder';
+        const folderPath = course.folderPath ? FileSystem.joinPath(course.folderPath, lecture.subPath) : 'your study folder';
+        const masterFolder = FileSystem.getRootName(course.rootId) || 'Master Folder';
         const fullPath = `${masterFolder}\\${folderPath.replace(/\//g, '\\')}`;
 
         const message = `📁 To delete this file:\n\n` +
@@ -0,0 +1,315 @@
+/**
+ * UPSC Study Desk - Notes Panel Component
+ * Side-by-side Markdown notes for the lecture open in Study Mode
+ *
+ * Notes autosave to IndexedDB and are mirrored to "<lecture file>.md"
+ * (e.g. "01 Introduction.mp4.md") in the course folder. When the panel
+ * opens, a file on disk that is newer than the saved note wins, so edits
+ * made in another editor are picked up.
+ */
+
+const NotesPanel = {
+    // 'edit' (textarea) or 'preview' (clickable timestamps)
+    viewMode: 'edit',
+
+    // Matches [12:34] / [1:02:03] anchors
+    TIMESTAMP_PATTERN: /\[(\d{1,2}(?::\d{2}){1,2})\]/g,
+
+    // Lecture whose note is being edited
+    lecture: null,
+
+    // Lecture's folder (and its library root) used for the .md mirror
+    folderPath: null,
+    rootId: null,
+
+    // Unsaved edits pending autosave
+    isDirty: false,
+
+    // DOM references
+    panel: null,
+    textarea: null,
+    preview: null,
+    statusEl: null,
+    modeBtn: null,
+
+    /**
+     * Render the notes panel for a lecture
+     * @param {HTMLElement} container - Side panel pane to append to
+     * @param {Object} lecture
+     */
+    async render(container, lecture) {
+        this.lecture = lecture;
+        this.folderPath = null;
+        this.rootId = null;
+        this.isDirty = false;
+
+        this.statusEl = Utils.createElement('span', { className: 'notes-status' }, 'Loading...');
+
+        this.textarea = Utils.createElement('textarea', {
+            className: 'notes-textarea',
+            placeholder: 'Write your notes in Markdown...',
+            spellcheck: 'true'
+        });
+        this.textarea.disabled = true;
+        this.textarea.addEventListener('input', () => this.markDirty());
+
+        // Ctrl/Cmd + click on a [12:34] anchor seeks without leaving the editor
+        this.textarea.addEventListener('click', (e) => {
+            if (!(e.ctrlKey || e.metaKey)) return;
+            const seconds = this.getTimestampAt(this.textarea.value, this.textarea.selectionStart);
+            if (seconds !== null) StudyMode.seekTo(seconds);
+        });
+
+        this.preview = Utils.createElement('div', { className: 'notes-preview' });
+
+        this.modeBtn = Utils.createElement('button', {
+            className: 'btn-link notes-mode-btn',
+            onClick: () => this.setViewMode(this.viewMode === 'edit' ? 'preview' : 'edit')
+        });
+
+        this.panel = Utils.createElement('div', { className: 'notes-panel' }, [
+            Utils.createElement('div', { className: 'notes-header' }, [
+                this.statusEl,
+                Utils.createElement('button', {
+                    className: 'btn-link notes-topics-btn',
+                    title: 'Tag this note with syllabus topics',
+                    onClick: async () => {
+                        await this.flush();
+                        await SyllabusMap.tagNote(lecture);
+                    }
+                }, 'Topics'),
+                this.modeBtn
+            ]),
+            this.textarea,
+            this.preview
+        ]);
+        // Don't steal focus from the player (shortcuts ignore text fields)
+        this.setViewMode(this.viewMode, false);
+
+        container.appendChild(this.panel);
+
+        await this.load(lecture);
+    },
+
+    /**
+     * Load note content (disk first, then IndexedDB)
+     */
+    async load(lecture) {
+        let content = '';
+
+        try {
+            const note = await AppState.getNote(lecture.id);
+            content = note ? note.content : '';
+
+            const course = await AppState.getCourse(lecture.courseId);
+            if (course && course.folderPath && FileSystem.isRootConnected(course.rootId)) {
+                this.folderPath = FileSystem.joinPath(course.folderPath, lecture.subPath);
+                this.rootId = course.rootId || null;
+                const diskNote = await FileSystem.readNoteFile(this.folderPath, lecture.fileName, this.rootId);
+                const savedAt = note ? new Date(note.updatedAt).getTime() : 0;
+
+                if (diskNote && diskNote.content !== content && diskNote.lastModified > savedAt) {
+                    // Edited outside the app since the last save - the file wins
+                    console.log(`[Notes] Loaded newer note from disk for ${lecture.fileName}`);
+                    content = diskNote.content;
+                    await AppState.saveNote(lecture.id, content);
+                } else if (!diskNote && content && await FileSystem.getFolder(this.folderPath, this.rootId)) {
+                    // Restore a missing mirror file (unless the folder itself is gone)
+                    await FileSystem.writeNoteFile(this.folderPath, lecture.fileName, content, this.rootId);
+                }
+            }
+        } catch (err) {
+            console.error('[Notes] Load error:', err);
+        }
+
+        // Stale check (lecture switched while loading)
+        if (this.lecture !== lecture) return;
+
+        this.textarea.value = content;
+        this.textarea.disabled = false;
+        this.setStatus(this.folderPath ? 'Synced to folder' : 'Saved');
+        if (this.viewMode === 'preview') this.renderPreview();
+    },
+
+    /**
+     * Flag edits for autosave
+     */
+    markDirty() {
+        this.isDirty = true;
+        this.setStatus('Unsaved');
+        this.scheduleSave();
+    },
+
+    /**
+     * Debounced autosave
+     */
+    scheduleSave: Utils.debounce(() => NotesPanel.save(), 800),
+
+    /**
+     * Save note to IndexedDB and mirror it to disk
+     */
+    async save() {
+        if (!this.lecture || !this.isDirty) return;
+
+        const lecture = this.lecture;
+        const folderPath = this.folderPath;
+        const rootId = this.rootId;
+        const content = this.textarea.value;
+        this.isDirty = false;
+        this.setStatus('Saving...');
+
+        try {
+            await AppState.saveNote(lecture.id, content);
+
+            if (folderPath && FileSystem.isRootConnected(rootId)) {
+                await FileSystem.writeNoteFile(folderPath, lecture.fileName, content, rootId);
+            }
+
+            if (this.lecture === lecture) {
+                this.setStatus(folderPath ? 'Synced to folder' : 'Saved');
+            }
+        } catch (err) {
+            console.error('[Notes] Save error:', err);
+            if (this.lecture === lecture) {
+                this.isDirty = true;
+                this.setStatus('Save failed');
+            }
+        }
+    },
+
+    /**
+     * Save any pending edits immediately (before leaving a lecture)
+     */
+    async flush() {
+        if (this.isDirty) {
+            await this.save();
+        }
+    },
+
+    /**
+     * Switch between editing and the clickable preview
+     * @param {string} mode - 'edit' or 'preview'
+     * @param {boolean} focus - Focus the editor when switching to edit
+     */
+    setViewMode(mode, focus = true) {
+        this.viewMode = mode;
+        if (!this.panel) return;
+
+        const isEdit = mode === 'edit';
+        this.textarea.classList.toggle('hidden', !isEdit);
+        this.preview.classList.toggle('hidden', isEdit);
+        this.modeBtn.textContent = isEdit ? 'Preview' : 'Edit';
+
+        if (isEdit) {
+            if (focus) this.textarea.focus();
+        } else {
+            this.renderPreview();
+        }
+    },
+
+    /**
+     * Render note text with [12:34] anchors as seek buttons
+     */
+    renderPreview() {
+        Utils.clearElement(this.preview);
+
+        const lines = this.textarea.value.split('\n');
+        if (lines.length === 1 && !lines[0]) {
+            this.preview.appendChild(Utils.createElement('div', { className: 'notes-preview-empty' },
+                'No notes yet. Press T while watching to add a timestamp.'
+            ));
+            return;
+        }
+
+        lines.forEach(line => {
+            const row = Utils.createElement('div', { className: 'notes-preview-line' });
+            let lastIndex = 0;
+
+            for (const match of line.matchAll(this.TIMESTAMP_PATTERN)) {
+                if (match.index > lastIndex) {
+                    row.appendChild(document.createTextNode(line.slice(lastIndex, match.index)));
+                }
+                const seconds = Utils.parseTime(match[1]);
+                row.appendChild(Utils.createElement('button', {
+                    className: 'note-timestamp',
+                    title: `Jump to ${match[1]}`,
+                    onClick: () => StudyMode.seekTo(seconds)
+                }, match[1]));
+                lastIndex = match.index + match[0].length;
+            }
+
+            if (lastIndex < line.length) {
+                row.appendChild(document.createTextNode(line.slice(lastIndex)));
+            }
+            if (!line) row.innerHTML = '&nbsp;';
+
+            this.preview.appendChild(row);
+        });
+    },
+
+    /**
+     * Find the timestamp anchor under a caret position
+     * @param {string} text
+     * @param {number} position - Caret offset
+     * @returns {number|null} Seconds, or null if the caret is not on an anchor
+     */
+    getTimestampAt(text, position) {
+        for (const match of text.matchAll(this.TIMESTAMP_PATTERN)) {
+            if (position >= match.index && position <= match.index + match[0].length) {
+                return Utils.parseTime(match[1]);
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Insert a [12:34] anchor for the given playback time at the caret
+     * @param {number} seconds
+     */
+    insertTimestamp(seconds) {
+        if (!this.textarea || this.textarea.disabled) return;
+
+        StudyMode.showSideTab('notes');
+        if (this.viewMode !== 'edit') this.setViewMode('edit');
+
+        const textarea = this.textarea;
+        const start = textarea.selectionStart;
+        const before = textarea.value.slice(0, start);
+        const after = textarea.value.slice(textarea.selectionEnd);
+
+        // Anchors start their own line
+        const prefix = before && !before.endsWith('\n') ? '\n' : '';
+        const anchor = `${prefix}[${Utils.formatTime(seconds)}] `;
+
+        textarea.value = before + anchor + after;
+        textarea.selectionStart = textarea.selectionEnd = start + anchor.length;
+        textarea.focus();
+
+        this.markDirty();
+    },
+
+    /**
+     * Update the save status label
+     */
+    setStatus(text) {
+        if (this.statusEl) this.statusEl.textContent = text;
+    },
+
+    /**
+     * Detach from the current lecture
+     */
+    reset() {
+        this.lecture = null;
+        this.folderPath = null;
+        this.rootId = null;
+        this.isDirty = false;
+        this.panel = null;
+        this.textarea = null;
+        this.preview = null;
+        this.statusEl = null;
+        this.modeBtn = null;
+    }
+};
+
+// Make NotesPanel globally available
+window.NotesPanel = NotesPanel;
@@ -0,0 +1,332 @@
+/**
+ * UPSC Study Desk - Paper Manager Component
+ * Add, rename, reorder, re-icon and delete papers, and decide what
+ * happens to top-level folders that match no paper
+ */
+
+const PaperManager = {
+    // Icons offered in the picker
+    icons: [
+        'ph-duotone ph-books',
+        'ph-duotone ph-book-open',
+        'ph-duotone ph-globe',
+        'ph-duotone ph-globe-hemisphere-west',
+        'ph-duotone ph-chart-line-up',
+        'ph-duotone ph-scale-balanced',
+        'ph-duotone ph-calculator',
+        'ph-duotone ph-graduation-cap',
+        'ph-duotone ph-archive',
+        'ph-duotone ph-scroll',
+        'ph-duotone ph-pen-nib',
+        'ph-duotone ph-flask',
+        'ph-duotone ph-bank',
+        'ph-duotone ph-hourglass',
+        'ph-duotone ph-map-trifold',
+        'ph-duotone ph-users-three',
+        'ph-duotone ph-leaf',
+        'ph-duotone ph-lightbulb',
+        'ph-duotone ph-exam',
+        'ph-duotone ph-newspaper'
+    ],
+
+    /**
+     * Render the paper manager screen
+     */
+    async render() {
+        const container = Utils.$('content-area');
+        if (!container) return;
+
+        const papers = AppState.getPapers();
+        const ignored = await AppState.getIgnoredPaperFolders();
+
+        const fragment = document.createDocumentFragment();
+
+        fragment.appendChild(Utils.createElement('div', { className: 'content-header' }, [
+            Utils.createElement('h2', { className: 'content-title' }, 'Papers'),
+            Utils.createElement('button', {
+                className: 'btn btn-primary',
+                onClick: () => this.addPaper()
+            }, [
+                Utils.createElement('i', { className: 'ph ph-plus' }),
+                Utils.createElement('span', {}, ' Add Paper')
+            ])
+        ]));
+
+        fragment.appendChild(Utils.createElement('p', { className: 'list-hint' },
+            'Top-level folders in your library are matched to papers by name. ' +
+            'Renamed papers keep matching their old folder names.'
+        ));
+
+        const list = Utils.createElement('div', { className: 'item-list' });
+        for (let i = 0; i < papers.length; i++) {
+            const providerCount = await AppState.getProviderCount(papers[i].id);
+            list.appendChild(this.createItem(papers[i], i, papers.length, providerCount));
+        }
+        fragment.appendChild(list);
+
+        if (ignored.length > 0) {
+            fragment.appendChild(Utils.createElement('h3', { className: 'section-title paper-manager-ignored' }, [
+                Utils.createElement('i', { className: 'ph-duotone ph-eye-slash' }),
+                Utils.createElement('span', {}, ' Ignored Folders')
+            ]));
+
+            const ignoredList = Utils.createElement('div', { className: 'item-list' });
+            ignored.forEach(name => ignoredList.appendChild(this.createIgnoredItem(name)));
+            fragment.appendChild(ignoredList);
+        }
+
+        Utils.clearElement(container);
+        container.appendChild(fragment);
+    },
+
+    /**
+     * Create a paper row
+     */
+    createItem(paper, index, count, providerCount) {
+        const folderNames = paper.folderNames || [];
+        const meta = [
+            paper.fullName !== paper.name ? paper.fullName : '',
+            providerCount === 1 ? '1 provider' : `${providerCount} providers`,
+            folderNames.length > 0 ? `also matches: ${folderNames.join(', ')}` : ''
+        ].filter(Boolean).join(' · ');
+
+        return Utils.createElement('div', { className: 'item-row' }, [
+            Utils.createElement('button', {
+                className: 'paper-icon-btn',
+                title: 'Change icon',
+                onClick: () => this.pickIcon(paper)
+            }, [Utils.createElement('i', { className: paper.icon })]),
+            Utils.createElement('div', { className: 'item-row-content' }, [
+                Utils.createElement('div', { className: 'item-row-title' }, paper.name),
+                Utils.createElement('div', { className: 'item-row-meta' }, meta)
+            ]),
+            Utils.createElement('div', { className: 'lecture-actions' }, [
+                Utils.createElement('button', {
+                    className: 'lecture-action-btn',
+                    title: 'Move up',
+                    ...(index === 0 ? { disabled: 'disabled' } : {}),
+                    onClick: () => this.move(paper, -1)
+                }, [Utils.createElement('i', { className: 'ph ph-arrow-up' })]),
+                Utils.createElement('button', {
+                    className: 'lecture-action-btn',
+                    title: 'Move down',
+                    ...(index === count - 1 ? { disabled: 'disabled' } : {}),
+                    onClick: () => this.move(paper, 1)
+                }, [Utils.createElement('i', { className: 'ph ph-arrow-down' })]),
+                Utils.createElement('button', {
+                    className: 'lecture-action-btn',
+                    title: 'Rename',
+                    onClick: () => this.editPaper(paper)
+                }, [Utils.createElement('i', { className: 'ph-duotone ph-pencil-simple' })]),
+                Utils.createElement('button', {
+                    className: 'lecture-action-btn delete',
+                    title: 'Delete paper',
+                    onClick: () => this.confirmDelete(paper, providerCount)
+                }, [Utils.createElement('i', { className: 'ph-duotone ph-trash' })])
+            ])
+        ]);
+    },
+
+    /**
+     * Create an ignored folder row
+     */
+    createIgnoredItem(name) {
+        return Utils.createElement('div', { className: 'item-row' }, [
+            Utils.createElement('i', { className: 'ph-duotone ph-folder-dashed item-row-icon' }),
+            Utils.createElement('div', { className: 'item-row-content' }, [
+                Utils.createElement('div', { className: 'item-row-title' }, name)
+            ]),
+            Utils.createElement('div', { className: 'lecture-actions' }, [
+                Utils.createElement('button', {
+                    className: 'btn btn-secondary btn-sm',
+                    title: 'Offer this folder again on the next sync',
+                    onClick: async () => {
+                        await AppState.setPaperFolderIgnored(name, false);
+                        await this.refresh();
+                    }
+                }, 'Stop Ignoring')
+            ])
+        ]);
+    },
+
+    /**
+     * Re-render the screen and the sidebar
+     */
+    async refresh() {
+        Sidebar.render();
+        await this.render();
+    },
+
+    /**
+     * Ask for a paper's name and full name
+     * @returns {Promise<Object|null>} { name, fullName } or null if cancelled
+     */
+    async promptNames(title, paper = null) {
+        const nameInput = Utils.createElement('input', {
+            className: 'modal-input',
+            placeholder: 'Short name (e.g., Essay)',
+            value: paper ? paper.name : ''
+        });
+        const fullNameInput = Utils.createElement('input', {
+            className: 'modal-input',
+            placeholder: 'Full name (optional)',
+            value: paper ? paper.fullName : ''
+        });
+
+        const confirmed = await Dialog.open({
+            title,
+            body: Utils.createElement('div', { className: 'paper-form' }, [nameInput, fullNameInput]),
+            actions: [
+                { label: 'Cancel', value: false },
+                { label: 'Save', value: true, className: 'btn btn-primary' }
+            ]
+        });
+
+        const name = nameInput.value.trim();
+        if (!confirmed || !name) return null;
+
+        return { name, fullName: fullNameInput.value.trim() };
+    },
+
+    /**
+     * Add a new paper
+     */
+    async addPaper() {
+        const names = await this.promptNames('Add Paper');
+        if (!names) return;
+
+        try {
+            await AppState.addPaper(names.name, { fullName: names.fullName });
+            await this.refresh();
+        } catch (err) {
+            console.error('[Papers] Add error:', err);
+            alert('Failed to add paper: ' + err.message);
+        }
+    },
+
+    /**
+     * Rename a paper
+     */
+    async editPaper(paper) {
+        const names = await this.promptNames('Rename Paper', paper);
+        if (!names) return;
+
+        try {
+            await AppState.updatePaper(paper.id, names);
+            await this.refresh();
+        } catch (err) {
+            console.error('[Papers] Rename error:', err);
+            alert('Failed to rename paper: ' + err.message);
+        }
+    },
+
+    /**
+     * Choose a new icon for a paper
+     */
+    async pickIcon(paper) {
+        const chosen = await Dialog.open({
+            title: `Icon for ${paper.name}`,
+            body: (close) => Utils.createElement('div', { className: 'paper-icon-grid' }, this.icons.map(icon =>
+                Utils.createElement('button', {
+                    className: `paper-icon-btn${icon === paper.icon ? ' active' : ''}`,
+                    onClick: () => close(icon)
+                }, [Utils.createElement('i', { className: icon })])
+            )),
+            actions: [{ label: 'Cancel', value: null }]
+        });
+        if (!chosen || chosen === paper.icon) return;
+
+        await AppState.updatePaper(paper.id, { icon: chosen });
+        await this.refresh();
+    },
+
+    /**
+     * Move a paper up or down
+     */
+    async move(paper, offset) {
+        await AppState.movePaper(paper.id, offset);
+        await this.refresh();
+    },
+
+    /**
+     * Delete a paper after confirmation
+     */
+    async confirmDelete(paper, providerCount) {
+        const confirmed = await Dialog.open({
+            title: 'Delete Paper?',
+            body: Utils.createElement('p', {},
+                providerCount > 0
+                    ? `"${paper.name}" and its ${providerCount} provider${providerCount === 1 ? '' : 's'} will be moved to Trash. ` +
+                    'Files on disk are not touched, and its folders will be ignored by sync.'
+                    : `"${paper.name}" will be deleted. Its folders will be ignored by sync.`
+            ),
+            actions: [
+                { label: 'Cancel', value: false },
+                { label: 'Delete', value: true, className: 'btn btn-primary' }
+            ]
+        });
+        if (!confirmed) return;
+
+        try {
+            await AppState.deletePaper(paper.id);
+            await this.refresh();
+        } catch (err) {
+            console.error('[Papers] Delete error:', err);
+            alert('Failed to delete paper: ' + err.message);
+        }
+    },
+
+    /**
+     * Offer top-level folders that matched no paper as new papers
+     * Checked folders become papers; unchecked ones are ignored from now on.
+     * @param {Array<string>} folderNames
+     * @returns {Promise<boolean>} True if any paper was added
+     */
+    async offerNewPapers(folderNames) {
+        const checkboxes = folderNames.map(name => Utils.createElement('input', {
+            type: 'checkbox',
+            checked: 'checked'
+        }));
+
+        const choice = await Dialog.open({
+            title: 'New Folders Found',
+            body: [
+                Utils.createElement('p', { className: 'list-hint' },
+                    'These top-level folders don\'t match any paper. Checked folders are added as papers; ' +
+                    'unchecked ones are ignored by sync (you can change this under Papers).'
+                ),
+                Utils.createElement('div', { className: 'paper-offer-list' }, folderNames.map((name, i) =>
+                    Utils.createElement('label', { className: 'paper-offer-item' }, [
+                        checkboxes[i],
+                        Utils.createElement('i', { className: 'ph-duotone ph-folder' }),
+                        Utils.createElement('span', {}, name)
+                    ])
+                ))
+            ],
+            actions: [
+                { label: 'Not Now', value: null },
+                { label: 'Continue', value: true, className: 'btn btn-primary' }
+            ]
+        });
+        if (!choice) return false;
+
+        let added = 0;
+        for (let i = 0; i < folderNames.length; i++) {
+            if (checkboxes[i].checked) {
+                await AppState.addPaper(folderNames[i], { folderNames: [folderNames[i]] });
+                added++;
+            } else {
+                await AppState.setPaperFolderIgnored(folderNames[i], true);
+            }
+        }
+
+        if (added > 0) {
+            console.log(`[Papers] Added ${added} paper(s) from folders`);
+            Sidebar.render();
+        }
+        return added > 0;
+    }
+};
+
+// Make PaperManager globally available
+window.PaperManager = PaperManager;
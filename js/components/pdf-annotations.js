@@ -0,0 +1,178 @@
+/**
+ * UPSC Study Desk - PDF Annotations Component
+ * Highlights and page-linked notes for the PDF open in Study Mode
+ *
+ * Text is captured from the PDF.js viewer iframe (same-origin) and stored
+ * in IndexedDB per lecture and page.
+ */
+
+const PdfAnnotations = {
+    // Lecture whose annotations are listed
+    lecture: null,
+
+    // DOM reference for the list
+    listEl: null,
+
+    /**
+     * Render the annotations pane
+     * @param {HTMLElement} container - Side panel pane to append to
+     * @param {Object} lecture
+     */
+    async render(container, lecture) {
+        this.lecture = lecture;
+
+        const toolbar = Utils.createElement('div', { className: 'annotations-toolbar' }, [
+            Utils.createElement('button', {
+                className: 'btn btn-secondary btn-sm',
+                title: 'Save the text selected in the PDF',
+                onClick: async () => await this.highlightSelection()
+            }, [
+                Utils.createElement('i', { className: 'ph-duotone ph-highlighter-circle' }),
+                Utils.createElement('span', {}, ' Highlight')
+            ]),
+            Utils.createElement('button', {
+                className: 'btn btn-secondary btn-sm',
+                title: 'Add a note for the current page',
+                onClick: () => this.addPageNote()
+            }, [
+                Utils.createElement('i', { className: 'ph-duotone ph-note' }),
+                Utils.createElement('span', {}, ' Page Note')
+            ])
+        ]);
+
+        this.listEl = Utils.createElement('div', { className: 'annotations-list' });
+
+        container.appendChild(toolbar);
+        container.appendChild(this.listEl);
+
+        await this.refresh();
+    },
+
+    /**
+     * Reload and render the annotation list
+     */
+    async refresh() {
+        if (!this.lecture || !this.listEl) return;
+
+        const lecture = this.lecture;
+        const annotations = await AppState.getAnnotations(lecture.id);
+
+        // Stale check
+        if (this.lecture !== lecture) return;
+
+        Utils.clearElement(this.listEl);
+
+        if (annotations.length === 0) {
+            this.listEl.appendChild(Utils.createElement('div', { className: 'annotations-empty' },
+                'Select text in the PDF and click Highlight, or add a note for the current page.'
+            ));
+            return;
+        }
+
+        annotations.forEach(annotation => {
+            this.listEl.appendChild(this.createAnnotationItem(annotation));
+        });
+    },
+
+    /**
+     * Create a list item for an annotation
+     */
+    createAnnotationItem(annotation) {
+        const item = Utils.createElement('div', {
+            className: `annotation-item ${annotation.kind}`,
+            title: `Go to page ${annotation.page}`,
+            onClick: () => StudyMode.goToPdfPage(annotation.page)
+        }, [
+            Utils.createElement('div', { className: 'annotation-meta' }, [
+                Utils.createElement('span', { className: 'annotation-page' }, `p. ${annotation.page}`),
+                Utils.createElement('button', {
+                    className: 'lecture-action-btn delete',
+                    title: 'Delete',
+                    onClick: async (e) => {
+                        e.stopPropagation();
+                        await AppState.deleteAnnotation(annotation.id);
+                        await this.refresh();
+                    }
+                }, [Utils.createElement('i', { className: 'ph-duotone ph-trash' })])
+            ])
+        ]);
+
+        if (annotation.text) {
+            item.appendChild(Utils.createElement('blockquote', { className: 'annotation-quote' }, annotation.text));
+        }
+        if (annotation.comment) {
+            item.appendChild(Utils.createElement('div', { className: 'annotation-comment' }, annotation.comment));
+        }
+
+        return item;
+    },
+
+    /**
+     * Save the text currently selected in the PDF viewer
+     */
+    async highlightSelection() {
+        let selection = null;
+        try {
+            selection = StudyMode.pdfFrame?.contentWindow?.getSelection();
+        } catch (e) {
+            // Cross-origin viewer - selection not reachable
+        }
+
+        const text = selection ? selection.toString().replace(/\s+/g, ' ').trim() : '';
+        if (!text) {
+            KeyboardShortcuts.showToast('Select text in the PDF first');
+            return;
+        }
+
+        // Prefer the page that contains the selection over the visible page
+        let page = StudyMode.getPdfPage();
+        const anchor = selection.anchorNode;
+        const pageEl = anchor && (anchor.nodeType === 1 ? anchor : anchor.parentElement)?.closest('.page');
+        if (pageEl && pageEl.dataset.pageNumber) {
+            page = parseInt(pageEl.dataset.pageNumber);
+        }
+
+        try {
+            await AppState.addAnnotation(this.lecture.id, { kind: 'highlight', page, text });
+            selection.removeAllRanges();
+            KeyboardShortcuts.showToast(`Highlight saved (p. ${page})`);
+            await this.refresh();
+        } catch (err) {
+            console.error('[Annotations] Save error:', err);
+            alert('Failed to save highlight: ' + err.message);
+        }
+    },
+
+    /**
+     * Prompt for a note linked to the current page
+     */
+    addPageNote() {
+        const lecture = this.lecture;
+        const page = StudyMode.getPdfPage();
+
+        Modal.open({
+            title: `Note for page ${page}`,
+            placeholder: 'e.g., Important PYQ reference',
+            onConfirm: async (comment) => {
+                try {
+                    await AppState.addAnnotation(lecture.id, { kind: 'note', page, comment });
+                    if (this.lecture === lecture) await this.refresh();
+                } catch (err) {
+                    console.error('[Annotations] Save error:', err);
+                    alert('Failed to save note: ' + err.message);
+                }
+            }
+        });
+    },
+
+    /**
+     * Detach from the current lecture
+     */
+    reset() {
+        this.lecture = null;
+        this.listEl = null;
+    }
+};
+
+// Make PdfAnnotations globally available
+window.PdfAnnotations = PdfAnnotations;
@@ -0,0 +1,350 @@
+/**
+ * UPSC Study Desk - Playlist View Component
+ * User-ordered lecture lists across providers and courses, played back
+ * to back in Study Mode
+ */
+
+const PlaylistView = {
+    /**
+     * Render the playlist screen
+     */
+    async render() {
+        const container = Utils.$('content-area');
+        if (!container) return;
+
+        const playlist = AppState.getPlaylist(AppState.currentView.playlist);
+        if (!playlist) {
+            AppState.navigateTo();
+            await App.render();
+            return;
+        }
+
+        const entries = await this.getEntries(playlist);
+        const progress = this.getProgress(entries);
+        const fragment = document.createDocumentFragment();
+
+        fragment.appendChild(Utils.createElement('div', { className: 'content-header' }, [
+            Utils.createElement('h2', { className: 'content-title' }, playlist.name),
+            Utils.createElement('div', { className: 'content-actions' }, [
+                Utils.createElement('button', {
+                    className: 'lecture-action-btn',
+                    title: 'Rename playlist',
+                    onClick: () => this.promptName(playlist)
+                }, [Utils.createElement('i', { className: 'ph-duotone ph-pencil-simple' })]),
+                Utils.createElement('button', {
+                    className: 'lecture-action-btn delete',
+                    title: 'Delete playlist',
+                    onClick: async () => await this.confirmDelete(playlist)
+                }, [Utils.createElement('i', { className: 'ph-duotone ph-trash' })]),
+                Utils.createElement('button', {
+                    className: 'btn btn-primary',
+                    ...(entries.length === 0 ? { disabled: 'disabled' } : {}),
+                    onClick: async () => await this.play(playlist)
+                }, [
+                    Utils.createElement('i', { className: 'ph-duotone ph-play' }),
+                    Utils.createElement('span', {}, progress.completed > 0 && progress.completed < progress.total ? ' Continue' : ' Play')
+                ])
+            ])
+        ]));
+
+        fragment.appendChild(this.createProgress(progress));
+
+        if (entries.length === 0) {
+            fragment.appendChild(Utils.createElement('div', { className: 'empty-state' }, [
+                Utils.createElement('div', { className: 'empty-state-icon' }, [
+                    Utils.createElement('i', { className: 'ph-duotone ph-playlist' })
+                ]),
+                Utils.createElement('div', { className: 'empty-state-text' },
+                    'Empty playlist. Add lectures from any course with the playlist button on a lecture.'
+                )
+            ]));
+        } else {
+            const list = Utils.createElement('div', { className: 'item-list' });
+            entries.forEach((entry, index) => list.appendChild(this.createItem(playlist, entry, index, entries.length)));
+            fragment.appendChild(list);
+        }
+
+        Utils.clearElement(container);
+        container.appendChild(fragment);
+    },
+
+    /**
+     * Lectures of a playlist in play order
+     * (lectures deleted or in the trash are left out)
+     * @returns {Promise<Array>} [{ lecture, course, paper }]
+     */
+    async getEntries(playlist) {
+        const entries = [];
+        for (const lectureId of playlist.lectureIds) {
+            const lecture = await AppState.getLecture(lectureId);
+            const course = lecture && await AppState.getCourse(lecture.courseId);
+            const provider = course && await AppState.getProvider(course.providerId);
+            const paper = provider && AppState.getPaper(provider.paperId);
+            if (paper) entries.push({ lecture, course, paper });
+        }
+        return entries;
+    },
+
+    /**
+     * Completion of a playlist
+     * @param {Array} entries - Result of getEntries
+     */
+    getProgress(entries) {
+        const total = entries.length;
+        const completed = entries.filter(e => e.lecture.completed).length;
+        return { total, completed, percent: total > 0 ? Math.round((completed / total) * 100) : 0 };
+    },
+
+    /**
+     * Create a progress bar
+     */
+    createProgress(progress, label = null) {
+        return Utils.createElement('div', { className: 'playlist-progress' }, [
+            Utils.createElement('div', { className: 'progress-bar' }, [
+                Utils.createElement('div', { className: 'progress-fill', style: `width: ${progress.percent}%` })
+            ]),
+            Utils.createElement('span', { className: 'playlist-progress-text' },
+                label || `${progress.completed}/${progress.total} completed (${progress.percent}%)`
+            )
+        ]);
+    },
+
+    /**
+     * Create a playlist row
+     */
+    createItem(playlist, entry, index, count) {
+        const { lecture, course, paper } = entry;
+
+        return Utils.createElement('div', { className: `item-row playlist-item${lecture.completed ? ' completed' : ''}` }, [
+            Utils.createElement('span', { className: 'playlist-index' }, String(index + 1)),
+            Utils.createElement('i', {
+                className: `${lecture.completed ? 'ph-duotone ph-check-circle' : FileSystem.getTypeIcon(lecture.type)} item-row-icon`
+            }),
+            Utils.createElement('div', {
+                className: 'item-row-content revision-item-open',
+                title: 'Play from here',
+                onClick: async () => await this.play(playlist, lecture.id)
+            }, [
+                Utils.createElement('div', { className: 'item-row-title' }, lecture.title),
+                Utils.createElement('div', { className: 'item-row-meta' }, `${paper.name} · ${course.name}`)
+            ]),
+            Utils.createElement('div', { className: 'lecture-actions' }, [
+                Utils.createElement('button', {
+                    className: 'lecture-action-btn',
+                    title: 'Move up',
+                    ...(index === 0 ? { disabled: 'disabled' } : {}),
+                    onClick: async () => await this.move(playlist, lecture.id, -1)
+                }, [Utils.createElement('i', { className: 'ph ph-arrow-up' })]),
+                Utils.createElement('button', {
+                    className: 'lecture-action-btn',
+                    title: 'Move down',
+                    ...(index === count - 1 ? { disabled: 'disabled' } : {}),
+                    onClick: async () => await this.move(playlist, lecture.id, 1)
+                }, [Utils.createElement('i', { className: 'ph ph-arrow-down' })]),
+                Utils.createElement('button', {
+                    className: 'lecture-action-btn delete',
+                    title: 'Remove from playlist',
+                    onClick: async () => await this.removeLecture(playlist, lecture.id)
+                }, [Utils.createElement('i', { className: 'ph-duotone ph-x' })])
+            ])
+        ]);
+    },
+
+    /**
+     * Play a playlist in Study Mode
+     * @param {Object} playlist
+     * @param {string} lectureId - Where to start (default: first incomplete lecture)
+     */
+    async play(playlist, lectureId = null) {
+        if (!lectureId) {
+            const entries = await this.getEntries(playlist);
+            if (entries.length === 0) return;
+            const next = entries.find(e => !e.lecture.completed) || entries[0];
+            lectureId = next.lecture.id;
+        }
+        await StudyMode.enter(lectureId, { playlistId: playlist.id });
+    },
+
+    /**
+     * Lecture before/after another in a playlist
+     * @param {string} playlistId
+     * @param {string} lectureId
+     * @param {number} offset - -1 (previous) or 1 (next)
+     * @returns {Promise<Object|null>} Lecture, or null at either end
+     */
+    async getNeighbor(playlistId, lectureId, offset) {
+        const playlist = AppState.getPlaylist(playlistId);
+        if (!playlist) return null;
+
+        const ids = playlist.lectureIds;
+        for (let i = ids.indexOf(lectureId) + offset; i >= 0 && i < ids.length; i += offset) {
+            const lecture = await AppState.getLecture(ids[i]);
+            if (lecture) return lecture;
+        }
+        return null;
+    },
+
+    /**
+     * Move a lecture up or down
+     */
+    async move(playlist, lectureId, offset) {
+        const ids = playlist.lectureIds.slice();
+        const index = ids.indexOf(lectureId);
+        const target = index + offset;
+        if (index < 0 || target < 0 || target >= ids.length) return;
+
+        [ids[index], ids[target]] = [ids[target], ids[index]];
+        await AppState.savePlaylist({ ...playlist, lectureIds: ids });
+        await this.render();
+    },
+
+    /**
+     * Remove a lecture from a playlist
+     */
+    async removeLecture(playlist, lectureId) {
+        await AppState.savePlaylist({ ...playlist, lectureIds: playlist.lectureIds.filter(id => id !== lectureId) });
+        await this.render();
+    },
+
+    /**
+     * Create a playlist, or rename one
+     * @param {Object} playlist - Existing playlist, or null to create one
+     */
+    promptName(playlist = null) {
+        Modal.open({
+            title: playlist ? 'Rename Playlist' : 'New Playlist',
+            placeholder: 'e.g. Indian Economy',
+            value: playlist ? playlist.name : '',
+            onConfirm: async (name) => {
+                if (!name || !name.trim()) return;
+                try {
+                    const saved = await AppState.savePlaylist({
+                        id: playlist ? playlist.id : null,
+                        name,
+                        lectureIds: playlist ? playlist.lectureIds : []
+                    });
+                    if (!playlist) AppState.openPlaylist(saved.id);
+                    await App.render();
+                } catch (err) {
+                    console.error('[Playlists] Save error:', err);
+                    alert('Failed to save playlist: ' + err.message);
+                }
+            }
+        });
+    },
+
+    /**
+     * Delete a playlist (after confirmation)
+     */
+    async confirmDelete(playlist) {
+        const confirmed = await Dialog.open({
+            title: 'Delete Playlist',
+            body: Utils.createElement('p', {},
+                `Delete "${playlist.name}"? The lectures themselves are not affected.`
+            ),
+            actions: [
+                { label: 'Cancel', value: false },
+                { label: 'Delete', value: true, className: 'btn btn-primary' }
+            ]
+        });
+        if (!confirmed) return;
+
+        await AppState.deletePlaylist(playlist.id);
+        AppState.navigateTo();
+        await App.render();
+    },
+
+    /**
+     * Add a lecture to a playlist (or a new one)
+     * @param {Object} lecture
+     */
+    async promptAdd(lecture) {
+        const nameInput = Utils.createElement('input', {
+            className: 'modal-input',
+            type: 'text',
+            placeholder: 'New playlist name...'
+        });
+
+        const choice = await Dialog.open({
+            title: 'Add to Playlist',
+            body: (close) => [
+                AppState.getPlaylists().length > 0 ? Utils.createElement('div', { className: 'playlist-picker' },
+                    AppState.getPlaylists().map(playlist => {
+                        const added = playlist.lectureIds.includes(lecture.id);
+                        return Utils.createElement('button', {
+                            className: 'btn btn-secondary playlist-picker-item',
+                            ...(added ? { disabled: 'disabled' } : {}),
+                            onClick: () => close(playlist.id)
+                        }, [
+                            Utils.createElement('i', { className: added ? 'ph-duotone ph-check' : 'ph-duotone ph-playlist' }),
+                            Utils.createElement('span', {}, ` ${playlist.name}`),
+                            Utils.createElement('span', { className: 'item-row-meta' }, ` ${playlist.lectureIds.length}`)
+                        ]);
+                    })
+                ) : '',
+                nameInput
+            ],
+            actions: [
+                { label: 'Cancel', value: null },
+                { label: 'Create & Add', value: 'new', className: 'btn btn-primary' }
+            ]
+        });
+        if (!choice) return;
+
+        try {
+            if (choice === 'new') {
+                if (!nameInput.value.trim()) {
+                    alert('Please enter a name for the playlist.');
+                    return;
+                }
+                await AppState.savePlaylist({ name: nameInput.value, lectureIds: [lecture.id] });
+                KeyboardShortcuts.showToast(`Added to ${nameInput.value.trim()}`);
+            } else {
+                await AppState.addToPlaylist(choice, lecture.id);
+                KeyboardShortcuts.showToast(`Added to ${AppState.getPlaylist(choice).name}`);
+            }
+            Sidebar.render();
+        } catch (err) {
+            console.error('[Playlists] Add error:', err);
+            alert('Failed to add to playlist: ' + err.message);
+        }
+    },
+
+    /**
+     * Playlist bar shown in Study Mode (position, progress, previous/next)
+     * @param {string} playlistId
+     * @param {string} lectureId - Lecture being studied
+     * @returns {Promise<HTMLElement|null>}
+     */
+    async createBar(playlistId, lectureId) {
+        const playlist = AppState.getPlaylist(playlistId);
+        if (!playlist) return null;
+
+        const entries = await this.getEntries(playlist);
+        const index = entries.findIndex(e => e.lecture.id === lectureId);
+        const progress = this.getProgress(entries);
+
+        return Utils.createElement('div', { className: 'playlist-bar' }, [
+            Utils.createElement('i', { className: 'ph-duotone ph-playlist' }),
+            Utils.createElement('span', { className: 'playlist-bar-name' },
+                `${playlist.name} · ${index + 1}/${entries.length}`
+            ),
+            this.createProgress(progress, `${progress.percent}%`),
+            Utils.createElement('button', {
+                className: 'btn btn-secondary btn-sm',
+                title: 'Previous in playlist',
+                ...(index <= 0 ? { disabled: 'disabled' } : {}),
+                onClick: async () => await StudyMode.playInPlaylist(-1)
+            }, [Utils.createElement('i', { className: 'ph-duotone ph-skip-back' })]),
+            Utils.createElement('button', {
+                className: 'btn btn-secondary btn-sm',
+                title: 'Next in playlist',
+                ...(index >= entries.length - 1 ? { disabled: 'disabled' } : {}),
+                onClick: async () => await StudyMode.playInPlaylist(1)
+            }, [Utils.createElement('i', { className: 'ph-duotone ph-skip-forward' })])
+        ]);
+    }
+};
+
+// Make PlaylistView globally available
+window.PlaylistView = PlaylistView;
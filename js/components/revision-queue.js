@@ -0,0 +1,154 @@
+/**
+ * UPSC Study Desk - Revision Queue Component
+ * "Due for revision today" list on the home screen, rated by recall
+ */
+
+const RevisionQueue = {
+    // Rows shown before "and N more"
+    LIST_LIMIT: 8,
+
+    // Rendered section (replaced in place after a rating)
+    sectionEl: null,
+
+    /**
+     * Render the queue (nothing if no revisions were ever scheduled)
+     * @param {HTMLElement} container - Parent element to append to
+     */
+    async render(container) {
+        const section = await this.createSection();
+        if (!section) return;
+
+        this.sectionEl = section;
+        container.appendChild(section);
+    },
+
+    /**
+     * Rebuild the section after the queue changed
+     */
+    async refresh() {
+        if (!this.sectionEl || !this.sectionEl.isConnected) return;
+
+        const section = await this.createSection();
+        if (section) {
+            this.sectionEl.replaceWith(section);
+            this.sectionEl = section;
+        } else {
+            this.sectionEl.remove();
+            this.sectionEl = null;
+        }
+    },
+
+    /**
+     * Build the queue section
+     * @returns {Promise<HTMLElement|null>}
+     */
+    async createSection() {
+        const lectures = await DB.getAll('lectures');
+        const scheduled = lectures.filter(l => l.completed && l.nextRevisionAt);
+        if (scheduled.length === 0) return null;
+
+        const due = Revision.getDue(scheduled);
+
+        const section = Utils.createElement('div', { className: 'recent-section revision-queue' }, [
+            Utils.createElement('h3', { className: 'section-title' }, [
+                Utils.createElement('i', { className: 'ph-duotone ph-arrows-clockwise' }),
+                Utils.createElement('span', {}, ` Due for Revision Today${due.length > 0 ? ` (${due.length})` : ''}`)
+            ])
+        ]);
+
+        if (due.length === 0) {
+            const next = scheduled.map(l => l.nextRevisionAt).sort()[0];
+            const days = Revision.daysUntil(next);
+            section.appendChild(Utils.createElement('p', { className: 'list-hint' },
+                `Nothing due today. Next revision ${days === 1 ? 'tomorrow' : `in ${days} days`}.`
+            ));
+            return section;
+        }
+
+        const list = Utils.createElement('div', { className: 'item-list' });
+        for (const lecture of due.slice(0, this.LIST_LIMIT)) {
+            const course = await AppState.getCourse(lecture.courseId);
+            list.appendChild(this.createItem(lecture, course));
+        }
+        section.appendChild(list);
+
+        if (due.length > this.LIST_LIMIT) {
+            section.appendChild(Utils.createElement('p', { className: 'list-hint' },
+                `…and ${due.length - this.LIST_LIMIT} more. Clear the list above to see them.`
+            ));
+        }
+
+        return section;
+    },
+
+    /**
+     * Create a queue row
+     */
+    createItem(lecture, course) {
+        const overdue = -Revision.daysUntil(lecture.nextRevisionAt);
+        const count = (lecture.revisions || []).length;
+        const meta = [
+            course ? course.name : '',
+            overdue > 0 ? `${overdue} day${overdue === 1 ? '' : 's'} overdue` : 'due today',
+            count > 0 ? `revised ${count}×` : 'first revision'
+        ].filter(Boolean).join(' · ');
+
+        return Utils.createElement('div', { className: 'item-row' }, [
+            Utils.createElement('i', { className: `${FileSystem.getTypeIcon(lecture.type)} item-row-icon` }),
+            Utils.createElement('div', {
+                className: 'item-row-content revision-item-open',
+                title: 'Open in Study Mode',
+                onClick: async () => await StudyMode.enter(lecture.id)
+            }, [
+                Utils.createElement('div', { className: 'item-row-title' }, lecture.title),
+                Utils.createElement('div', { className: 'item-row-meta' }, meta)
+            ]),
+            Utils.createElement('div', { className: 'revision-ratings' },
+                Object.entries(Revision.RECALL).map(([recall, rating]) => Utils.createElement('button', {
+                    className: `btn btn-secondary btn-sm revision-rate-${recall}`,
+                    title: `Recall: ${rating.label}`,
+                    onClick: async () => await this.rate(lecture, recall)
+                }, rating.label))
+            )
+        ]);
+    },
+
+    /**
+     * Record a rating and update the queue
+     */
+    async rate(lecture, recall) {
+        try {
+            const days = await AppState.recordRevision(lecture, recall);
+            KeyboardShortcuts.showToast(`Next revision ${days === 1 ? 'tomorrow' : `in ${days} days`}`);
+            await this.refresh();
+        } catch (err) {
+            console.error('[Revision] Rate error:', err);
+            alert('Failed to save revision: ' + err.message);
+        }
+    },
+
+    /**
+     * Ask how well a lecture was remembered and record the revision
+     * @param {Object} lecture
+     * @returns {Promise<boolean>} True if a revision was recorded
+     */
+    async promptRecall(lecture) {
+        const recall = await Dialog.open({
+            title: 'How well did you remember it?',
+            body: Utils.createElement('p', { className: 'list-hint' },
+                'Your rating sets when this lecture comes up for revision again.'
+            ),
+            actions: [
+                { label: 'Cancel', value: null },
+                ...Object.entries(Revision.RECALL).map(([key, rating]) => ({ label: rating.label, value: key }))
+            ]
+        });
+        if (!recall) return false;
+
+        await this.rate(lecture, recall);
+        return true;
+    }
+};
+
+// Make RevisionQueue globally available
+window.RevisionQueue = RevisionQueue;
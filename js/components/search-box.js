@@ -0,0 +1,223 @@
+/**
+ * UPSC Study Desk - Search Box Component
+ * Global search palette (open with "/" or Ctrl+K)
+ */
+
+const SearchBox = {
+    isOpen: false,
+
+    // Current results and keyboard selection
+    results: [],
+    selectedIndex: 0,
+
+    // DOM references (built lazily)
+    overlay: null,
+    input: null,
+    listEl: null,
+
+    // Icons per result kind
+    kindIcons: {
+        provider: 'ph-duotone ph-buildings',
+        course: 'ph-duotone ph-folder',
+        lecture: 'ph-duotone ph-video',
+        note: 'ph-duotone ph-note-pencil',
+        page: 'ph-duotone ph-file-magnifying-glass'
+    },
+
+    /**
+     * Render the toolbar search button
+     */
+    init() {
+        const actions = document.querySelector('.toolbar-actions');
+        if (!actions) return;
+
+        const btn = Utils.createElement('button', {
+            className: 'search-trigger',
+            title: 'Search (/ or Ctrl+K)',
+            onClick: () => this.open()
+        }, [
+            Utils.createElement('i', { className: 'ph-duotone ph-magnifying-glass' }),
+            Utils.createElement('span', {}, ' Search'),
+            Utils.createElement('kbd', {}, '/')
+        ]);
+        actions.insertBefore(btn, actions.firstChild);
+    },
+
+    /**
+     * Build the overlay DOM once
+     */
+    build() {
+        this.input = Utils.createElement('input', {
+            type: 'text',
+            className: 'modal-input search-input',
+            placeholder: 'Search lectures, courses, providers, notes...',
+            autocomplete: 'off'
+        });
+        this.input.addEventListener('input', Utils.debounce(() => this.runQuery(), 120));
+        this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+        this.listEl = Utils.createElement('div', { className: 'search-results' });
+
+        this.overlay = Utils.createElement('div', { className: 'modal-overlay search-overlay' }, [
+            Utils.createElement('div', { className: 'modal search-modal' }, [
+                Utils.createElement('div', { className: 'modal-body' }, [this.input]),
+                this.listEl
+            ])
+        ]);
+        this.overlay.addEventListener('click', (e) => {
+            if (e.target === this.overlay) this.close();
+        });
+
+        document.body.appendChild(this.overlay);
+    },
+
+    /**
+     * Open the search palette
+     */
+    async open() {
+        if (!this.overlay) this.build();
+
+        this.isOpen = true;
+        this.overlay.classList.add('active');
+        this.input.value = '';
+        this.results = [];
+        this.renderResults();
+        setTimeout(() => this.input.focus(), 50);
+
+        // Fresh index on every open (the last one is kept if this fails)
+        try {
+            await Search.buildIndex();
+        } catch (err) {
+            console.error('[Search] Index build failed:', err);
+        }
+        if (this.input.value) this.runQuery();
+    },
+
+    /**
+     * Close the search palette
+     */
+    close() {
+        this.isOpen = false;
+        if (this.overlay) this.overlay.classList.remove('active');
+    },
+
+    /**
+     * Run the current query and render results
+     */
+    async runQuery() {
+        const text = this.input.value;
+        const results = Search.query(text);
+
+        // PDF contents come after title/note hits (left out if the page index can't be read)
+        let pageResults = [];
+        try {
+            pageResults = await Search.queryPdfPages(text);
+        } catch (err) {
+            console.error('[Search] PDF page search failed:', err);
+        }
+
+        // Stale check (user kept typing)
+        if (text !== this.input.value) return;
+
+        this.results = results.concat(pageResults);
+        this.selectedIndex = 0;
+        this.renderResults();
+    },
+
+    /**
+     * Keyboard navigation inside the palette
+     */
+    handleKeydown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.close();
+        } else if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            this.select(Math.min(this.results.length - 1, this.selectedIndex + 1));
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            this.select(Math.max(0, this.selectedIndex - 1));
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            const result = this.results[this.selectedIndex];
+            if (result) this.openResult(result.doc);
+        }
+    },
+
+    /**
+     * Move the keyboard selection
+     */
+    select(index) {
+        this.selectedIndex = index;
+        this.listEl.querySelectorAll('.search-result').forEach((el, i) => {
+            el.classList.toggle('selected', i === index);
+            if (i === index) el.scrollIntoView({ block: 'nearest' });
+        });
+    },
+
+    /**
+     * Render the result list
+     */
+    renderResults() {
+        Utils.clearElement(this.listEl);
+
+        if (PdfIndexer.isRunning) {
+            this.listEl.appendChild(Utils.createElement('div', { className: 'search-status' },
+                `Indexing PDFs in the background (${PdfIndexer.status.done}/${PdfIndexer.status.total})...`
+            ));
+        }
+
+        if (!this.input.value.trim()) return;
+
+        if (this.results.length === 0) {
+            this.listEl.appendChild(Utils.createElement('div', { className: 'search-empty' }, 'No matches found.'));
+            return;
+        }
+
+        this.results.forEach((result, index) => {
+            const { doc, snippet } = result;
+            const icon = doc.kind === 'lecture' ? FileSystem.getTypeIcon(doc.type) : this.kindIcons[doc.kind];
+
+            const item = Utils.createElement('div', {
+                className: `search-result${index === this.selectedIndex ? ' selected' : ''}`,
+                onClick: () => this.openResult(doc)
+            }, [
+                Utils.createElement('i', { className: `${icon} search-result-icon` }),
+                Utils.createElement('div', { className: 'search-result-content' }, [
+                    Utils.createElement('div', { className: 'search-result-title' }, doc.title),
+                    Utils.createElement('div', { className: 'search-result-meta' }, doc.path),
+                    snippet ? Utils.createElement('div', { className: 'search-result-snippet' }, snippet) : ''
+                ]),
+                Utils.createElement('span', { className: 'search-result-kind' }, doc.kind)
+            ]);
+            item.addEventListener('mouseenter', () => this.select(index));
+            this.listEl.appendChild(item);
+        });
+    },
+
+    /**
+     * Open a search hit
+     * @param {Object} doc - Indexed document
+     */
+    async openResult(doc) {
+        this.close();
+
+        if (doc.lectureId) {
+            // Land on the course list when leaving Study Mode
+            AppState.navigateTo(doc.paperId, doc.providerId, doc.courseId);
+            await StudyMode.enter(doc.lectureId, { page: doc.page });
+            if (doc.kind === 'note') StudyMode.showSideTab('notes');
+            return;
+        }
+
+        if (AppState.mode === 'study' && !await StudyMode.exit()) {
+            return;
+        }
+
+        AppState.navigateTo(doc.paperId, doc.providerId, doc.courseId || null);
+        await App.render();
+    }
+};
+
+// Make SearchBox globally available
+window.SearchBox = SearchBox;
@@ -104,7 +104,10 @@ const Sidebar = {
 
         papers.forEach(paper => {
             const isActive = AppState.currentView.paper === paper.id;
-            const iconHtml = getIcon(paper.id, paper.name);
+            // User-chosen icon, or a guess for legacy emoji icons
+            const iconHtml = paper.icon && paper.icon.startsWith('ph-')
+                ? `<i class="${paper.icon}"></i>`
+                : getIcon(paper.id, paper.name);
 
             const item = Utils.createElement('div', {
                 className: `paper-item${isActive ? ' active' : ''}`,
@@ -120,6 +123,112 @@ const Sidebar = {
 
             container.appendChild(item);
         });
+
+        // Smart collections
+        container.appendChild(Utils.createElement('div', { className: 'sidebar-section-title' }, 'Collections'));
+        AppState.getCollections().forEach(collection => {
+            container.appendChild(this.createCollectionItem(collection));
+        });
+        container.appendChild(Utils.createElement('div', {
+            className: 'paper-item paper-item-collection paper-item-new',
+            title: 'Save a lecture filter, e.g. tag:weak AND paper:GS3 AND NOT completed',
+            onClick: async () => await LectureList.promptCollection()
+        }, [
+            Utils.createElement('span', { className: 'paper-item-icon' }, [
+                Utils.createElement('i', { className: 'ph ph-plus' })
+            ]),
+            Utils.createElement('span', { className: 'paper-item-name' }, 'New Collection')
+        ]));
+
+        // Playlists
+        container.appendChild(Utils.createElement('div', { className: 'sidebar-section-title' }, 'Playlists'));
+        AppState.getPlaylists().forEach(playlist => {
+            container.appendChild(this.createPlaylistItem(playlist));
+        });
+        container.appendChild(Utils.createElement('div', {
+            className: 'paper-item paper-item-collection paper-item-new',
+            title: 'Line up lectures from any course to play back to back',
+            onClick: () => PlaylistView.promptName()
+        }, [
+            Utils.createElement('span', { className: 'paper-item-icon' }, [
+                Utils.createElement('i', { className: 'ph ph-plus' })
+            ]),
+            Utils.createElement('span', { className: 'paper-item-name' }, 'New Playlist')
+        ]));
+
+        // Standalone screens
+        container.appendChild(this.createScreenItem('flashcards', 'ph-duotone ph-cards', 'Flashcards', 'Review flashcards from your notes'));
+        container.appendChild(this.createScreenItem('syllabus', 'ph-duotone ph-tree-structure', 'Syllabus', 'UPSC syllabus coverage by topic'));
+        container.appendChild(this.createScreenItem('papers', 'ph-duotone ph-sliders-horizontal', 'Manage Papers', 'Add, rename, reorder or delete papers'));
+    },
+
+    /**
+     * Create a sidebar item that opens a standalone screen
+     * @param {string} screen - See AppState.screenLabels
+     */
+    createScreenItem(screen, icon, label, title) {
+        const isActive = AppState.currentView.screen === screen;
+
+        return Utils.createElement('div', {
+            className: `paper-item paper-item-manage${isActive ? ' active' : ''}`,
+            title,
+            onClick: async () => {
+                AppState.openScreen(screen);
+                await App.render();
+            }
+        }, [
+            Utils.createElement('span', { className: 'paper-item-icon' }, [
+                Utils.createElement('i', { className: icon })
+            ]),
+            Utils.createElement('span', { className: 'paper-item-name' }, label)
+        ]);
+    },
+
+    /**
+     * Create a sidebar item that opens a smart collection
+     * @param {Object} collection - { id, name, query }
+     */
+    createCollectionItem(collection) {
+        const { screen, collection: activeId } = AppState.currentView;
+        const isActive = screen === 'collection' && activeId === collection.id;
+
+        return Utils.createElement('div', {
+            className: `paper-item paper-item-collection${isActive ? ' active' : ''}`,
+            title: collection.query,
+            onClick: async () => {
+                AppState.openCollection(collection.id);
+                await App.render();
+            }
+        }, [
+            Utils.createElement('span', { className: 'paper-item-icon' }, [
+                Utils.createElement('i', { className: 'ph-duotone ph-funnel' })
+            ]),
+            Utils.createElement('span', { className: 'paper-item-name' }, collection.name)
+        ]);
+    },
+
+    /**
+     * Create a sidebar item that opens a playlist
+     * @param {Object} playlist - { id, name, lectureIds }
+     */
+    createPlaylistItem(playlist) {
+        const { screen, playlist: activeId } = AppState.currentView;
+        const isActive = screen === 'playlist' && activeId === playlist.id;
+        const count = playlist.lectureIds.length;
+
+        return Utils.createElement('div', {
+            className: `paper-item paper-item-collection${isActive ? ' active' : ''}`,
+            title: `${count} lecture${count === 1 ? '' : 's'}`,
+            onClick: async () => {
+                AppState.openPlaylist(playlist.id);
+                await App.render();
+            }
+        }, [
+            Utils.createElement('span', { className: 'paper-item-icon' }, [
+                Utils.createElement('i', { className: 'ph-duotone ph-playlist' })
+            ]),
+            Utils.createElement('span', { className: 'paper-item-name' }, playlist.name)
+        ]);
     },
 
     /**
@@ -134,7 +243,7 @@ const Sidebar = {
      * Update active state without full re-render
      */
     updateActiveState() {
-        const items = document.querySelectorAll('.paper-item');
+        const items = document.querySelectorAll('.paper-item[data-paper-id]');
         items.forEach(item => {
             const isActive = item.dataset.paperId === AppState.currentView.paper;
             item.classList.toggle('active', isActive);
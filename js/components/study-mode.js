@@ -1,6 +1,6 @@
 /**
  * UPSC Study Desk - Study Mode Component
- * Isolated, focused study environment for video/PDF content
+ * Isolated, focused study environment for video, audio, PDF, image and document content
  * 
  * KEY DESIGN: File system is the source of truth.
  * Files are scanned LIVE from disk, not from stored filenames.
@@ -21,18 +21,59 @@ const StudyMode = {
     // Current media object URL (for cleanup)
     currentObjectURL: null,
 
+    // Subtitle tracks of the current video: [{ label, lang, cues, url }]
+    subtitleTracks: [],
+
+    // Side panel state (kept across lectures)
+    sidePanelOpen: true,
+    activeSideTab: 'notes',
+
+    // PDF.js viewer iframe (PDF lectures only)
+    pdfFrame: null,
+
+    // Page to open instead of the saved one (e.g., from a search hit)
+    pendingPage: null,
+
+    // Playlist being played back to back (null when studying a single lecture)
+    playlistId: null,
+
+    // Countdown before the next lecture starts (playlists, or course autoplay)
+    autoplayTimer: null,
+
+    // Seconds of countdown before autoplay
+    AUTOPLAY_SECONDS: 5,
+
+    // Playback defaults of the current lecture's course (see CourseSettings)
+    courseSettings: null,
+
+    // Set once the end of the current media is handled (real end or skipped outro)
+    endHandled: false,
+
+    // Set when the lecture was marked complete by reaching the course's threshold
+    autoCompleted: false,
+
+    // Player time at the previous timeupdate (to measure time actually played)
+    lastPlayTime: null,
+
+    // Longest step between two timeupdates that still counts as playback
+    // (a bigger jump is a seek)
+    MAX_PLAY_STEP: 3,
+
     /**
      * Enter Study Mode for a lecture
      * @param {string} lectureId
+     * @param {Object} options - { page } to open a PDF at a specific page,
+     *   { playlistId } to play the lecture as part of a playlist
      */
-    async enter(lectureId) {
+    async enter(lectureId, options = {}) {
         // 1. Start new session
         const thisSessionId = ++this.activeSessionId;
         console.log(`[StudyMode] Starting session ${thisSessionId} for lecture ${lectureId}`);
 
-        // 2. Save position if switching from another lecture
+        // 2. Save position and notes if switching from another lecture
         if (this.currentLecture) {
             await this.savePosition();
+            await NotesPanel.flush();
         }
 
         // 3. Immediate cleanup
@@ -52,6 +93,9 @@ const StudyMode = {
         }
 
         this.currentLecture = lecture;
+        this.pendingPage = options.page || null;
+        this.playlistId = options.playlistId || null;
+        this.courseSettings = await CourseSettings.get(lecture.courseId);
         AppState.mode = 'study';
 
         // Track last opened time
@@ -59,6 +103,9 @@ const StudyMode = {
         await DB.put('lectures', this.currentLecture);
         AppState.invalidateCache();
 
+        // Active study time (the previous lecture's time is saved first)
+        await StudyTimer.start(this.currentLecture);
+
         // 3. Live Scan
         await this.refreshFileFromDisk();
 
@@ -85,35 +132,33 @@ const StudyMode = {
     async refreshFileFromDisk() {
         this.currentFile = null;
 
-        if (!FileSystem.hasMasterFolder()) {
-            console.log('No master folder configured');
-            return;
-        }
-
         try {
             const course = await AppState.getCourse(this.currentLecture.courseId);
             if (!course.folderPath) return;
 
-            const folder = await FileSystem.getOrCreateFolder(course.folderPath);
-            const files = [];
-
-            for await (const [name, handle] of folder) {
-                if (handle.kind === 'file') {
-                    const type = FileSystem.classifyFile(name);
-                    if (type) files.push({ name, handle, type });
-                }
+            if (!FileSystem.isRootConnected(course.rootId)) {
+                console.log(`Library folder not connected: ${FileSystem.getRootName(course.rootId) || 'none'}`);
+                return;
             }
 
-            files.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+            const folder = await FileSystem.getOrCreateFolder(course.folderPath, course.rootId);
+
+            // Same order as sync (module folders included)
+            const files = await FileSystem.scanCourseFolder(folder);
 
-            // Match by order index
+            // Match by file name (kept current by sync), else by order index
+            const subPath = this.currentLecture.subPath || '';
+            const byName = files.find(f => f.name === this.currentLecture.fileName && f.subPath === subPath);
             const orderIndex = this.currentLecture.orderIndex || 0;
-            if (orderIndex < files.length) {
+            if (byName) {
+                this.currentFile = byName;
+            } else if (orderIndex < files.length) {
                 this.currentFile = files[orderIndex];
 
                 // Sync filename if changed (renamed on disk)
-                if (this.currentLecture.fileName !== this.currentFile.name) {
+                if (this.currentLecture.fileName !== this.currentFile.name || subPath !== this.currentFile.subPath) {
                     this.currentLecture.fileName = this.currentFile.name;
+                    this.currentLecture.subPath = this.currentFile.subPath;
                     this.currentLecture.title = FileSystem.getTitleFromFilename(this.currentFile.name);
                     await DB.put('lectures', this.currentLecture);
                     AppState.invalidateCache();
@@ -126,17 +171,24 @@ const StudyMode = {
 
     /**
      * Exit Study Mode
+     * @returns {Promise<boolean>} False if a locked focus session prevents it
      */
     async exit() {
+        if (!FocusSession.canLeave()) return false;
+
         // Increment session ID to invalidate any pending loads
         this.activeSessionId++;
 
         await this.savePosition();
+        await NotesPanel.flush();
+        await StudyTimer.stop();
         this.cleanup();
 
         this.currentLecture = null;
         this.currentFile = null;
+        this.playlistId = null;
         AppState.mode = 'browse';
+        FolderWatcher.resumeAfterStudy();
 
         const modeBadge = document.querySelector('.mode-badge');
         if (modeBadge) {
@@ -148,6 +200,7 @@ const StudyMode = {
         if (sidebar) sidebar.classList.remove('hidden');
 
         await App.render();
+        return true;
     },
 
     /**
@@ -175,8 +228,44 @@ const StudyMode = {
             ]),
             Utils.createElement('h2', { className: 'study-title' }, this.currentLecture.title),
             Utils.createElement('div', { className: 'study-actions' }, [
+                StudyTimer.createDisplay(),
+                FocusSession.createControl(),
+                Utils.createElement('button', {
+                    className: 'btn btn-secondary',
+                    title: 'Tag this lecture with syllabus topics',
+                    onClick: async () => {
+                        if (await SyllabusMap.tagLecture(this.currentLecture)) {
+                            await NotesPanel.flush();
+                            this.render(this.activeSessionId);
+                        }
+                    }
+                }, [
+                    Utils.createElement('i', { className: 'ph-duotone ph-tree-structure' }),
+                    Utils.createElement('span', {}, ` Topics${(this.currentLecture.syllabusTopics || []).length > 0 ? ` (${this.currentLecture.syllabusTopics.length})` : ''}`)
+                ]),
+                Utils.createElement('button', {
+                    className: 'btn btn-secondary',
+                    title: 'Show/hide notes panel',
+                    onClick: () => this.toggleSidePanel()
+                }, [
+                    Utils.createElement('i', { className: 'ph-duotone ph-note-pencil' }),
+                    Utils.createElement('span', {}, ' Notes')
+                ]),
+                Revision.isDue(this.currentLecture) ? Utils.createElement('button', {
+                    className: 'btn btn-primary',
+                    title: 'Rate how well you remembered this lecture',
+                    onClick: async () => {
+                        if (await RevisionQueue.promptRecall(this.currentLecture)) {
+                            await NotesPanel.flush();
+                            this.render(this.activeSessionId);
+                        }
+                    }
+                }, [
+                    Utils.createElement('i', { className: 'ph-duotone ph-arrows-clockwise' }),
+                    Utils.createElement('span', {}, ' Revised')
+                ]) : '',
                 Utils.createElement('button', {
-                    className: `btn ${this.currentLecture.completed ? 'btn-success' : 'btn-secondary'}`,
+                    className: `btn ${this.currentLecture.completed ? 'btn-success' : 'btn-secondary'} study-complete-btn`,
                     onClick: async () => await this.toggleComplete()
                 }, this.currentLecture.completed ? '✓ Completed' : 'Mark Complete'),
 
@@ -184,28 +273,127 @@ const StudyMode = {
         ]);
         container.appendChild(header);
 
-        // Main Content
+        if (this.playlistId) {
+            const bar = await PlaylistView.createBar(this.playlistId, this.currentLecture.id);
+            if (sessionId && this.activeSessionId !== sessionId) return;
+            if (bar) container.appendChild(bar);
+        }
+
+        // Main Content (media + notes side by side)
         const mainArea = Utils.createElement('div', { className: 'study-main' });
+        const mediaArea = Utils.createElement('div', { className: 'study-media' });
+        mainArea.appendChild(mediaArea);
+        container.appendChild(mainArea);
 
-        if (this.currentLecture.type === 'video') {
-            await this.renderVideoPlayer(mainArea, sessionId);
+        if (FileSystem.isPlayable(this.currentLecture.type)) {
+            mediaArea.classList.add('video-mode');
+            await this.renderVideoPlayer(mediaArea, sessionId);
+            if (this.currentFile) {
+                await VideoBookmarks.render(mediaArea, this.currentLecture);
+            }
         } else if (this.currentLecture.type === 'pdf') {
-            await this.renderPdfViewer(mainArea);
+            await this.renderPdfViewer(mediaArea);
+        } else if (this.currentLecture.type === 'image') {
+            await this.renderImageViewer(mediaArea);
+        } else if (this.currentLecture.type === 'document') {
+            await this.renderDocumentViewer(mediaArea, sessionId);
         }
 
-        container.appendChild(mainArea);
+        // Race check
+        if (sessionId && this.activeSessionId !== sessionId) return;
+
+        await this.renderSidePanel(mainArea);
+    },
+
+    /**
+     * Render the tabbed side panel (notes, PDF highlights, transcript)
+     * @param {HTMLElement} container
+     */
+    async renderSidePanel(container) {
+        const lecture = this.currentLecture;
+        const tabs = [
+            { id: 'notes', label: 'Notes', icon: 'ph-duotone ph-note-pencil', render: pane => NotesPanel.render(pane, lecture) }
+        ];
+
+        if (lecture.type === 'pdf') {
+            tabs.push({ id: 'highlights', label: 'Highlights', icon: 'ph-duotone ph-highlighter-circle', render: pane => PdfAnnotations.render(pane, lecture) });
+        }
+
+        if (this.subtitleTracks.length > 0) {
+            tabs.push({ id: 'transcript', label: 'Transcript', icon: 'ph-duotone ph-subtitles', render: pane => TranscriptPanel.render(pane, this.subtitleTracks) });
+        }
+
+        if (!tabs.some(t => t.id === this.activeSideTab)) {
+            this.activeSideTab = tabs[0].id;
+        }
+
+        const tabBar = Utils.createElement('div', { className: 'study-side-tabs' });
+        const side = Utils.createElement('aside', {
+            className: `study-side${this.sidePanelOpen ? '' : ' hidden'}`
+        }, [tabBar]);
+        container.appendChild(side);
+
+        for (const tab of tabs) {
+            const isActive = tab.id === this.activeSideTab;
+
+            tabBar.appendChild(Utils.createElement('button', {
+                className: `study-side-tab${isActive ? ' active' : ''}`,
+                dataset: { tab: tab.id },
+                onClick: () => this.showSideTab(tab.id)
+            }, [
+                Utils.createElement('i', { className: tab.icon }),
+                Utils.createElement('span', {}, ` ${tab.label}`)
+            ]));
+
+            const pane = Utils.createElement('div', {
+                className: `study-side-pane${isActive ? '' : ' hidden'}`,
+                dataset: { tab: tab.id }
+            });
+            side.appendChild(pane);
+            await tab.render(pane);
+        }
+    },
+
+    /**
+     * Show or hide the side panel
+     */
+    toggleSidePanel() {
+        this.sidePanelOpen = !this.sidePanelOpen;
+        const side = document.querySelector('.study-side');
+        if (side) side.classList.toggle('hidden', !this.sidePanelOpen);
+    },
+
+    /**
+     * Open the side panel on a specific tab
+     * @param {string} tabId - e.g., 'notes', 'highlights', 'transcript'
+     */
+    showSideTab(tabId) {
+        this.activeSideTab = tabId;
+        this.sidePanelOpen = true;
 
+        const side = document.querySelector('.study-side');
+        if (!side) return;
+
+        side.classList.remove('hidden');
+        side.querySelectorAll('.study-side-tab').forEach(el => {
+            el.classList.toggle('active', el.dataset.tab === tabId);
+        });
+        side.querySelectorAll('.study-side-pane').forEach(el => {
+            el.classList.toggle('hidden', el.dataset.tab !== tabId);
+        });
     },
 
     /**
-     * Render video player with Plyr integration
+     * Render video/audio player with Plyr integration
+     * Audio uses the same player (resume, speed, bookmarks) without the video frame.
      */
     async renderVideoPlayer(container, sessionId) {
-        const videoWrapper = Utils.createElement('div', { className: 'video-wrapper' });
+        const isAudio = this.currentLecture.type === 'audio';
+        const videoWrapper = Utils.createElement('div', { className: `video-wrapper${isAudio ? ' audio-wrapper' : ''}` });
 
         // Fallback or Loading
         if (!this.currentFile) {
-            videoWrapper.innerHTML = '<div class="study-fallback">Video file not found in folder.</div>';
+            videoWrapper.innerHTML = `<div class="study-fallback">${isAudio ? 'Audio' : 'Video'} file not found in folder.</div>`;
             container.appendChild(videoWrapper);
             return;
         }
@@ -219,26 +407,46 @@ const StudyMode = {
 
             this.currentObjectURL = URL.createObjectURL(file);
 
-            const video = Utils.createElement('video', {
-                className: 'study-video',
+            const video = Utils.createElement(isAudio ? 'audio' : 'video', {
+                className: `study-video${isAudio ? ' study-audio' : ''}`,
                 controls: 'true',
                 playsinline: 'true',
                 preload: 'metadata'
             });
             video.src = this.currentObjectURL;
 
+            // Sidecar subtitles (Plyr reads <track> elements on init)
+            await this.loadSubtitles();
+            if (sessionId && this.activeSessionId !== sessionId) return;
+
+            this.subtitleTracks.forEach(track => {
+                video.appendChild(Utils.createElement('track', {
+                    kind: 'captions',
+                    label: track.label,
+                    src: track.url,
+                    ...(track.lang ? { srclang: track.lang } : {})
+                }));
+            });
+
             // Append FIRST (Plyr needs it in DOM)
+            if (isAudio) {
+                videoWrapper.appendChild(Utils.createElement('div', { className: 'audio-cover' }, [
+                    Utils.createElement('i', { className: 'ph-duotone ph-headphones' })
+                ]));
+            }
             videoWrapper.appendChild(video);
             container.appendChild(videoWrapper);
 
             // Initialize Plyr
             if (window.Plyr) {
                 this.player = new Plyr(video, {
-                    controls: [
-                        'play-large', 'play', 'progress', 'current-time', 'duration',
-                        'mute', 'volume', 'captions', 'settings', 'pip', 'fullscreen'
-                    ],
-                    speed: { selected: 1, options: [0.5, 0.75, 1, 1.25, 1.5, 2] },
+                    controls: isAudio
+                        ? ['play', 'progress', 'current-time', 'duration', 'mute', 'volume', 'settings']
+                        : [
+                            'play-large', 'play', 'progress', 'current-time', 'duration',
+                            'mute', 'volume', 'captions', 'settings', 'pip', 'fullscreen'
+                        ],
+                    speed: { selected: this.courseSettings.speed, options: CourseSettings.SPEEDS },
                     keyboard: { focused: false, global: false }, // Disabled - using custom shortcuts
                     tooltips: { controls: true, seek: true },
                     // Fix blank screen issues
@@ -247,15 +455,20 @@ const StudyMode = {
                 });
 
                 // Restore logic helper
+                // (the course's speed and intro skip apply on every open)
                 const restorePosition = () => {
-                    if (this.currentLecture && this.currentLecture.lastPosition > 0) {
-                        console.log(`[StudyMode] Restoring position: ${this.currentLecture.lastPosition}s`);
+                    if (!this.currentLecture) return;
+                    this.player.speed = this.courseSettings.speed;
+
+                    const start = Math.max(this.currentLecture.lastPosition || 0, this.courseSettings.skipIntro);
+                    if (start > 0) {
+                        console.log(`[StudyMode] Restoring position: ${start}s`);
                         // Try immediately
-                        this.player.currentTime = this.currentLecture.lastPosition;
+                        this.player.currentTime = start;
                         // And safe check
                         setTimeout(() => {
-                            if (this.player && Math.abs(this.player.currentTime - this.currentLecture.lastPosition) > 1) {
-                                this.player.currentTime = this.currentLecture.lastPosition;
+                            if (this.player && Math.abs(this.player.currentTime - start) > 1) {
+                                this.player.currentTime = start;
                             }
                         }, 100);
                     }
@@ -265,10 +478,38 @@ const StudyMode = {
                 this.player.on('ready', restorePosition);
                 this.player.on('loadedmetadata', restorePosition);
 
+                // Bookmark markers need the duration
+                this.player.on('loadedmetadata', () => VideoBookmarks.renderMarkers());
+
+                // Record the length (for watched percent and course progress)
+                this.player.on('loadedmetadata', () => {
+                    const duration = Math.round(this.player.duration);
+                    if (this.currentLecture && duration > 0 && this.currentLecture.duration !== duration) {
+                        this.currentLecture.duration = duration;
+                        DB.put('lectures', this.currentLecture);
+                    }
+                });
+
                 this.player.on('timeupdate', () => {
+                    VideoBookmarks.updateActive(this.player.currentTime);
+                    TranscriptPanel.updateActive(this.player.currentTime);
+                    this.trackPlayback(this.player.currentTime);
+
+                    // Skip outro: treat the outro's start as the end
+                    const { skipOutro } = this.courseSettings;
+                    const outroAt = this.player.duration - skipOutro;
+                    if (skipOutro > 0 && outroAt > 0 && this.player.currentTime >= outroAt) {
+                        if (!this.endHandled) {
+                            this.player.pause();
+                            this.handleMediaEnd();
+                        }
+                    } else if (this.player.currentTime < outroAt - 1) {
+                        this.endHandled = false;
+                    }
+
                     // Throttle save
                     if (this.currentLecture && Math.random() < 0.1) {
-                        this.currentLecture.lastPosition = Math.floor(this.player.currentTime);
+                        this.updateProgress(Math.floor(this.player.currentTime));
                         DB.put('lectures', this.currentLecture);
                     }
                 });
@@ -277,19 +518,17 @@ const StudyMode = {
                     if (this.currentLecture) {
                         const time = Math.floor(this.player.currentTime);
                         console.log(`[StudyMode] Paused. Saving position: ${time}s`);
-                        this.currentLecture.lastPosition = time;
+                        this.updateProgress(time);
                         DB.put('lectures', this.currentLecture);
                     }
                 });
 
-                this.player.on('ended', () => {
-                    this.savePosition();
-                    if (!this.currentLecture.completed) {
-                        this.showCompletionPrompt();
-                        this.currentLecture.completed = true;
-                        DB.put('lectures', this.currentLecture);
-                    }
+                // Jumps (bookmarks, transcript, scrubbing) are not watched time
+                this.player.on('seeking', () => {
+                    this.lastPlayTime = null;
                 });
+
+                this.player.on('ended', () => this.handleMediaEnd());
             } else {
                 // Fallback to native events
                 video.addEventListener('loadedmetadata', () => {
@@ -302,12 +541,50 @@ const StudyMode = {
             }
 
         } catch (err) {
-            console.error('Video Load Error:', err);
-            videoWrapper.innerHTML = `<div class="study-fallback">Error loading video: ${err.message}</div>`;
+            console.error('Media Load Error:', err);
+            videoWrapper.innerHTML = `<div class="study-fallback">Error loading ${isAudio ? 'audio' : 'video'}: ${err.message}</div>`;
             container.appendChild(videoWrapper);
         }
     },
 
+    /**
+     * Load the current video's sidecar subtitles as WebVTT tracks
+     * (SRT is converted; unreadable files are skipped)
+     */
+    async loadSubtitles() {
+        this.releaseSubtitles();
+
+        const files = (this.currentFile && this.currentFile.subtitles) || [];
+        for (const sub of files) {
+            try {
+                const cues = await Subtitles.load(sub.handle);
+                if (cues.length === 0) continue;
+
+                const vtt = new Blob([Subtitles.toVtt(cues)], { type: 'text/vtt' });
+                this.subtitleTracks.push({
+                    label: sub.lang ? sub.lang.toUpperCase() : (files.length > 1 ? sub.name : 'Subtitles'),
+                    lang: /^[a-z]{2,3}(-[a-z0-9]+)?$/i.test(sub.lang) ? sub.lang : '',
+                    cues,
+                    url: URL.createObjectURL(vtt)
+                });
+            } catch (err) {
+                console.warn(`[StudyMode] Could not read subtitles ${sub.name}:`, err);
+            }
+        }
+
+        if (this.subtitleTracks.length > 0) {
+            console.log(`[StudyMode] Loaded ${this.subtitleTracks.length} subtitle track(s)`);
+        }
+    },
+
+    /**
+     * Revoke subtitle track URLs
+     */
+    releaseSubtitles() {
+        this.subtitleTracks.forEach(track => URL.revokeObjectURL(track.url));
+        this.subtitleTracks = [];
+    },
+
     /**
      * Render PDF viewer using the Industry Standard PDF.js Viewer (Robust & Full Featured)
      */
@@ -329,7 +606,8 @@ const StudyMode = {
 
             // 2. Construct the Standard Viewer URL
             const viewerPath = 'js/vendor/pdfjs/web/viewer.html';
-            const initialPage = this.currentLecture.lastPosition || 1;
+            const initialPage = this.pendingPage || this.currentLecture.lastPosition || 1;
+            this.pendingPage = null;
 
             // Pass the Blob URL to the viewer
             // NOTE: On 'file://' protocol this might fail, but on 'https://' (GitHub Pages) it is robust.
@@ -344,6 +622,16 @@ const StudyMode = {
             });
 
             container.appendChild(iframe);
+            this.pdfFrame = iframe;
+
+            // Scrolling/clicking inside the viewer counts as activity
+            iframe.addEventListener('load', () => {
+                try {
+                    StudyTimer.watchActivity(iframe.contentWindow);
+                } catch (e) {
+                    console.warn('[StudyMode] Cannot watch PDF viewer activity:', e);
+                }
+            });
 
             // 3. Persistence via Hash Listener
             // The viewer updates the hash (#page=2) as you scroll.
@@ -355,13 +643,24 @@ const StudyMode = {
             this.pdfPollInterval = setInterval(() => {
                 try {
                     if (iframe.contentWindow && iframe.contentWindow.location) {
+                        // Record the page count (for read percent and course progress)
+                        const viewer = iframe.contentWindow.PDFViewerApplication;
+                        if (viewer && viewer.pagesCount > 0 && this.currentLecture && this.currentLecture.pageCount !== viewer.pagesCount) {
+                            this.currentLecture.pageCount = viewer.pagesCount;
+                            DB.put('lectures', this.currentLecture);
+                        }
+
                         const hash = iframe.contentWindow.location.hash; // e.g. "#page=5&zoom=auto,-13,770"
                         const match = hash.match(/page=(\d+)/);
                         if (match) {
                             const pageNum = parseInt(match[1]);
+                            if (this.currentLecture && !(this.currentLecture.readPages || []).includes(pageNum)) {
+                                this.trackPage(pageNum);
+                                DB.put('lectures', this.currentLecture);
+                            }
                             if (pageNum !== lastSavedPage && this.currentLecture) {
                                 lastSavedPage = pageNum;
-                                this.currentLecture.lastPosition = pageNum;
+                                this.updateProgress(pageNum);
                                 DB.put('lectures', this.currentLecture);
                             }
                         }
@@ -380,7 +679,184 @@ const StudyMode = {
         }
     },
 
+    /**
+     * Render an image (click to toggle between fit and full size)
+     */
+    async renderImageViewer(container) {
+        container.classList.add('image-viewer-mode');
+
+        if (!this.currentFile) {
+            container.appendChild(Utils.createElement('div', { className: 'study-fallback' }, 'Image not found in folder.'));
+            return;
+        }
+
+        try {
+            const file = await this.currentFile.handle.getFile();
+            this.currentObjectURL = URL.createObjectURL(file);
+
+            const img = Utils.createElement('img', {
+                className: 'study-image',
+                src: this.currentObjectURL,
+                alt: this.currentLecture.title
+            });
+            const wrapper = Utils.createElement('div', {
+                className: 'image-viewer',
+                onClick: () => wrapper.classList.toggle('zoomed')
+            }, [img]);
+
+            container.appendChild(wrapper);
+        } catch (err) {
+            console.error('Image Load Error:', err);
+            container.innerHTML = `<div class="study-fallback">Error loading image: ${err.message}</div>`;
+        }
+    },
+
+    /**
+     * Render a Word/PowerPoint/EPUB file as readable text
+     * lastPosition stores the section (heading, slide or chapter) to resume at.
+     */
+    async renderDocumentViewer(container, sessionId) {
+        container.classList.add('document-viewer-mode');
+
+        if (!this.currentFile) {
+            container.appendChild(Utils.createElement('div', { className: 'study-fallback' }, 'Document not found in folder.'));
+            return;
+        }
+
+        try {
+            const file = await this.currentFile.handle.getFile();
+            const sections = await DocumentReader.read(file);
+
+            // Race check: If session changed while reading file
+            if (sessionId && this.activeSessionId !== sessionId) return;
+
+            this.currentObjectURL = URL.createObjectURL(file);
+
+            const toolbar = Utils.createElement('div', { className: 'document-toolbar' }, [
+                Utils.createElement('span', { className: 'document-toolbar-info' },
+                    `${file.name.split('.').pop().toUpperCase()} · ${sections.length} section${sections.length === 1 ? '' : 's'} · text only`
+                ),
+                Utils.createElement('a', {
+                    className: 'btn btn-secondary btn-sm',
+                    href: this.currentObjectURL,
+                    download: file.name
+                }, [
+                    Utils.createElement('i', { className: 'ph ph-download-simple' }),
+                    Utils.createElement('span', {}, ' Open Original')
+                ])
+            ]);
+
+            const body = Utils.createElement('div', { className: 'document-viewer' });
+            if (sections.length === 0) {
+                body.appendChild(Utils.createElement('div', { className: 'study-fallback' }, 'No readable text found in this file.'));
+            }
+
+            const sectionEls = sections.map((section, i) => Utils.createElement('section', {
+                className: 'document-section',
+                dataset: { index: String(i) }
+            }, [
+                section.title ? Utils.createElement('h3', { className: 'document-section-title' }, section.title) : '',
+                ...section.paragraphs.map(text => Utils.createElement('p', {}, text))
+            ]));
+            sectionEls.forEach(el => body.appendChild(el));
+
+            container.appendChild(toolbar);
+            container.appendChild(body);
+
+            // Resume at the saved section
+            const saved = sectionEls[this.currentLecture.lastPosition];
+            if (saved) body.scrollTop = saved.offsetTop - body.offsetTop;
+
+            // Save the topmost visible section while scrolling
+            let scrollTimer = null;
+            body.addEventListener('scroll', () => {
+                clearTimeout(scrollTimer);
+                scrollTimer = setTimeout(() => {
+                    if (!this.currentLecture) return;
+                    const top = body.scrollTop + body.offsetTop;
+                    let index = 0;
+                    sectionEls.forEach((el, i) => {
+                        if (el.offsetTop <= top + 1) index = i;
+                    });
+                    if (index !== this.currentLecture.lastPosition) {
+                        this.currentLecture.lastPosition = index;
+                        DB.put('lectures', this.currentLecture);
+                    }
+                }, 500);
+            });
+        } catch (err) {
+            console.error('Document Load Error:', err);
+            container.innerHTML = `<div class="study-fallback">Error reading document: ${err.message}</div>`;
+        }
+    },
+
+
 
+    /**
+     * Seek the video to a time (used by note timestamps)
+     * @param {number} seconds
+     */
+    seekTo(seconds) {
+        const video = document.querySelector('.study-video');
+
+        if (this.player) {
+            this.player.currentTime = seconds;
+        } else if (video) {
+            video.currentTime = seconds;
+        } else {
+            return;
+        }
+
+        KeyboardShortcuts.showToast(`Jumped to ${Utils.formatTime(seconds)}`);
+    },
+
+    /**
+     * Get the current video playback time
+     * @returns {number|null} Seconds, or null if no video is playing
+     */
+    getCurrentTime() {
+        const video = document.querySelector('.study-video');
+
+        if (this.player) return this.player.currentTime;
+        if (video) return video.currentTime;
+        return null;
+    },
+
+    /**
+     * Get the PDF.js viewer app inside the iframe (same-origin)
+     * @returns {Object|null} PDFViewerApplication
+     */
+    getPdfViewerApp() {
+        try {
+            return this.pdfFrame?.contentWindow?.PDFViewerApplication || null;
+        } catch (e) {
+            return null;
+        }
+    },
+
+    /**
+     * Get the page currently shown in the PDF viewer
+     * @returns {number}
+     */
+    getPdfPage() {
+        const app = this.getPdfViewerApp();
+        if (app && app.page) return app.page;
+        return this.currentLecture?.lastPosition || 1;
+    },
+
+    /**
+     * Jump the PDF viewer to a page
+     * @param {number} page
+     */
+    goToPdfPage(page) {
+        const app = this.getPdfViewerApp();
+
+        if (app && app.pdfViewer) {
+            app.page = page;
+        } else if (this.pdfFrame) {
+            this.pdfFrame.contentWindow.location.hash = `#page=${page}`;
+        }
+    },
 
     /**
      * Save current position
@@ -388,20 +864,91 @@ const StudyMode = {
     async savePosition() {
         if (!this.currentLecture) return;
 
-        if (this.currentLecture.type === 'video' && this.player) {
-            this.currentLecture.lastPosition = Math.floor(this.player.currentTime);
+        if (FileSystem.isPlayable(this.currentLecture.type) && this.player) {
+            this.updateProgress(Math.floor(this.player.currentTime));
             console.log(`[StudyMode] savePosition called. Saving: ${this.currentLecture.lastPosition}s`);
         }
         // If no player active, rely on the last periodic save
 
         await DB.put('lectures', this.currentLecture);
+        // Lecture rows show the watched percent
+        AppState.invalidateCache();
+    },
+
+    /**
+     * Record the current position
+     * @param {number} position - Seconds (video, audio) or page (PDF)
+     */
+    updateProgress(position) {
+        if (this.currentLecture) this.currentLecture.lastPosition = position;
+    },
+
+    /**
+     * Count the time played since the previous timeupdate (not seeks)
+     * @param {number} time - Player time (seconds)
+     */
+    trackPlayback(time) {
+        const lecture = this.currentLecture;
+        if (!lecture) return;
+
+        const from = this.lastPlayTime;
+        this.lastPlayTime = this.player && this.player.playing ? time : null;
+        if (from === null || time <= from || time - from > this.MAX_PLAY_STEP) return;
+
+        const before = AppState.getWatchedFraction(lecture);
+        AppState.addPlayedRange(lecture, from, time);
+        this.checkAutoComplete(before);
+    },
+
+    /**
+     * Count a PDF page as read
+     * @param {number} page
+     */
+    trackPage(page) {
+        const lecture = this.currentLecture;
+        if (!lecture) return;
+
+        const before = AppState.getWatchedFraction(lecture);
+        AppState.addReadPage(lecture, page);
+        this.checkAutoComplete(before);
+    },
+
+    /**
+     * Mark the lecture complete when watched/read progress crosses the
+     * course's threshold (only on crossing, so unmarking it sticks)
+     * @param {number} before - Watched fraction before the latest progress
+     */
+    checkAutoComplete(before) {
+        const lecture = this.currentLecture;
+        const threshold = this.courseSettings.completeAt;
+        if (lecture.completed || before * 100 >= threshold) return;
+        if (AppState.getWatchedFraction(lecture) * 100 < threshold) return;
+
+        console.log(`[StudyMode] Auto-complete: ${threshold}% reached`);
+        this.autoCompleted = true;
+        AppState.setLectureCompleted(lecture, true)
+            .then(() => {
+                this.updateCompleteButton();
+                KeyboardShortcuts.showToast(`Marked complete (${threshold}% ${lecture.type === 'pdf' ? 'read' : 'watched'})`);
+            })
+            .catch(err => console.error('[StudyMode] Auto-complete failed:', err));
+    },
+
+    /**
+     * Sync the header's complete button without re-rendering (keeps playback going)
+     */
+    updateCompleteButton() {
+        const btn = document.querySelector('.study-complete-btn');
+        if (!btn || !this.currentLecture) return;
+
+        btn.className = `btn ${this.currentLecture.completed ? 'btn-success' : 'btn-secondary'} study-complete-btn`;
+        btn.textContent = this.currentLecture.completed ? '✓ Completed' : 'Mark Complete';
     },
 
-    toggleComplete() {
-        // ... simple toggle logic ...
-        // For brevity reusing existing pattern but ensure it calls DB put
-        this.currentLecture.completed = !this.currentLecture.completed;
-        DB.put('lectures', this.currentLecture);
+    async toggleComplete() {
+        await AppState.setLectureCompleted(this.currentLecture, !this.currentLecture.completed);
+        // Re-render rebuilds the notes panel - keep unsaved edits
+        await NotesPanel.flush();
         this.render(this.activeSessionId);
     },
 
@@ -430,6 +977,108 @@ const StudyMode = {
         container.appendChild(prompt);
     },
 
+    /**
+     * Video/audio finished (or reached the skipped outro): mark it complete,
+     * then autoplay the next lecture or offer it
+     */
+    handleMediaEnd() {
+        if (this.endHandled || !this.currentLecture) return;
+        this.endHandled = true;
+
+        this.savePosition();
+        const wasCompleted = this.currentLecture.completed;
+        if (!wasCompleted) {
+            AppState.setLectureCompleted(this.currentLecture, true)
+                .then(() => this.updateCompleteButton())
+                .catch(err => console.error('[StudyMode] Could not mark complete:', err));
+        }
+
+        if (this.playlistId || this.courseSettings.autoplay) {
+            this.showUpNext();
+        } else if (!wasCompleted || this.autoCompleted) {
+            this.showCompletionPrompt();
+        }
+    },
+
+    /**
+     * Start the next lecture (in the playlist, or the course) after a short countdown
+     */
+    async showUpNext() {
+        const sessionId = this.activeSessionId;
+        const next = await this.getNextLecture();
+        if (this.activeSessionId !== sessionId) return;
+
+        const container = Utils.$('content-area');
+        if (!next) {
+            container.appendChild(Utils.createElement('div', { className: 'completion-prompt' }, [
+                Utils.createElement('div', { className: 'completion-icon' }, [
+                    Utils.createElement('i', { className: 'ph-duotone ph-confetti' })
+                ]),
+                Utils.createElement('div', { className: 'completion-title' },
+                    this.playlistId ? 'Playlist Finished!' : 'Course Finished!'
+                ),
+                Utils.createElement('div', { className: 'completion-actions' }, [
+                    Utils.createElement('button', {
+                        className: 'btn btn-primary',
+                        onClick: async () => await this.exit()
+                    }, this.playlistId ? 'Back to Playlist' : 'Back to List')
+                ])
+            ]));
+            return;
+        }
+
+        let seconds = this.AUTOPLAY_SECONDS;
+        const countdown = Utils.createElement('span', {}, String(seconds));
+        const prompt = Utils.createElement('div', { className: 'completion-prompt' }, [
+            Utils.createElement('div', { className: 'completion-title' }, 'Up Next'),
+            Utils.createElement('div', { className: 'completion-next' }, next.title),
+            Utils.createElement('div', { className: 'list-hint' }, ['Starting in ', countdown, 's']),
+            Utils.createElement('div', { className: 'completion-actions' }, [
+                Utils.createElement('button', {
+                    className: 'btn btn-primary',
+                    onClick: async () => await this.goToNextLecture()
+                }, 'Play Now'),
+                Utils.createElement('button', {
+                    className: 'btn btn-secondary',
+                    onClick: () => {
+                        this.cancelAutoplay();
+                        prompt.remove();
+                    }
+                }, 'Cancel')
+            ])
+        ]);
+        container.appendChild(prompt);
+
+        this.autoplayTimer = setInterval(() => {
+            seconds--;
+            countdown.textContent = String(seconds);
+            if (seconds <= 0) this.goToNextLecture();
+        }, 1000);
+    },
+
+    cancelAutoplay() {
+        if (this.autoplayTimer) {
+            clearInterval(this.autoplayTimer);
+            this.autoplayTimer = null;
+        }
+    },
+
+    /**
+     * Move through the current playlist
+     * @param {number} offset - -1 (previous) or 1 (next)
+     */
+    async playInPlaylist(offset) {
+        this.cancelAutoplay();
+        if (!this.playlistId || !this.currentLecture) return;
+
+        const lecture = await PlaylistView.getNeighbor(this.playlistId, this.currentLecture.id, offset);
+        if (lecture) {
+            await this.enter(lecture.id, { playlistId: this.playlistId });
+        } else if (offset > 0) {
+            await this.exit();
+        }
+    },
+
     /**
      * Robust Cleanup
      */
@@ -459,25 +1108,50 @@ const StudyMode = {
 
         // 4. Reset State
         this.currentLecture = null;
+        this.endHandled = false;
+        this.autoCompleted = false;
+        this.lastPlayTime = null;
         this.currentFile = null;
+        this.releaseSubtitles();
+        NotesPanel.reset();
+        PdfAnnotations.reset();
+        VideoBookmarks.reset();
+        TranscriptPanel.reset();
+        this.pdfFrame = null;
 
         // 5. Clear Intervals
+        this.cancelAutoplay();
         if (this.pdfPollInterval) {
             clearInterval(this.pdfPollInterval);
             this.pdfPollInterval = null;
         }
     },
 
-    async goToNextLecture() {
+    /**
+     * Next lecture to study: the next one in the playlist, or else the
+     * next incomplete one in the course
+     * @returns {Promise<Object|null>}
+     */
+    async getNextLecture() {
+        if (this.playlistId) {
+            return await PlaylistView.getNeighbor(this.playlistId, this.currentLecture.id, 1);
+        }
+
         const lectures = await AppState.getLectures(this.currentLecture.courseId);
         const idx = lectures.findIndex(l => l.id === this.currentLecture.id);
-        for (let i = idx + 1; i < lectures.length; i++) {
-            if (!lectures[i].completed) {
-                await this.enter(lectures[i].id);
-                return;
-            }
+        return lectures.slice(idx + 1).find(l => !l.completed) || null;
+    },
+
+    async goToNextLecture() {
+        this.cancelAutoplay();
+        if (!this.currentLecture) return;
+
+        const next = await this.getNextLecture();
+        if (next) {
+            await this.enter(next.id, this.playlistId ? { playlistId: this.playlistId } : {});
+        } else {
+            await this.exit();
         }
-        await this.exit();
     }
 };
 
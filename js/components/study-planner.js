@@ -0,0 +1,232 @@
+/**
+ * UPSC Study Desk - Study Planner Component
+ * "Today's Targets" on the home screen and the course plan dialog
+ */
+
+const StudyPlanner = {
+    // Status badges
+    STATUS: {
+        'on-track': { label: 'On track', icon: 'ph-duotone ph-check-circle' },
+        behind: { label: 'Behind', icon: 'ph-duotone ph-warning' },
+        overdue: { label: 'Overdue', icon: 'ph-duotone ph-warning-octagon' },
+        done: { label: 'Finished', icon: 'ph-duotone ph-confetti' }
+    },
+
+    // Rendered section (replaced in place after changes)
+    sectionEl: null,
+
+    /**
+     * Render today's targets (nothing if there are no plans)
+     * @param {HTMLElement} container - Parent element to append to
+     */
+    async render(container) {
+        const section = await this.createSection();
+        if (!section) return;
+
+        this.sectionEl = section;
+        container.appendChild(section);
+    },
+
+    /**
+     * Rebuild the section after a plan changed
+     */
+    async refresh() {
+        if (!this.sectionEl || !this.sectionEl.isConnected) return;
+
+        const section = await this.createSection();
+        if (section) {
+            this.sectionEl.replaceWith(section);
+            this.sectionEl = section;
+        } else {
+            this.sectionEl.remove();
+            this.sectionEl = null;
+        }
+    },
+
+    /**
+     * Build the targets section, grouped by paper
+     * @returns {Promise<HTMLElement|null>}
+     */
+    async createSection() {
+        const plans = await Planner.getAll();
+        if (plans.length === 0) return null;
+
+        const left = plans.reduce((sum, p) => sum + Math.max(0, p.todayTarget - p.doneToday), 0);
+        const section = Utils.createElement('div', { className: 'recent-section study-planner' }, [
+            Utils.createElement('h3', { className: 'section-title' }, [
+                Utils.createElement('i', { className: 'ph-duotone ph-calendar-check' }),
+                Utils.createElement('span', {}, ` Today's Targets${left > 0 ? ` (${left} left)` : ''}`)
+            ])
+        ]);
+
+        const byPaper = new Map();
+        for (const entry of plans) {
+            if (!byPaper.has(entry.paper.id)) byPaper.set(entry.paper.id, []);
+            byPaper.get(entry.paper.id).push(entry);
+        }
+
+        for (const entries of byPaper.values()) {
+            const { paper } = entries[0];
+            const done = entries.reduce((sum, e) => sum + Math.min(e.doneToday, e.todayTarget), 0);
+            const target = entries.reduce((sum, e) => sum + e.todayTarget, 0);
+
+            section.appendChild(Utils.createElement('div', { className: 'planner-paper' }, [
+                Utils.createElement('i', { className: paper.icon }),
+                Utils.createElement('span', {}, ` ${paper.name}`),
+                Utils.createElement('span', { className: 'planner-paper-count' }, `${done}/${target} today`)
+            ]));
+
+            const list = Utils.createElement('div', { className: 'item-list' });
+            entries.forEach(entry => list.appendChild(this.createPlanItem(entry)));
+            section.appendChild(list);
+        }
+
+        return section;
+    },
+
+    /**
+     * Create a plan row with its queue for today
+     */
+    createPlanItem(entry) {
+        const { course, plan, status } = entry;
+        const badge = this.STATUS[status];
+
+        const meta = status === 'done'
+            ? `All ${entry.progress.total} lectures completed`
+            : [
+                `${entry.doneToday}/${entry.todayTarget} today`,
+                `${entry.doneThisWeek}/${entry.weekTarget} this week`,
+                `${entry.remaining} left`,
+                `finish by ${Planner.formatDate(plan.targetDate)}`
+            ].join(' · ');
+
+        let hint = '';
+        if (status === 'behind') {
+            hint = `Needs ${entry.requiredPerDay}/day to finish on time (planned ${plan.lecturesPerDay}/day). At this pace: ${Planner.formatDate(entry.projectedFinish)}.`;
+        } else if (status === 'overdue') {
+            hint = `Target date passed with ${entry.remaining} lecture${entry.remaining === 1 ? '' : 's'} left.`;
+        }
+
+        return Utils.createElement('div', { className: `planner-item planner-${status}` }, [
+            Utils.createElement('div', { className: 'item-row' }, [
+                Utils.createElement('i', { className: 'ph-duotone ph-folder item-row-icon' }),
+                Utils.createElement('div', {
+                    className: 'item-row-content revision-item-open',
+                    title: 'Open course',
+                    onClick: async () => {
+                        AppState.navigateTo(entry.paper.id, course.providerId, course.id);
+                        await App.render();
+                    }
+                }, [
+                    Utils.createElement('div', { className: 'item-row-title' }, course.name),
+                    Utils.createElement('div', { className: 'item-row-meta' }, meta),
+                    hint ? Utils.createElement('div', { className: 'planner-hint' }, hint) : ''
+                ]),
+                Utils.createElement('span', { className: 'planner-status', title: badge.label }, [
+                    Utils.createElement('i', { className: badge.icon }),
+                    Utils.createElement('span', {}, ` ${badge.label}`)
+                ]),
+                Utils.createElement('button', {
+                    className: 'lecture-action-btn',
+                    title: 'Edit plan',
+                    onClick: async () => await this.promptPlan(course)
+                }, [Utils.createElement('i', { className: 'ph ph-pencil-simple' })])
+            ]),
+            entry.queue.length > 0 ? Utils.createElement('div', { className: 'planner-queue' },
+                entry.queue.map(lecture => Utils.createElement('button', {
+                    className: 'planner-queue-item',
+                    title: 'Open in Study Mode',
+                    onClick: async () => await StudyMode.enter(lecture.id)
+                }, [
+                    Utils.createElement('i', { className: FileSystem.getTypeIcon(lecture.type) }),
+                    Utils.createElement('span', {}, ` ${lecture.title}`)
+                ]))
+            ) : ''
+        ]);
+    },
+
+    /**
+     * Create, edit or remove a course's plan
+     * @param {Object} course
+     * @returns {Promise<boolean>} True if the plan changed
+     */
+    async promptPlan(course) {
+        const existing = await Planner.get(course.id);
+        const progress = await AppState.getCourseProgress(course.id);
+        const remaining = progress.total - progress.completed;
+
+        const dateInput = Utils.createElement('input', {
+            className: 'modal-input',
+            type: 'date',
+            min: Revision.dateKey(),
+            value: existing ? existing.targetDate : Revision.daysFromToday(30)
+        });
+        const perDayInput = Utils.createElement('input', {
+            className: 'modal-input',
+            type: 'number',
+            min: '1',
+            max: '50',
+            value: String(existing ? existing.lecturesPerDay : 2)
+        });
+        const hint = Utils.createElement('p', { className: 'list-hint' });
+
+        const updateHint = () => {
+            const perDay = parseInt(perDayInput.value);
+            if (!dateInput.value || !(perDay > 0)) {
+                hint.textContent = `${remaining} lecture${remaining === 1 ? '' : 's'} left.`;
+                return;
+            }
+            const days = Math.max(1, Revision.daysUntil(dateInput.value) + 1);
+            const finish = Revision.daysFromToday(Math.max(0, Math.ceil(remaining / perDay) - 1));
+            hint.textContent = `${remaining} lecture${remaining === 1 ? '' : 's'} left: ` +
+                `${Math.ceil(remaining / days)}/day needed, ` +
+                `${perDay}/day finishes by ${Planner.formatDate(finish)}.`;
+        };
+        dateInput.addEventListener('input', updateHint);
+        perDayInput.addEventListener('input', updateHint);
+        updateHint();
+
+        const choice = await Dialog.open({
+            title: `Plan: ${course.name}`,
+            body: Utils.createElement('div', { className: 'focus-form' }, [
+                Utils.createElement('label', {}, [Utils.createElement('span', {}, 'Finish by'), dateInput]),
+                Utils.createElement('label', {}, [Utils.createElement('span', {}, 'Lectures per day'), perDayInput]),
+                hint
+            ]),
+            actions: [
+                { label: 'Cancel', value: null },
+                ...(existing ? [{ label: 'Remove Plan', value: 'remove' }] : []),
+                { label: 'Save', value: 'save', className: 'btn btn-primary' }
+            ]
+        });
+        if (!choice) return false;
+
+        try {
+            if (choice === 'remove') {
+                await Planner.remove(course.id);
+                KeyboardShortcuts.showToast('Plan removed');
+            } else {
+                const perDay = parseInt(perDayInput.value);
+                if (!dateInput.value || !(perDay > 0)) {
+                    alert('Please enter a target date and the number of lectures per day.');
+                    return false;
+                }
+                await Planner.save(course.id, {
+                    targetDate: dateInput.value,
+                    lecturesPerDay: Math.min(perDay, 50)
+                });
+                KeyboardShortcuts.showToast(`Plan saved: ${Math.min(perDay, 50)} lectures/day`);
+            }
+        } catch (err) {
+            console.error('[Planner] Save error:', err);
+            alert('Failed to save plan: ' + err.message);
+            return false;
+        }
+
+        await this.refresh();
+        return true;
+    }
+};
+
+// Make StudyPlanner globally available
+window.StudyPlanner = StudyPlanner;
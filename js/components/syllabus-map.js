@@ -0,0 +1,288 @@
+/**
+ * UPSC Study Desk - Syllabus Map Component
+ * Coverage view of the syllabus tree and the topic picker used for tagging
+ */
+
+const SyllabusMap = {
+    // Status labels and icons (see Syllabus.getCoverage)
+    STATUS: {
+        none: { label: 'Nothing yet', icon: 'ph ph-circle-dashed' },
+        material: { label: 'Has material', icon: 'ph-duotone ph-circle-half' },
+        completed: { label: 'Completed', icon: 'ph-duotone ph-check-circle' }
+    },
+
+    // 'all' (tree) or a status (flat list of matching topics)
+    filter: 'all',
+
+    // Expanded topic IDs in the tree
+    expanded: new Set(),
+
+    // Topic whose tagged material is listed
+    selectedId: null,
+
+    /**
+     * Render the syllabus screen
+     */
+    async render() {
+        const container = Utils.$('content-area');
+        if (!container) return;
+
+        const [coverage, courses] = await Promise.all([Syllabus.getCoverage(), DB.getAll('courses')]);
+        const courseById = new Map(courses.map(c => [c.id, c]));
+
+        const leaves = Syllabus.flatten().filter(({ topic }) => !topic.children);
+        const counts = { none: 0, material: 0, completed: 0 };
+        leaves.forEach(({ topic }) => counts[coverage.get(topic.id).status]++);
+
+        const fragment = document.createDocumentFragment();
+
+        fragment.appendChild(Utils.createElement('div', { className: 'content-header' }, [
+            Utils.createElement('h2', { className: 'content-title' }, 'Syllabus'),
+            Utils.createElement('span', { className: 'lecture-count' },
+                `${counts.completed + counts.material}/${leaves.length} topics have material`
+            )
+        ]));
+
+        fragment.appendChild(Utils.createElement('p', { className: 'list-hint' },
+            'Tag lectures and notes with topics from Study Mode. Coverage cuts across papers, providers and courses.'
+        ));
+
+        const pill = (filter, label, count) => Utils.createElement('button', {
+            className: `tab-pill ${this.filter === filter ? 'active' : ''}`,
+            onClick: () => {
+                this.filter = filter;
+                this.render();
+            }
+        }, [label, Utils.createElement('span', { className: 'tab-pill-count' }, String(count))]);
+
+        fragment.appendChild(Utils.createElement('div', { className: 'tab-pills-container' }, [
+            pill('all', 'All Topics', leaves.length),
+            pill('none', this.STATUS.none.label, counts.none),
+            pill('material', 'In Progress', counts.material),
+            pill('completed', this.STATUS.completed.label, counts.completed)
+        ]));
+
+        const list = Utils.createElement('div', { className: 'syllabus-tree' });
+        if (this.filter === 'all') {
+            Syllabus.TREE.forEach(topic => this.appendNode(list, topic, 0, coverage, courseById));
+        } else {
+            const matching = leaves.filter(({ topic }) => coverage.get(topic.id).status === this.filter);
+            if (matching.length === 0) {
+                list.appendChild(Utils.createElement('div', { className: 'chart-empty' }, 'No topics here.'));
+            }
+            matching.forEach(({ topic }) => {
+                list.appendChild(this.createRow(topic, 0, coverage.get(topic.id), Syllabus.getPath(topic.id)[0]));
+                if (this.selectedId === topic.id) {
+                    list.appendChild(this.createMaterial(coverage.get(topic.id), 0, courseById));
+                }
+            });
+        }
+        fragment.appendChild(list);
+
+        Utils.clearElement(container);
+        container.appendChild(fragment);
+    },
+
+    /**
+     * Append a topic row, its material (if selected) and its expanded children
+     */
+    appendNode(list, topic, depth, coverage, courseById) {
+        list.appendChild(this.createRow(topic, depth, coverage.get(topic.id)));
+
+        if (this.selectedId === topic.id) {
+            list.appendChild(this.createMaterial(coverage.get(topic.id), depth, courseById));
+        }
+
+        if (topic.children && this.expanded.has(topic.id)) {
+            topic.children.forEach(child => this.appendNode(list, child, depth + 1, coverage, courseById));
+        }
+    },
+
+    /**
+     * Create a topic row
+     * @param {Object} topic
+     * @param {number} depth
+     * @param {Object} entry - Coverage of the topic
+     * @param {string} context - Optional paper name (flat list)
+     */
+    createRow(topic, depth, entry, context = '') {
+        const status = this.STATUS[entry.status];
+        const hasChildren = Boolean(topic.children) && this.filter === 'all';
+        const isExpanded = this.expanded.has(topic.id);
+
+        const meta = [
+            context,
+            entry.lectures.length > 0 ? `${entry.completed}/${entry.lectures.length} lecture${entry.lectures.length === 1 ? '' : 's'} done` : '',
+            entry.notes.length > 0 ? `${entry.notes.length} note${entry.notes.length === 1 ? '' : 's'}` : ''
+        ].filter(Boolean).join(' · ');
+
+        return Utils.createElement('div', {
+            className: `syllabus-node status-${entry.status}${this.selectedId === topic.id ? ' selected' : ''}`,
+            style: `padding-left: ${12 + depth * 20}px`,
+            title: status.label,
+            onClick: () => {
+                // Selecting a collapsed parent also opens it
+                this.selectedId = this.selectedId === topic.id ? null : topic.id;
+                if (hasChildren && this.selectedId) this.expanded.add(topic.id);
+                this.render();
+            }
+        }, [
+            Utils.createElement('i', {
+                className: hasChildren ? `ph ph-caret-${isExpanded ? 'down' : 'right'} syllabus-caret` : 'syllabus-caret',
+                ...(hasChildren ? {
+                    title: isExpanded ? 'Collapse' : 'Expand',
+                    onClick: (e) => {
+                        e.stopPropagation();
+                        if (isExpanded) this.expanded.delete(topic.id);
+                        else this.expanded.add(topic.id);
+                        this.render();
+                    }
+                } : {})
+            }),
+            Utils.createElement('i', { className: `${status.icon} syllabus-status` }),
+            Utils.createElement('span', { className: `syllabus-name${depth === 0 && hasChildren ? ' syllabus-paper' : ''}` }, topic.name),
+            Utils.createElement('span', { className: 'syllabus-meta' }, meta)
+        ]);
+    },
+
+    /**
+     * Create the list of lectures and notes tagged on a topic (or below it)
+     */
+    createMaterial(entry, depth, courseById) {
+        const box = Utils.createElement('div', {
+            className: 'syllabus-items',
+            style: `margin-left: ${44 + depth * 20}px`
+        });
+
+        if (entry.lectures.length === 0 && entry.notes.length === 0) {
+            box.appendChild(Utils.createElement('div', { className: 'chart-empty' },
+                'Nothing tagged yet. Open a lecture and use Topics to tag it.'
+            ));
+            return box;
+        }
+
+        const item = (icon, title, meta, lectureId) => Utils.createElement('button', {
+            className: 'syllabus-item',
+            title: 'Open in Study Mode',
+            onClick: async () => await StudyMode.enter(lectureId)
+        }, [
+            Utils.createElement('i', { className: icon }),
+            Utils.createElement('span', {}, ` ${title}`),
+            Utils.createElement('span', { className: 'syllabus-meta' }, meta)
+        ]);
+
+        entry.lectures.forEach(lecture => {
+            const course = courseById.get(lecture.courseId);
+            box.appendChild(item(
+                lecture.completed ? 'ph-duotone ph-check-circle' : FileSystem.getTypeIcon(lecture.type),
+                lecture.title,
+                course ? course.name : '',
+                lecture.id
+            ));
+        });
+        entry.notes.forEach(({ lecture }) => {
+            box.appendChild(item('ph-duotone ph-note-pencil', `Notes: ${lecture.title}`, '', lecture.id));
+        });
+
+        return box;
+    },
+
+    /**
+     * Pick syllabus topics
+     * @param {string} title - Dialog title
+     * @param {Array} selected - Currently tagged topic IDs
+     * @returns {Promise<Array|null>} Topic IDs, or null if cancelled
+     */
+    async pickTopics(title, selected = []) {
+        const checked = new Set(Syllabus.clean(selected));
+
+        const search = Utils.createElement('input', {
+            className: 'modal-input',
+            type: 'text',
+            placeholder: 'Filter topics...'
+        });
+
+        const rows = Syllabus.flatten().map(({ topic, depth }) => {
+            const box = Utils.createElement('input', {
+                type: 'checkbox',
+                ...(checked.has(topic.id) ? { checked: 'checked' } : {})
+            });
+            box.addEventListener('change', () => {
+                if (box.checked) checked.add(topic.id);
+                else checked.delete(topic.id);
+            });
+
+            const row = Utils.createElement('label', {
+                className: `syllabus-pick${depth === 0 ? ' syllabus-paper' : ''}`,
+                style: `padding-left: ${depth * 18}px`
+            }, [box, Utils.createElement('span', {}, topic.name)]);
+            return { row, text: Syllabus.getPath(topic.id).join(' ').toLowerCase() };
+        });
+
+        search.addEventListener('input', () => {
+            const query = search.value.trim().toLowerCase();
+            rows.forEach(({ row, text }) => {
+                row.style.display = !query || text.includes(query) ? '' : 'none';
+            });
+        });
+
+        const confirmed = await Dialog.open({
+            title,
+            className: 'syllabus-picker',
+            body: [
+                search,
+                Utils.createElement('div', { className: 'syllabus-pick-list' }, rows.map(r => r.row))
+            ],
+            actions: [
+                { label: 'Cancel', value: false },
+                { label: 'Save', value: true, className: 'btn btn-primary' }
+            ]
+        });
+
+        return confirmed ? Array.from(checked) : null;
+    },
+
+    /**
+     * Tag a lecture with topics
+     * @param {Object} lecture
+     * @returns {Promise<boolean>} True if the tags were saved
+     */
+    async tagLecture(lecture) {
+        const topics = await this.pickTopics(`Topics: ${lecture.title}`, lecture.syllabusTopics);
+        if (!topics) return false;
+
+        try {
+            await AppState.setLectureTopics(lecture, topics);
+            KeyboardShortcuts.showToast(`Tagged with ${topics.length} topic${topics.length === 1 ? '' : 's'}`);
+            return true;
+        } catch (err) {
+            console.error('[Syllabus] Tag error:', err);
+            alert('Failed to save topics: ' + err.message);
+            return false;
+        }
+    },
+
+    /**
+     * Tag a lecture's note with topics
+     * @param {Object} lecture
+     * @returns {Promise<boolean>} True if the tags were saved
+     */
+    async tagNote(lecture) {
+        const note = await AppState.getNote(lecture.id);
+        const topics = await this.pickTopics(`Note topics: ${lecture.title}`, note ? note.syllabusTopics : []);
+        if (!topics) return false;
+
+        try {
+            await AppState.setNoteTopics(lecture.id, topics);
+            KeyboardShortcuts.showToast(`Note tagged with ${topics.length} topic${topics.length === 1 ? '' : 's'}`);
+            return true;
+        } catch (err) {
+            console.error('[Syllabus] Tag error:', err);
+            alert('Failed to save topics: ' + err.message);
+            return false;
+        }
+    }
+};
+
+// Make SyllabusMap globally available
+window.SyllabusMap = SyllabusMap;
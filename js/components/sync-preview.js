@@ -0,0 +1,141 @@
+/**
+ * UPSC Study Desk - Sync Preview Component
+ * Shows what a sync would add, rename and remove (with any study
+ * progress attached to removed lectures) and asks before removing
+ */
+
+const SyncPreview = {
+    // Max rows listed per section
+    LIST_LIMIT: 8,
+
+    /**
+     * Show the preview for a sync plan
+     * @param {Object} plan - Result of FileSystem.previewSync
+     * @returns {Promise<string|null>} 'all' (apply + trash missing), 'keep'
+     *   (apply, keep missing items), or null (cancelled)
+     */
+    async open(plan) {
+        const { deletions } = plan;
+        const removeCount = deletions.providers.length + deletions.courses.length + deletions.lectures.length;
+
+        const pathOf = (e) => `${FileSystem.joinPath(e.course.folderPath, e.file.subPath)}/${e.file.name}`;
+        const added = plan.lectures.filter(e => !e.existing).map(pathOf);
+        const restored = plan.lectures
+            .filter(e => e.existing && plan.trashedIds.has(e.existing.id))
+            .map(pathOf);
+        const renamed = this.getRenames(plan);
+        const removed = [
+            ...deletions.providers.map(p => `Provider: ${p.name}`),
+            ...deletions.courses.map(c => `Course: ${c.folderPath || c.name}`),
+            ...deletions.lectures.map(l => l.title)
+        ];
+
+        const body = [
+            this.renderSection('ph-plus-circle', 'To be added', added),
+            this.renderSection('ph-arrow-counter-clockwise', 'Back from Trash', restored),
+            this.renderSection('ph-arrows-left-right', 'Renamed / moved', renamed),
+            this.renderSection('ph-minus-circle', 'Missing from disk', removed, 'sync-preview-removed')
+        ].filter(Boolean);
+
+        if (removeCount > 0) {
+            body.push(await this.renderLostProgress(deletions.lectures));
+        }
+
+        const actions = [{ label: 'Cancel', value: null }];
+        if (removeCount > 0) {
+            actions.push({ label: 'Keep Missing Items', value: 'keep' });
+            actions.push({ label: `Move ${removeCount} to Trash`, value: 'all', className: 'btn btn-primary' });
+        } else {
+            actions.push({ label: 'Apply Sync', value: 'all', className: 'btn btn-primary' });
+        }
+
+        return await Dialog.open({
+            title: 'Review Sync',
+            body,
+            actions,
+            className: 'sync-preview'
+        });
+    },
+
+    /**
+     * Describe planned renames (lectures, courses, providers)
+     */
+    getRenames(plan) {
+        const renames = [];
+
+        plan.providers.filter(e => e.renamed).forEach(e => {
+            renames.push(`${e.existing.name} → ${e.name}`);
+        });
+        plan.courses.filter(e => e.renamed).forEach(e => {
+            renames.push(`${e.existing.folderPath || e.existing.name} → ${e.folderPath}`);
+        });
+        plan.lectures.filter(e => e.moved).forEach(e => {
+            const sameCourse = e.existing.courseId === (e.course.existing && e.course.existing.id);
+            const sameFolder = (e.existing.subPath || '') === e.file.subPath;
+            if (!sameCourse || !sameFolder || e.existing.fileName !== e.file.name) {
+                renames.push(`${FileSystem.joinPath(e.existing.subPath, e.existing.fileName)} → ${FileSystem.joinPath(e.file.subPath, e.file.name)}`);
+            }
+        });
+
+        return renames;
+    },
+
+    /**
+     * Render one list section (nothing if empty)
+     */
+    renderSection(icon, title, items, className = '') {
+        if (items.length === 0) return null;
+
+        const shown = items.slice(0, this.LIST_LIMIT);
+        const more = items.length - shown.length;
+
+        return Utils.createElement('div', { className: `sync-preview-section ${className}`.trim() }, [
+            Utils.createElement('div', { className: 'sync-preview-heading' }, [
+                Utils.createElement('i', { className: `ph-duotone ${icon}` }),
+                Utils.createElement('span', {}, ` ${title} (${items.length})`)
+            ]),
+            Utils.createElement('ul', { className: 'sync-preview-list' }, [
+                ...shown.map(item => Utils.createElement('li', {}, item)),
+                more > 0 ? Utils.createElement('li', { className: 'sync-preview-more' }, `…and ${more} more`) : ''
+            ])
+        ]);
+    },
+
+    /**
+     * Summarize study progress attached to lectures about to be removed
+     * @param {Array} lectures - Lectures missing from disk
+     */
+    async renderLostProgress(lectures) {
+        const ids = new Set(lectures.map(l => l.id));
+        const [notes, bookmarks, annotations] = await Promise.all([
+            DB.getAll('notes'),
+            DB.getAll('bookmarks'),
+            DB.getAll('annotations')
+        ]);
+
+        const facts = [];
+        const completed = lectures.filter(l => l.completed).length;
+        const started = lectures.filter(l => !l.completed && l.lastPosition > 0).length;
+        const noteCount = notes.filter(n => ids.has(n.lectureId) && n.content).length;
+        const bookmarkCount = bookmarks.filter(b => ids.has(b.lectureId)).length;
+        const annotationCount = annotations.filter(a => ids.has(a.lectureId)).length;
+
+        if (completed) facts.push(`${completed} completed`);
+        if (started) facts.push(`${started} in progress`);
+        if (noteCount) facts.push(`${noteCount} with notes`);
+        if (bookmarkCount) facts.push(`${bookmarkCount} bookmarks`);
+        if (annotationCount) facts.push(`${annotationCount} highlights`);
+
+        const text = facts.length > 0
+            ? `Progress on missing lectures: ${facts.join(', ')}. Moved items can be restored from Trash for ${Trash.RETENTION_DAYS} days.`
+            : `Moved items can be restored from Trash for ${Trash.RETENTION_DAYS} days.`;
+
+        return Utils.createElement('div', { className: 'sync-preview-warning' }, [
+            Utils.createElement('div', {}, text),
+            Utils.createElement('div', {}, 'If a drive is not connected, choose "Keep Missing Items".')
+        ]);
+    }
+};
+
+// Make SyncPreview globally available
+window.SyncPreview = SyncPreview;
@@ -0,0 +1,145 @@
+/**
+ * UPSC Study Desk - Transcript Panel Component
+ * Searchable transcript built from a video's subtitle file;
+ * clicking a line seeks the video
+ */
+
+const TranscriptPanel = {
+    // Subtitle tracks: [{ label, cues }]
+    tracks: [],
+
+    // Track shown in the transcript
+    trackIndex: 0,
+
+    // Current search text
+    query: '',
+
+    // DOM references
+    listEl: null,
+    lineEls: [],
+
+    // Cue highlighted as playing
+    activeIndex: -1,
+
+    /**
+     * Render the transcript pane
+     * @param {HTMLElement} container - Side panel pane to append to
+     * @param {Array} tracks - [{ label, cues }]
+     */
+    render(container, tracks) {
+        this.tracks = tracks;
+        if (this.trackIndex >= tracks.length) this.trackIndex = 0;
+
+        const searchInput = Utils.createElement('input', {
+            className: 'transcript-search',
+            type: 'search',
+            placeholder: 'Search transcript...',
+            value: this.query,
+            onInput: (e) => {
+                this.query = e.target.value;
+                this.renderLines();
+            }
+        });
+
+        const toolbar = Utils.createElement('div', { className: 'annotations-toolbar' }, [searchInput]);
+
+        if (tracks.length > 1) {
+            toolbar.appendChild(Utils.createElement('select', {
+                className: 'transcript-track',
+                title: 'Subtitle file',
+                onChange: (e) => {
+                    this.trackIndex = parseInt(e.target.value);
+                    this.renderLines();
+                }
+            }, tracks.map((track, i) => Utils.createElement('option', {
+                value: String(i),
+                ...(i === this.trackIndex ? { selected: 'selected' } : {})
+            }, track.label))));
+        }
+
+        this.listEl = Utils.createElement('div', { className: 'annotations-list transcript-list' });
+
+        container.appendChild(toolbar);
+        container.appendChild(this.listEl);
+
+        this.renderLines();
+    },
+
+    /**
+     * Render the transcript lines (only matching ones while searching)
+     */
+    renderLines() {
+        if (!this.listEl) return;
+        Utils.clearElement(this.listEl);
+
+        this.lineEls = [];
+        this.activeIndex = -1;
+
+        const cues = this.tracks[this.trackIndex].cues;
+        const query = this.query.trim().toLowerCase();
+        let shown = 0;
+
+        cues.forEach((cue, i) => {
+            const text = Subtitles.toPlainText(cue.text);
+            if (query && !text.toLowerCase().includes(query)) return;
+
+            const line = Utils.createElement('div', {
+                className: 'chapter-item transcript-line',
+                onClick: () => StudyMode.seekTo(cue.start)
+            }, [
+                Utils.createElement('span', { className: 'chapter-time' }, Utils.formatTime(cue.start)),
+                Utils.createElement('span', { className: 'transcript-text' }, text)
+            ]);
+            this.lineEls[i] = line;
+            this.listEl.appendChild(line);
+            shown++;
+        });
+
+        if (shown === 0) {
+            this.listEl.appendChild(Utils.createElement('div', { className: 'annotations-empty' },
+                query ? 'No lines match your search.' : 'This subtitle file has no lines.'
+            ));
+        }
+
+        this.updateActive(StudyMode.getCurrentTime() || 0);
+    },
+
+    /**
+     * Highlight the line being spoken and keep it in view
+     * @param {number} time - Current playback time (seconds)
+     */
+    updateActive(time) {
+        if (!this.listEl || this.tracks.length === 0) return;
+
+        const cues = this.tracks[this.trackIndex].cues;
+        let index = -1;
+        for (let i = 0; i < cues.length && cues[i].start <= time; i++) {
+            if (time < cues[i].end) index = i;
+        }
+        if (index === this.activeIndex) return;
+
+        const previous = this.lineEls[this.activeIndex];
+        if (previous) previous.classList.remove('active');
+
+        this.activeIndex = index;
+        const current = this.lineEls[index];
+        if (current) {
+            current.classList.add('active');
+            if (this.listEl.offsetParent) current.scrollIntoView({ block: 'nearest' });
+        }
+    },
+
+    /**
+     * Clear state when leaving a lecture
+     */
+    reset() {
+        this.tracks = [];
+        this.query = '';
+        this.listEl = null;
+        this.lineEls = [];
+        this.activeIndex = -1;
+    }
+};
+
+// Make TranscriptPanel globally available
+window.TranscriptPanel = TranscriptPanel;
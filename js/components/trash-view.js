@@ -0,0 +1,169 @@
+/**
+ * UPSC Study Desk - Trash View Component
+ * Lists items removed by sync, with restore and delete-forever actions
+ */
+
+const TrashView = {
+    // Icons per trashed kind
+    kindIcons: {
+        provider: 'ph-duotone ph-buildings',
+        course: 'ph-duotone ph-folder',
+        lecture: 'ph-duotone ph-video'
+    },
+
+    /**
+     * Render the trash screen
+     */
+    async render() {
+        const container = Utils.$('content-area');
+        if (!container) return;
+
+        const items = await Trash.getAll();
+        const byId = new Map(items.map(item => [item.id, item]));
+
+        // Only list top-level items; children are restored with their parent
+        const topLevel = items.filter(item => !byId.has(Trash.getParentId(item)));
+
+        const fragment = document.createDocumentFragment();
+
+        fragment.appendChild(Utils.createElement('div', { className: 'content-header' }, [
+            Utils.createElement('h2', { className: 'content-title' }, 'Trash'),
+            items.length > 0 ? Utils.createElement('button', {
+                className: 'btn btn-secondary',
+                onClick: () => this.confirmEmpty(items.length)
+            }, 'Empty Trash') : ''
+        ]));
+
+        fragment.appendChild(Utils.createElement('p', { className: 'list-hint' },
+            `Items removed by sync are kept here for ${Trash.RETENTION_DAYS} days with their progress and notes.`
+        ));
+
+        if (topLevel.length === 0) {
+            fragment.appendChild(Utils.createElement('div', { className: 'empty-state' }, [
+                Utils.createElement('div', { className: 'empty-state-icon' }, [
+                    Utils.createElement('i', { className: 'ph-duotone ph-trash' })
+                ]),
+                Utils.createElement('div', { className: 'empty-state-text' }, 'Trash is empty')
+            ]));
+        } else {
+            const list = Utils.createElement('div', { className: 'item-list' });
+            topLevel.forEach(item => list.appendChild(this.createItem(item, items)));
+            fragment.appendChild(list);
+        }
+
+        Utils.clearElement(container);
+        container.appendChild(fragment);
+    },
+
+    /**
+     * Create a trash row
+     * @param {Object} item - Trash entry
+     * @param {Array} items - All trash entries (to count children)
+     */
+    createItem(item, items) {
+        const { record } = item;
+        const name = item.kind === 'lecture' ? record.title : record.name;
+        const detail = item.kind === 'lecture' ? record.fileName : (record.folderPath || '');
+
+        // Trashed descendants that come back with this item
+        let childCount = 0;
+        const ids = new Set([item.id]);
+        let grew = true;
+        while (grew) {
+            grew = false;
+            for (const other of items) {
+                if (!ids.has(other.id) && ids.has(Trash.getParentId(other))) {
+                    ids.add(other.id);
+                    childCount++;
+                    grew = true;
+                }
+            }
+        }
+
+        const daysLeft = Trash.getDaysLeft(item);
+        const meta = [
+            detail,
+            childCount > 0 ? `+${childCount} item${childCount === 1 ? '' : 's'} inside` : '',
+            `${daysLeft} day${daysLeft === 1 ? '' : 's'} left`
+        ].filter(Boolean).join(' · ');
+
+        return Utils.createElement('div', { className: 'item-row' }, [
+            Utils.createElement('i', { className: `${this.kindIcons[item.kind]} item-row-icon` }),
+            Utils.createElement('div', { className: 'item-row-content' }, [
+                Utils.createElement('div', { className: 'item-row-title' }, [
+                    Utils.createElement('span', {}, name),
+                    record.completed ? Utils.createElement('span', { className: 'item-row-badge' }, 'completed') : ''
+                ]),
+                Utils.createElement('div', { className: 'item-row-meta' }, meta)
+            ]),
+            Utils.createElement('div', { className: 'lecture-actions' }, [
+                Utils.createElement('button', {
+                    className: 'btn btn-secondary btn-sm',
+                    onClick: () => this.restore(item)
+                }, 'Restore'),
+                Utils.createElement('button', {
+                    className: 'lecture-action-btn delete',
+                    title: 'Delete forever',
+                    onClick: () => this.confirmPurge(item, name)
+                }, [Utils.createElement('i', { className: 'ph-duotone ph-trash' })])
+            ])
+        ]);
+    },
+
+    /**
+     * Restore an item and re-render
+     */
+    async restore(item) {
+        try {
+            const count = await Trash.restore(item.id);
+            KeyboardShortcuts.showToast(`Restored ${count} item${count === 1 ? '' : 's'}`);
+            await App.render();
+        } catch (err) {
+            console.error('[Trash] Restore error:', err);
+            alert('Failed to restore: ' + err.message);
+        }
+    },
+
+    /**
+     * Permanently delete one item after confirmation
+     */
+    async confirmPurge(item, name) {
+        const confirmed = await Dialog.open({
+            title: 'Delete Forever?',
+            body: Utils.createElement('p', {},
+                `"${name}" and any notes, bookmarks and highlights inside it will be permanently deleted.`
+            ),
+            actions: [
+                { label: 'Cancel', value: false },
+                { label: 'Delete Forever', value: true, className: 'btn btn-primary' }
+            ]
+        });
+        if (!confirmed) return;
+
+        await Trash.purge(item.id);
+        await App.render();
+    },
+
+    /**
+     * Empty the trash after confirmation
+     */
+    async confirmEmpty(count) {
+        const confirmed = await Dialog.open({
+            title: 'Empty Trash?',
+            body: Utils.createElement('p', {},
+                `${count} item${count === 1 ? '' : 's'} and their notes, bookmarks and highlights will be permanently deleted.`
+            ),
+            actions: [
+                { label: 'Cancel', value: false },
+                { label: 'Empty Trash', value: true, className: 'btn btn-primary' }
+            ]
+        });
+        if (!confirmed) return;
+
+        await Trash.empty();
+        await App.render();
+    }
+};
+
+// Make TrashView globally available
+window.TrashView = TrashView;
@@ -0,0 +1,215 @@
+/**
+ * UPSC Study Desk - Video Bookmarks Component
+ * Named bookmarks per video, shown as progress bar markers
+ * and as a clickable chapter list under the player
+ */
+
+const VideoBookmarks = {
+    // Lecture whose bookmarks are shown
+    lecture: null,
+
+    // Bookmarks for the current lecture (time order)
+    bookmarks: [],
+
+    // DOM reference for the chapter list
+    listEl: null,
+
+    /**
+     * Render the chapter list under the player
+     * @param {HTMLElement} container - Study media area
+     * @param {Object} lecture
+     */
+    async render(container, lecture) {
+        this.lecture = lecture;
+        this.bookmarks = [];
+
+        this.listEl = Utils.createElement('div', { className: 'chapter-list' });
+
+        const section = Utils.createElement('div', { className: 'video-chapters' }, [
+            Utils.createElement('div', { className: 'video-chapters-header' }, [
+                Utils.createElement('span', { className: 'video-chapters-title' }, [
+                    Utils.createElement('i', { className: 'ph-duotone ph-bookmarks' }),
+                    Utils.createElement('span', {}, ' Chapters')
+                ]),
+                Utils.createElement('button', {
+                    className: 'btn-link',
+                    title: 'Bookmark the current moment (B)',
+                    onClick: () => this.promptAdd()
+                }, '+ Bookmark')
+            ]),
+            this.listEl
+        ]);
+
+        container.appendChild(section);
+
+        await this.refresh();
+    },
+
+    /**
+     * Reload bookmarks and redraw list + markers
+     */
+    async refresh() {
+        if (!this.lecture) return;
+
+        const lecture = this.lecture;
+        const bookmarks = await AppState.getBookmarks(lecture.id);
+
+        // Stale check
+        if (this.lecture !== lecture) return;
+
+        this.bookmarks = bookmarks;
+        this.renderList();
+        this.renderMarkers();
+    },
+
+    /**
+     * Render the chapter list
+     */
+    renderList() {
+        if (!this.listEl) return;
+        Utils.clearElement(this.listEl);
+
+        if (this.bookmarks.length === 0) {
+            this.listEl.appendChild(Utils.createElement('div', { className: 'chapter-empty' },
+                'No bookmarks yet. Press B while watching to bookmark a moment.'
+            ));
+            return;
+        }
+
+        this.bookmarks.forEach(bookmark => {
+            const item = Utils.createElement('div', {
+                className: 'chapter-item',
+                dataset: { bookmarkId: bookmark.id },
+                onClick: () => StudyMode.seekTo(bookmark.time)
+            }, [
+                Utils.createElement('span', { className: 'chapter-time' }, Utils.formatTime(bookmark.time)),
+                Utils.createElement('span', { className: 'chapter-label' }, bookmark.label),
+                Utils.createElement('div', { className: 'lecture-actions' }, [
+                    Utils.createElement('button', {
+                        className: 'lecture-action-btn',
+                        title: 'Rename',
+                        onClick: (e) => {
+                            e.stopPropagation();
+                            this.promptRename(bookmark);
+                        }
+                    }, [Utils.createElement('i', { className: 'ph-duotone ph-pencil-simple' })]),
+                    Utils.createElement('button', {
+                        className: 'lecture-action-btn delete',
+                        title: 'Delete',
+                        onClick: async (e) => {
+                            e.stopPropagation();
+                            await AppState.deleteBookmark(bookmark.id);
+                            await this.refresh();
+                        }
+                    }, [Utils.createElement('i', { className: 'ph-duotone ph-trash' })])
+                ])
+            ]);
+            this.listEl.appendChild(item);
+        });
+
+        this.updateActive(StudyMode.getCurrentTime() || 0);
+    },
+
+    /**
+     * Draw bookmark markers on the Plyr progress bar
+     * (needs the video duration, so also called on loadedmetadata)
+     */
+    renderMarkers() {
+        const player = StudyMode.player;
+        if (!player || !player.elements || !player.elements.progress) return;
+
+        const progress = player.elements.progress;
+        progress.querySelectorAll('.bookmark-marker').forEach(el => el.remove());
+
+        const duration = player.duration;
+        if (!duration) return;
+
+        this.bookmarks.forEach(bookmark => {
+            if (bookmark.time <= 0 || bookmark.time >= duration) return;
+
+            const marker = Utils.createElement('span', {
+                className: 'plyr__progress__marker bookmark-marker',
+                title: `${Utils.formatTime(bookmark.time)} · ${bookmark.label}`,
+                style: `left: ${(bookmark.time / duration) * 100}%`,
+                onClick: (e) => {
+                    e.stopPropagation();
+                    StudyMode.seekTo(bookmark.time);
+                }
+            });
+            progress.appendChild(marker);
+        });
+    },
+
+    /**
+     * Highlight the chapter currently playing
+     * @param {number} currentTime
+     */
+    updateActive(currentTime) {
+        if (!this.listEl) return;
+
+        let activeId = null;
+        for (const bookmark of this.bookmarks) {
+            if (bookmark.time <= currentTime) activeId = bookmark.id;
+        }
+
+        this.listEl.querySelectorAll('.chapter-item').forEach(el => {
+            el.classList.toggle('active', el.dataset.bookmarkId === activeId);
+        });
+    },
+
+    /**
+     * Ask for a label and bookmark the current moment
+     */
+    promptAdd() {
+        const lecture = this.lecture;
+        const time = StudyMode.getCurrentTime();
+        if (!lecture || time === null) return;
+
+        Modal.open({
+            title: `Bookmark at ${Utils.formatTime(time)}`,
+            placeholder: 'e.g., Article 370 discussion',
+            onConfirm: async (label) => {
+                try {
+                    await AppState.addBookmark(lecture.id, time, label);
+                    if (this.lecture === lecture) await this.refresh();
+                } catch (err) {
+                    console.error('[Bookmarks] Save error:', err);
+                    alert('Failed to save bookmark: ' + err.message);
+                }
+            }
+        });
+    },
+
+    /**
+     * Ask for a new label for a bookmark
+     */
+    promptRename(bookmark) {
+        Modal.open({
+            title: 'Rename Bookmark',
+            placeholder: 'Enter new label...',
+            value: bookmark.label,
+            onConfirm: async (label) => {
+                if (label === bookmark.label) return;
+                try {
+                    await AppState.renameBookmark(bookmark, label);
+                    await this.refresh();
+                } catch (err) {
+                    console.error('[Bookmarks] Rename error:', err);
+                    alert('Failed to rename bookmark: ' + err.message);
+                }
+            }
+        });
+    },
+
+    /**
+     * Detach from the current lecture
+     */
+    reset() {
+        this.lecture = null;
+        this.bookmarks = [];
+        this.listEl = null;
+    }
+};
+
+// Make VideoBookmarks globally available
+window.VideoBookmarks = VideoBookmarks;
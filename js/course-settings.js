@@ -0,0 +1,71 @@
+/**
+ * UPSC Study Desk - Course Settings
+ * Per-course playback and auto-complete defaults
+ *
+ * Settings are stored per course in the courseSettings store:
+ *   { id: courseId, speed, skipIntro, skipOutro, autoplay, completeAt }
+ * skipIntro/skipOutro are seconds cut from the start/end of every lecture
+ * (e.g. a provider's title card); autoplay starts the next lecture after a
+ * countdown when one ends. completeAt is the watched/read percent at which
+ * a lecture is marked complete by itself.
+ */
+
+const CourseSettings = {
+    DEFAULTS: {
+        speed: 1,
+        skipIntro: 0,
+        skipOutro: 0,
+        autoplay: false,
+        completeAt: 95
+    },
+
+    // Same choices as the player's speed menu
+    SPEEDS: [0.5, 0.75, 1, 1.25, 1.5, 2],
+
+    // Longest intro/outro that can be skipped (seconds)
+    MAX_SKIP: 600,
+
+    // Lowest auto-complete threshold (percent)
+    MIN_COMPLETE_AT: 50,
+
+    /**
+     * Get a course's settings (defaults if never saved)
+     * @param {string} courseId
+     * @returns {Promise<Object>}
+     */
+    async get(courseId) {
+        const saved = await DB.get('courseSettings', courseId);
+        return { ...this.DEFAULTS, ...saved, id: courseId };
+    },
+
+    /**
+     * Save a course's settings
+     * @param {string} courseId
+     * @param {Object} settings - { speed, skipIntro, skipOutro, autoplay, completeAt }
+     */
+    async save(courseId, { speed, skipIntro, skipOutro, autoplay, completeAt }) {
+        const clampSkip = (value) => Math.min(Math.max(Math.floor(value) || 0, 0), this.MAX_SKIP);
+        const settings = {
+            id: courseId,
+            speed: this.SPEEDS.includes(speed) ? speed : this.DEFAULTS.speed,
+            skipIntro: clampSkip(skipIntro),
+            skipOutro: clampSkip(skipOutro),
+            autoplay: Boolean(autoplay),
+            completeAt: Math.min(Math.max(Math.round(completeAt) || this.DEFAULTS.completeAt, this.MIN_COMPLETE_AT), 100)
+        };
+        await DB.put('courseSettings', settings);
+        console.log(`[CourseSettings] ${courseId}: ${settings.speed}x, skip ${settings.skipIntro}s/${settings.skipOutro}s, autoplay ${settings.autoplay ? 'on' : 'off'}, complete at ${settings.completeAt}%`);
+        return settings;
+    },
+
+    /**
+     * Remove a course's settings
+     * @param {string} courseId
+     */
+    async remove(courseId) {
+        await DB.delete('courseSettings', courseId);
+    }
+};
+
+// Make CourseSettings globally available
+window.CourseSettings = CourseSettings;
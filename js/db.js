@@ -5,7 +5,7 @@
 
 const DB = {
     name: 'upsc-study-desk',
-    version: 2,  // Bumped for config store
+    version: 14,  // Bumped for courseSettings store
     db: null,
 
     // Object store definitions
@@ -15,7 +15,20 @@ const DB = {
         courses: { keyPath: 'id', indexes: [{ name: 'providerId', keyPath: 'providerId' }] },
         lectures: { keyPath: 'id', indexes: [{ name: 'courseId', keyPath: 'courseId' }] },
         notes: { keyPath: 'id', indexes: [{ name: 'lectureId', keyPath: 'lectureId' }] },
-        config: { keyPath: 'id' }  // For storing app config like master folder handle
+        annotations: { keyPath: 'id', indexes: [{ name: 'lectureId', keyPath: 'lectureId' }] },  // PDF highlights & page notes
+        bookmarks: { keyPath: 'id', indexes: [{ name: 'lectureId', keyPath: 'lectureId' }] },  // Named video positions
+        flashcards: { keyPath: 'id', indexes: [{ name: 'lectureId', keyPath: 'lectureId' }] },  // Cards extracted from notes
+        studyTime: { keyPath: 'id', indexes: [{ name: 'date', keyPath: 'date' }] },  // Active seconds per day and lecture
+        focusSessions: { keyPath: 'id', indexes: [{ name: 'date', keyPath: 'date' }] },  // Completed Pomodoro focus periods
+        plans: { keyPath: 'id' },  // Study plans, keyed by course ID
+        collections: { keyPath: 'id' },  // Smart collections (saved lecture filters)
+        playlists: { keyPath: 'id' },  // Ordered lecture lists across courses
+        courseSettings: { keyPath: 'id' },  // Playback defaults, keyed by course ID
+        pdfIndex: { keyPath: 'term' },  // Inverted index: term -> [{ lectureId, page, count }]
+        pdfIndexMeta: { keyPath: 'lectureId' },  // Per-PDF index state (file version, terms)
+        trash: { keyPath: 'id', indexes: [{ name: 'deletedAt', keyPath: 'deletedAt' }] },  // Soft-deleted records (restorable for 30 days)
+        roots: { keyPath: 'id' },  // Library root folder handles
+        config: { keyPath: 'id' }  // For storing app config
     },
 
     /**
@@ -73,11 +86,16 @@ const DB = {
     async seed() {
         const papers = await this.getAll('papers');
 
-        // FORCE MIGRATE: Update icons if they are emojis (check first one)
+        // Papers are user-managed after the first seed (deleting all of them
+        // must not bring the defaults back)
+        const seeded = papers.length > 0 || await this.get('config', 'papersSeeded');
+
+        // FORCE MIGRATE: Update icons if they are emojis (check GS1)
         // If GS1 has emoji '📚', we need to re-seed/update all
-        const needsUpdate = papers.length > 0 && !papers[0].icon.startsWith('ph-');
+        const gs1 = papers.find(p => p.id === 'gs1');
+        const needsUpdate = !!gs1 && !gs1.icon.startsWith('ph-');
 
-        if (papers.length === 0 || needsUpdate) {
+        if (!seeded || needsUpdate) {
             console.log('Seeding/Updating papers...');
 
             const initialPapers = [
@@ -96,6 +114,8 @@ const DB = {
 
             console.log('Papers seeded/updated successfully');
         }
+
+        await this.put('config', { id: 'papersSeeded', value: true });
     },
 
     /**
@@ -150,6 +170,52 @@ const DB = {
         });
     },
 
+    /**
+     * Get records whose key falls in a range
+     * @param {string} storeName
+     * @param {IDBKeyRange} range
+     * @returns {Promise<Array>}
+     */
+    async getRange(storeName, range) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(storeName, 'readonly');
+            const store = transaction.objectStore(storeName);
+            const request = store.getAll(range);
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Read-modify-write many records in a single transaction
+     * @param {string} storeName
+     * @param {Array<string>} keys
+     * @param {Function} updater - (key, existing|undefined) => record to put, or null to delete
+     * @returns {Promise<void>}
+     */
+    async bulkUpdate(storeName, keys, updater) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(storeName, 'readwrite');
+            const store = transaction.objectStore(storeName);
+
+            keys.forEach(key => {
+                const request = store.get(key);
+                request.onsuccess = () => {
+                    const next = updater(key, request.result);
+                    if (next) {
+                        store.put(next);
+                    } else if (request.result) {
+                        store.delete(key);
+                    }
+                };
+            });
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    },
+
     /**
      * Put (insert or update) a record
      * @param {string} storeName
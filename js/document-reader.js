@@ -0,0 +1,186 @@
+/**
+ * UPSC Study Desk - Document Reader
+ * Extracts readable text from .docx, .pptx and .epub files
+ *
+ * All three are ZIP archives of XML/XHTML. Entries are inflated with the
+ * browser's DecompressionStream, so no extra library is needed. The
+ * result is plain text grouped into sections (headings, slides or
+ * chapters); formatting and images are not kept.
+ */
+
+const DocumentReader = {
+    /**
+     * Read a document into sections
+     * @param {File} file
+     * @returns {Promise<Array>} [{ title, paragraphs: [string] }]
+     */
+    async read(file) {
+        const ext = file.name.split('.').pop().toLowerCase();
+        const zip = await this.openZip(file);
+
+        switch (ext) {
+            case 'docx': return await this.readDocx(zip);
+            case 'pptx': return await this.readPptx(zip);
+            case 'epub': return await this.readEpub(zip);
+            default: throw new Error(`Unsupported document type: .${ext}`);
+        }
+    },
+
+    /**
+     * Word: paragraphs, split into sections at headings
+     */
+    async readDocx(zip) {
+        const xml = await this.readXml(zip, 'word/document.xml');
+        const sections = [{ title: '', paragraphs: [] }];
+
+        for (const p of xml.getElementsByTagName('w:p')) {
+            const text = Array.from(p.getElementsByTagName('w:t')).map(t => t.textContent).join('').trim();
+            if (!text) continue;
+
+            const style = p.getElementsByTagName('w:pStyle')[0];
+            const isHeading = style && /^(heading|title)/i.test(style.getAttribute('w:val') || '');
+
+            if (isHeading) {
+                sections.push({ title: text, paragraphs: [] });
+            } else {
+                sections[sections.length - 1].paragraphs.push(text);
+            }
+        }
+
+        return sections.filter(s => s.title || s.paragraphs.length > 0);
+    },
+
+    /**
+     * PowerPoint: one section per slide, in slide order
+     */
+    async readPptx(zip) {
+        const slideNames = Array.from(zip.keys())
+            .filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+            .sort((a, b) => parseInt(a.match(/\d+/)[0]) - parseInt(b.match(/\d+/)[0]));
+
+        const sections = [];
+        for (let i = 0; i < slideNames.length; i++) {
+            const xml = await this.readXml(zip, slideNames[i]);
+            const paragraphs = Array.from(xml.getElementsByTagName('a:p'))
+                .map(p => Array.from(p.getElementsByTagName('a:t')).map(t => t.textContent).join('').trim())
+                .filter(Boolean);
+
+            sections.push({ title: `Slide ${i + 1}`, paragraphs });
+        }
+
+        return sections;
+    },
+
+    /**
+     * EPUB: one section per spine chapter
+     */
+    async readEpub(zip) {
+        const container = await this.readXml(zip, 'META-INF/container.xml');
+        const rootfile = container.getElementsByTagName('rootfile')[0];
+        if (!rootfile) throw new Error('Invalid EPUB (no rootfile)');
+
+        const opfPath = rootfile.getAttribute('full-path');
+        const baseDir = opfPath.includes('/') ? opfPath.slice(0, opfPath.lastIndexOf('/') + 1) : '';
+        const opf = await this.readXml(zip, opfPath);
+
+        const manifest = new Map();
+        for (const item of opf.getElementsByTagName('item')) {
+            manifest.set(item.getAttribute('id'), item.getAttribute('href'));
+        }
+
+        const sections = [];
+        for (const itemref of opf.getElementsByTagName('itemref')) {
+            const href = manifest.get(itemref.getAttribute('idref'));
+            if (!href) continue;
+
+            const path = baseDir + decodeURIComponent(href.split('#')[0]);
+            if (!zip.has(path)) continue;
+
+            const doc = new DOMParser().parseFromString(await this.readText(zip, path), 'application/xhtml+xml');
+            const blocks = Array.from(doc.querySelectorAll('h1, h2, h3, h4, p, li, blockquote'))
+                .map(el => el.textContent.replace(/\s+/g, ' ').trim())
+                .filter(Boolean);
+            if (blocks.length === 0) continue;
+
+            const heading = doc.querySelector('h1, h2, h3');
+            const title = heading ? heading.textContent.replace(/\s+/g, ' ').trim() : `Chapter ${sections.length + 1}`;
+            sections.push({ title, paragraphs: blocks.filter(text => text !== title) });
+        }
+
+        return sections;
+    },
+
+    /**
+     * Read the ZIP central directory
+     * @param {File} file
+     * @returns {Promise<Map>} name -> { file, method, compressedSize, offset }
+     */
+    async openZip(file) {
+        // End of central directory record sits in the last 64KB + 22 bytes
+        const tailStart = Math.max(0, file.size - 65557);
+        const tail = new DataView(await file.slice(tailStart).arrayBuffer());
+
+        let eocd = -1;
+        for (let i = tail.byteLength - 22; i >= 0; i--) {
+            if (tail.getUint32(i, true) === 0x06054b50) {
+                eocd = i;
+                break;
+            }
+        }
+        if (eocd < 0) throw new Error('Not a valid document (ZIP) file');
+
+        const dirSize = tail.getUint32(eocd + 12, true);
+        const dirOffset = tail.getUint32(eocd + 16, true);
+        const dir = new DataView(await file.slice(dirOffset, dirOffset + dirSize).arrayBuffer());
+        const decoder = new TextDecoder();
+        const entries = new Map();
+
+        let pos = 0;
+        while (pos + 46 <= dir.byteLength && dir.getUint32(pos, true) === 0x02014b50) {
+            const nameLength = dir.getUint16(pos + 28, true);
+            const extraLength = dir.getUint16(pos + 30, true);
+            const commentLength = dir.getUint16(pos + 32, true);
+            const name = decoder.decode(new Uint8Array(dir.buffer, dir.byteOffset + pos + 46, nameLength));
+
+            entries.set(name, {
+                file,
+                method: dir.getUint16(pos + 10, true),
+                compressedSize: dir.getUint32(pos + 20, true),
+                offset: dir.getUint32(pos + 42, true)
+            });
+
+            pos += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return entries;
+    },
+
+    /**
+     * Read and inflate one ZIP entry as text
+     */
+    async readText(zip, name) {
+        const entry = zip.get(name);
+        if (!entry) throw new Error(`Missing ${name}`);
+
+        // Local header has its own name/extra lengths
+        const header = new DataView(await entry.file.slice(entry.offset, entry.offset + 30).arrayBuffer());
+        const dataStart = entry.offset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
+        const data = entry.file.slice(dataStart, dataStart + entry.compressedSize);
+
+        if (entry.method === 0) return await data.text();
+        if (entry.method !== 8) throw new Error(`Unsupported compression in ${name}`);
+
+        const stream = data.stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return await new Response(stream).text();
+    },
+
+    /**
+     * Read one ZIP entry as an XML document
+     */
+    async readXml(zip, name) {
+        return new DOMParser().parseFromString(await this.readText(zip, name), 'application/xml');
+    }
+};
+
+// Make DocumentReader globally available
+window.DocumentReader = DocumentReader;
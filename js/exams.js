@@ -0,0 +1,109 @@
+/**
+ * UPSC Study Desk - Exam Dates
+ * Prelims/Mains countdown and syllabus coverage projection
+ *
+ * Dates are stored in config 'examDates' as { prelims, mains } date keys.
+ * Each paper is projected against the next upcoming exam: its remaining
+ * lectures at the paper's completion rate over the last 30 days
+ * (Analytics.getCompletionRate), and the daily pace needed to finish
+ * the day before the exam.
+ */
+
+const Exams = {
+    // Exams in date order
+    EXAMS: {
+        prelims: { label: 'Prelims', icon: 'ph-duotone ph-exam' },
+        mains: { label: 'Mains', icon: 'ph-duotone ph-pen-nib' }
+    },
+
+    /**
+     * Saved exam dates
+     * @returns {Promise<Object>} { prelims, mains } (null if not set)
+     */
+    async getDates() {
+        const config = await DB.get('config', 'examDates');
+        return { prelims: null, mains: null, ...(config ? config.value : {}) };
+    },
+
+    /**
+     * Save exam dates
+     * @param {Object} dates - { prelims, mains }
+     */
+    async saveDates(dates) {
+        await DB.put('config', { id: 'examDates', value: dates });
+        console.log('[Exams] Dates saved:', dates);
+    },
+
+    /**
+     * Upcoming exams (today counts as upcoming), soonest first
+     * @param {Object} dates - Result of getDates
+     * @returns {Array} [{ key, label, icon, date, daysLeft }]
+     */
+    getUpcoming(dates) {
+        return Object.entries(this.EXAMS)
+            .filter(([key]) => dates[key] && Revision.daysUntil(dates[key]) >= 0)
+            .map(([key, exam]) => ({ key, ...exam, date: dates[key], daysLeft: Revision.daysUntil(dates[key]) }))
+            .sort((a, b) => a.daysLeft - b.daysLeft);
+    },
+
+    /**
+     * Project each paper's remaining lectures against an exam
+     * @param {Object} exam - Entry of getUpcoming
+     * @returns {Promise<Array>} [{ paper, total, remaining, rate, requiredPerDay,
+     *   projectedFinish, onTrack }] in paper order; papers without lectures are left out
+     */
+    async getProjection(exam) {
+        const [lectures, courses, providers] = await Promise.all([
+            DB.getAll('lectures'),
+            DB.getAll('courses'),
+            DB.getAll('providers')
+        ]);
+        const courseById = new Map(courses.map(c => [c.id, c]));
+        const providerById = new Map(providers.map(p => [p.id, p]));
+
+        const byPaper = new Map();
+        for (const lecture of lectures) {
+            const course = courseById.get(lecture.courseId);
+            const provider = course && providerById.get(course.providerId);
+            if (!provider) continue;
+
+            if (!byPaper.has(provider.paperId)) byPaper.set(provider.paperId, []);
+            byPaper.get(provider.paperId).push(lecture);
+        }
+
+        const result = [];
+        for (const paper of AppState.getPapers()) {
+            const paperLectures = byPaper.get(paper.id) || [];
+            if (paperLectures.length === 0) continue;
+
+            const remaining = paperLectures.filter(l => !l.completed).length;
+            const { rate } = Analytics.getCompletionRate(paperLectures);
+            const daysNeeded = rate > 0 ? Math.ceil(remaining / rate) : Infinity;
+
+            result.push({
+                paper,
+                total: paperLectures.length,
+                remaining,
+                rate,
+                // Finish the day before the exam
+                requiredPerDay: exam.daysLeft > 0 ? remaining / exam.daysLeft : remaining,
+                projectedFinish: remaining === 0 ? Revision.dateKey()
+                    : Number.isFinite(daysNeeded) ? Revision.daysFromToday(daysNeeded - 1) : null,
+                onTrack: remaining === 0 || daysNeeded <= exam.daysLeft
+            });
+        }
+
+        return result;
+    },
+
+    /**
+     * Format a lectures-per-day pace (e.g., "2.5/day", "<0.1/day")
+     */
+    formatPace(perDay) {
+        if (perDay > 0 && perDay < 0.1) return '<0.1/day';
+        return `${perDay >= 10 ? Math.round(perDay) : Math.round(perDay * 10) / 10}/day`;
+    }
+};
+
+// Make Exams globally available
+window.Exams = Exams;
@@ -1,18 +1,41 @@
 /**
  * UPSC Study Desk - File System Module
- * Manages master folder access using File System Access API
+ * Manages library root folders using File System Access API
+ * (one or more roots, merged into a single Paper/Provider/Course tree)
  */
 
 const FileSystem = {
-    // Root directory handle (persisted)
-    rootHandle: null,
+    // Library roots: { id, name, handle, orderIndex, addedAt, connected }
+    // (persisted in the roots store; connected = permission granted)
+    roots: [],
 
     // Supported file types
     supportedTypes: {
-        video: ['.mp4', '.mkv', '.webm'],
-        pdf: ['.pdf']
+        video: ['.mp4', '.mkv', '.webm', '.mov', '.m4v'],
+        audio: ['.mp3', '.m4a'],
+        pdf: ['.pdf'],
+        image: ['.png', '.jpg', '.jpeg'],
+        document: ['.docx', '.pptx', '.epub']
     },
 
+    // Sidecar subtitle files (same base name as a video, e.g. "01 Intro.en.srt")
+    subtitleTypes: ['.srt', '.vtt'],
+
+    // Display info per type
+    typeInfo: {
+        video: { label: 'Video', icon: 'ph-duotone ph-video', mime: 'video/*' },
+        audio: { label: 'Audio', icon: 'ph-duotone ph-headphones', mime: 'audio/*' },
+        pdf: { label: 'PDF', icon: 'ph-duotone ph-file-text', mime: 'application/pdf' },
+        image: { label: 'Image', icon: 'ph-duotone ph-image', mime: 'image/*' },
+        document: { label: 'Document', icon: 'ph-duotone ph-file-doc', mime: 'application/octet-stream' }
+    },
+
+    // Bytes hashed from the start of a file for its fingerprint
+    FINGERPRINT_BYTES: 64 * 1024,
+
+    // True while a scan/sync is running (watcher waits for it)
+    isSyncing: false,
+
     /**
      * Check if File System Access API is available
      */
@@ -21,7 +44,8 @@ const FileSystem = {
     },
 
     /**
-     * Initialize - try to restore saved directory handle
+     * Initialize - restore saved library roots and their permission state
+     * @returns {Promise<boolean>} True if at least one root is connected
      */
     async init() {
         if (!this.isSupported()) {
@@ -29,40 +53,70 @@ const FileSystem = {
             return false;
         }
 
-        // Try to restore from IndexedDB
-        const savedHandle = await this.getSavedHandle();
-        if (savedHandle) {
+        await this.migrateLegacyRoot();
+
+        const saved = await DB.getAll('roots');
+        saved.sort((a, b) => (a.orderIndex || 0) - (b.orderIndex || 0));
+
+        this.roots = [];
+        for (const root of saved) {
             // Verify we still have permission
-            const permission = await savedHandle.queryPermission({ mode: 'readwrite' });
+            const permission = await root.handle.queryPermission({ mode: 'readwrite' });
+            this.roots.push({ ...root, connected: permission === 'granted' });
+
             if (permission === 'granted') {
-                this.rootHandle = savedHandle;
-                console.log('Restored directory access:', savedHandle.name);
-                return true;
+                console.log('Restored directory access:', root.name);
+            }
+        }
+
+        return this.hasMasterFolder();
+    },
+
+    /**
+     * Move the single pre-roots master folder (config.masterFolder)
+     * into the roots store and tag existing courses with it
+     */
+    async migrateLegacyRoot() {
+        const config = await DB.get('config', 'masterFolder');
+        if (!config || !config.handle) return;
+
+        const root = {
+            id: Utils.generateId(),
+            name: config.handle.name,
+            handle: config.handle,
+            orderIndex: 0,
+            addedAt: new Date().toISOString()
+        };
+        await DB.put('roots', root);
+
+        const courses = await DB.getAll('courses');
+        for (const course of courses) {
+            if (!course.rootId && course.folderPath) {
+                course.rootId = root.id;
+                await DB.put('courses', course);
             }
         }
 
-        return false;
+        await DB.delete('config', 'masterFolder');
+        console.log(`[Roots] Migrated master folder "${root.name}"`);
     },
 
     /**
-     * Prompt user to select master folder
+     * Prompt user to add a library root folder
+     * Re-adding a known folder reconnects it instead.
+     * @returns {Promise<Object|null>} Root, or null if cancelled
      */
-    async selectMasterFolder() {
+    async addRoot() {
         if (!this.isSupported()) {
             throw new Error('File System Access API not supported. Please use Chrome or Edge.');
         }
 
+        let handle;
         try {
-            const handle = await window.showDirectoryPicker({
+            handle = await window.showDirectoryPicker({
                 mode: 'readwrite',
                 startIn: 'documents'
             });
-
-            this.rootHandle = handle;
-            await this.saveHandle(handle);
-            console.log('Master folder selected:', handle.name);
-
-            return handle;
         } catch (err) {
             if (err.name === 'AbortError') {
                 console.log('User cancelled folder selection');
@@ -70,57 +124,128 @@ const FileSystem = {
             }
             throw err;
         }
+
+        for (const root of this.roots) {
+            if (await root.handle.isSameEntry(handle)) {
+                root.handle = handle;
+                root.connected = true;
+                await this.saveRoot(root);
+                return root;
+            }
+        }
+
+        const root = {
+            id: Utils.generateId(),
+            name: handle.name,
+            handle: handle,
+            orderIndex: this.roots.length,
+            addedAt: new Date().toISOString(),
+            connected: true
+        };
+        await this.saveRoot(root);
+        this.roots.push(root);
+        console.log('Library folder added:', handle.name);
+
+        return root;
     },
 
     /**
-     * Save directory handle to IndexedDB for persistence
+     * Save a root to IndexedDB for persistence
      */
-    async saveHandle(handle) {
-        await DB.put('config', { id: 'masterFolder', handle: handle, name: handle.name });
+    async saveRoot(root) {
+        const { connected, ...record } = root;
+        await DB.put('roots', record);
     },
 
     /**
-     * Get saved directory handle from IndexedDB
+     * Unregister a root (its courses are offered for removal on next sync)
+     * @param {string} rootId
      */
-    async getSavedHandle() {
-        const config = await DB.get('config', 'masterFolder');
-        return config ? config.handle : null;
+    async removeRoot(rootId) {
+        await DB.delete('roots', rootId);
+        this.roots = this.roots.filter(r => r.id !== rootId);
+    },
+
+    /**
+     * Ask for permission on a saved root again (needs a user gesture)
+     * @param {string} rootId
+     * @returns {Promise<boolean>} True if granted
+     */
+    async reconnectRoot(rootId) {
+        const root = this.getRoot(rootId);
+        if (!root) return false;
+
+        const permission = await root.handle.requestPermission({ mode: 'readwrite' });
+        root.connected = permission === 'granted';
+        return root.connected;
+    },
+
+    /**
+     * Get a registered root
+     */
+    getRoot(rootId) {
+        return this.roots.find(r => r.id === rootId) || null;
+    },
+
+    /**
+     * Get roots the app can currently read
+     */
+    getConnectedRoots() {
+        return this.roots.filter(r => r.connected);
+    },
+
+    /**
+     * Root for content with no root yet (e.g., files dropped into a new course)
+     */
+    getDefaultRoot() {
+        return this.getConnectedRoots()[0] || null;
     },
 
     /**
-     * Check if master folder is configured
+     * Check if at least one root is connected
      */
     hasMasterFolder() {
-        return this.rootHandle !== null;
+        return this.getConnectedRoots().length > 0;
     },
 
     /**
-     * Get master folder name
+     * Check whether a course's root can be read right now
+     * @param {string|null} rootId - Course rootId (null = default root)
      */
-    getMasterFolderName() {
-        return this.rootHandle ? this.rootHandle.name : null;
+    isRootConnected(rootId) {
+        const root = rootId ? this.getRoot(rootId) : this.getDefaultRoot();
+        return !!(root && root.connected);
     },
 
     /**
-     * Request permission to access saved folder
+     * Get a root's display name
      */
-    async requestPermission() {
-        if (!this.rootHandle) return false;
+    getRootName(rootId) {
+        const root = rootId ? this.getRoot(rootId) : this.getDefaultRoot();
+        return root ? root.name : null;
+    },
 
-        const permission = await this.rootHandle.requestPermission({ mode: 'readwrite' });
-        return permission === 'granted';
+    /**
+     * Get the directory handle of a connected root
+     * @param {string|null} rootId - null for the default root
+     * @returns {FileSystemDirectoryHandle}
+     */
+    getRootHandle(rootId = null) {
+        const root = rootId ? this.getRoot(rootId) : this.getDefaultRoot();
+        if (!root) throw new Error('No master folder configured');
+        if (!root.connected) throw new Error(`Folder "${root.name}" is not connected`);
+        return root.handle;
     },
 
     /**
      * Get or create a subfolder path
      * @param {string} path - Path like "GS1/Vision IAS/Polity"
+     * @param {string|null} rootId - Root the path is relative to (default root if null)
      * @returns {FileSystemDirectoryHandle}
      */
-    async getOrCreateFolder(path) {
-        if (!this.rootHandle) throw new Error('No master folder configured');
-
+    async getOrCreateFolder(path, rootId = null) {
         const parts = path.split('/').filter(p => p.trim());
-        let current = this.rootHandle;
+        let current = this.getRootHandle(rootId);
 
         for (const part of parts) {
             current = await current.getDirectoryHandle(part, { create: true });
@@ -129,6 +254,28 @@ const FileSystem = {
         return current;
     },
 
+    /**
+     * Get an existing subfolder without creating it
+     * @param {string} path - Path like "GS1/Vision IAS/Polity"
+     * @param {string|null} rootId - Root the path is relative to
+     * @returns {Promise<FileSystemDirectoryHandle|null>} null if missing or not connected
+     */
+    async getFolder(path, rootId = null) {
+        if (!this.isRootConnected(rootId)) return null;
+
+        let current = this.getRootHandle(rootId);
+        try {
+            for (const part of path.split('/').filter(p => p.trim())) {
+                current = await current.getDirectoryHandle(part);
+            }
+        } catch (err) {
+            if (err.name === 'NotFoundError') return null;
+            throw err;
+        }
+
+        return current;
+    },
+
     /**
      * Write a file to a folder
      * @param {FileSystemDirectoryHandle} folderHandle
@@ -151,16 +298,84 @@ const FileSystem = {
     },
 
     /**
-     * Scan the master folder and return structure
-     * @returns {Object} Nested structure matching Paper/Provider/Course/Lectures
+     * Get the Markdown note filename that mirrors a lecture file
+     * The lecture's extension is kept, so a class and its handout with the
+     * same name ("01 Introduction.mp4", "01 Introduction.pdf") get separate notes.
+     * @param {string} fileName - e.g., "01 Introduction.mp4"
+     * @returns {string} - e.g., "01 Introduction.mp4.md"
+     */
+    getNoteFileName(fileName) {
+        return `${fileName}.md`;
+    },
+
+    /**
+     * Read a lecture's Markdown note from its course folder
+     * @param {string} folderPath - Course folder path
+     * @param {string} fileName - Lecture filename
+     * @param {string|null} rootId - Course root
+     * @returns {Promise<{content: string, lastModified: number}|null>} Note
+     *   content and file time, or null if no file (or no folder) exists
+     */
+    async readNoteFile(folderPath, fileName, rootId = null) {
+        // Never create folders here: the course folder may have been moved (not synced yet)
+        const folder = await this.getFolder(folderPath, rootId);
+        if (!folder) return null;
+
+        try {
+            const handle = await folder.getFileHandle(this.getNoteFileName(fileName));
+            const file = await this.readFile(handle);
+            return { content: await file.text(), lastModified: file.lastModified };
+        } catch (err) {
+            if (err.name === 'NotFoundError') return null;
+            throw err;
+        }
+    },
+
+    /**
+     * Write a lecture's Markdown note next to the lecture file
+     * @param {string} folderPath - Course folder path
+     * @param {string} fileName - Lecture filename
+     * @param {string} content - Markdown content
+     * @param {string|null} rootId - Course root
+     */
+    async writeNoteFile(folderPath, fileName, content, rootId = null) {
+        const folder = await this.getOrCreateFolder(folderPath, rootId);
+        const noteFile = new File([content], this.getNoteFileName(fileName), { type: 'text/markdown' });
+        return await this.writeFile(folder, noteFile);
+    },
+
+    /**
+     * Scan every connected root
+     * A root that can't be read (e.g., drive unplugged) is left out, so
+     * nothing on it is treated as missing.
+     * @returns {Object} { [rootId]: structure } (see scanRoot)
      */
-    async scanMasterFolder() {
-        if (!this.rootHandle) throw new Error('No master folder configured');
+    async scanLibrary() {
+        if (!this.hasMasterFolder()) throw new Error('No master folder configured');
 
+        const library = {};
+
+        for (const root of this.getConnectedRoots()) {
+            try {
+                library[root.id] = await this.scanRoot(root.handle);
+            } catch (err) {
+                console.warn(`[Roots] Could not read "${root.name}", skipping:`, err);
+            }
+        }
+
+        return library;
+    },
+
+    /**
+     * Scan one root folder and return structure
+     * @param {FileSystemDirectoryHandle} rootHandle
+     * @returns {Object} Nested structure matching Paper/Provider/Course/Lectures
+     */
+    async scanRoot(rootHandle) {
         const structure = {};
 
         // Scan papers (top-level folders)
-        for await (const [name, handle] of this.rootHandle) {
+        for await (const [name, handle] of rootHandle) {
             if (handle.kind === 'directory') {
                 structure[name] = await this.scanPaperFolder(handle);
             }
@@ -169,6 +384,32 @@ const FileSystem = {
         return structure;
     },
 
+    /**
+     * Build a cheap signature of a folder scan (names only, no file reads)
+     * Used by FolderWatcher to detect changes between polls.
+     * @param {Object} library - Result of scanLibrary
+     * @returns {string}
+     */
+    getStructureSignature(library) {
+        const paths = [];
+        const walk = (node, prefix) => {
+            if (Array.isArray(node)) {
+                node.forEach(file => {
+                    const folder = this.joinPath(prefix, file.subPath);
+                    paths.push(`${folder}/${file.name}`);
+                    (file.subtitles || []).forEach(sub => paths.push(`${folder}/${sub.name}`));
+                });
+                if (node.length === 0) paths.push(prefix);
+                return;
+            }
+            const names = Object.keys(node);
+            if (names.length === 0) paths.push(prefix);
+            names.forEach(name => walk(node[name], `${prefix}/${name}`));
+        };
+        walk(library, '');
+        return paths.sort().join('\n');
+    },
+
     /**
      * Scan a paper folder for providers
      */
@@ -200,44 +441,133 @@ const FileSystem = {
     },
 
     /**
-     * Scan a course folder for lectures (files)
+     * Scan a course folder for lectures (files), including nested
+     * module/sub-module folders
+     * @param {FileSystemDirectoryHandle} courseHandle
+     * @param {string} subPath - Folder path inside the course ('' at the top)
+     * @returns {Array} [{ name, handle, type, subPath, subtitles }] - files of
+     *   a folder come before its subfolders, both sorted by name
      */
-    async scanCourseFolder(courseHandle) {
+    async scanCourseFolder(courseHandle, subPath = '') {
         const lectures = [];
+        const folders = [];
+        const subtitleFiles = [];
 
         for await (const [name, handle] of courseHandle) {
             if (handle.kind === 'file') {
                 const type = this.classifyFile(name);
-                if (type) {
+                if (this.isSubtitleFile(name)) {
+                    subtitleFiles.push({ name, handle });
+                } else if (type) {
                     lectures.push({
                         name: name,
                         handle: handle,
-                        type: type
+                        type: type,
+                        subPath: subPath
                     });
                 }
+            } else if (handle.kind === 'directory' && !name.startsWith('.')) {
+                folders.push([name, handle]);
             }
         }
 
         // Sort by filename
-        lectures.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+        const byName = (a, b) => a.localeCompare(b, undefined, { numeric: true });
+        lectures.sort((a, b) => byName(a.name, b.name));
+        folders.sort((a, b) => byName(a[0], b[0]));
+
+        for (const lecture of lectures) {
+            if (this.isPlayable(lecture.type)) {
+                lecture.subtitles = this.findSubtitles(lecture.name, subtitleFiles);
+            }
+        }
+
+        for (const [name, handle] of folders) {
+            lectures.push(...await this.scanCourseFolder(handle, subPath ? `${subPath}/${name}` : name));
+        }
 
         return lectures;
     },
 
+    /**
+     * Check for a subtitle file (.srt/.vtt)
+     * @param {string} filename
+     */
+    isSubtitleFile(filename) {
+        const ext = '.' + filename.split('.').pop().toLowerCase();
+        return this.subtitleTypes.includes(ext);
+    },
+
+    /**
+     * Find the sidecar subtitles of a media file
+     * "Lecture 1.srt" and "Lecture 1.hi.vtt" both belong to "Lecture 1.mp4";
+     * the part between the base name and the extension is the language.
+     * @param {string} fileName - Media file name
+     * @param {Array} subtitleFiles - [{ name, handle }] in the same folder
+     * @returns {Array} [{ name, handle, lang }] sorted by name
+     */
+    findSubtitles(fileName, subtitleFiles) {
+        const base = fileName.replace(/\.[^.]+$/, '').toLowerCase();
+
+        return subtitleFiles
+            .map(sub => {
+                const stem = sub.name.replace(/\.[^.]+$/, '');
+                if (stem.toLowerCase() === base) return { ...sub, lang: '' };
+                if (stem.toLowerCase().startsWith(base + '.')) return { ...sub, lang: stem.slice(base.length + 1) };
+                return null;
+            })
+            .filter(Boolean)
+            .sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    /**
+     * Join a course folder path and a lecture's sub-folder path
+     * @param {string} folderPath - Course folder path
+     * @param {string} subPath - Folder inside the course ('' or undefined for top level)
+     */
+    joinPath(folderPath, subPath) {
+        return subPath ? `${folderPath}/${subPath}` : folderPath;
+    },
+
     /**
      * Classify a file by its extension
      * @param {string} filename
-     * @returns {string|null} 'video', 'pdf', or null
+     * @returns {string|null} 'video', 'audio', 'pdf', 'image', 'document', or null
      */
     classifyFile(filename) {
         const ext = '.' + filename.split('.').pop().toLowerCase();
 
-        if (this.supportedTypes.video.includes(ext)) return 'video';
-        if (this.supportedTypes.pdf.includes(ext)) return 'pdf';
+        for (const [type, extensions] of Object.entries(this.supportedTypes)) {
+            if (extensions.includes(ext)) return type;
+        }
 
         return null;
     },
 
+    /**
+     * Check whether a type plays over time (resume, speed, bookmarks)
+     * @param {string} type
+     */
+    isPlayable(type) {
+        return type === 'video' || type === 'audio';
+    },
+
+    /**
+     * Get the icon class for a lecture type
+     * @param {string} type
+     */
+    getTypeIcon(type) {
+        return (this.typeInfo[type] || this.typeInfo.document).icon;
+    },
+
+    /**
+     * Get all supported extensions
+     * @returns {Array<string>} e.g., ['.mp4', '.mkv', ...]
+     */
+    getSupportedExtensions() {
+        return Object.values(this.supportedTypes).flat();
+    },
+
     /**
      * Get clean title from filename
      * @param {string} filename - e.g., "01_Introduction_to_Polity.mp4"
@@ -284,7 +614,12 @@ const FileSystem = {
             }
 
             // Match against full name (General Studies 1, etc.)
-            if (this.normalizeName(paper.fullName) === normalized) {
+            if (paper.fullName && this.normalizeName(paper.fullName) === normalized) {
+                return paper.id;
+            }
+
+            // Match against folder names kept from renames/imports
+            if ((paper.folderNames || []).some(name => this.normalizeName(name) === normalized)) {
                 return paper.id;
             }
 
@@ -301,253 +636,580 @@ const FileSystem = {
         return null;
     },
 
+    /**
+     * Compute a content fingerprint for a file
+     * (size + lastModified + hash of the first 64KB)
+     * @param {File} file
+     * @returns {Promise<string>}
+     */
+    async getFingerprint(file) {
+        const head = await file.slice(0, this.FINGERPRINT_BYTES).arrayBuffer();
+        const digest = await crypto.subtle.digest('SHA-256', head);
+        const hash = Array.from(new Uint8Array(digest).slice(0, 8))
+            .map(b => b.toString(16).padStart(2, '0'))
+            .join('');
+        return `${file.size}:${file.lastModified}:${hash}`;
+    },
+
+    /**
+     * Scan the folder and work out what a sync would change (dry run)
+     * @returns {Promise<Object>} Sync plan (see planSync)
+     */
+    async previewSync() {
+        this.isSyncing = true;
+        window.dispatchEvent(new CustomEvent('app:sync-start'));
+
+        try {
+            const library = await this.scanLibrary();
+            return await this.planSync(library);
+        } finally {
+            this.isSyncing = false;
+            window.dispatchEvent(new CustomEvent('app:sync-end', { detail: null }));
+        }
+    },
+
     /**
      * Sync folder structure to database
-     * Creates/updates providers, courses, lectures based on folder scan
+     * Lectures keep their identity (progress, notes, bookmarks) across
+     * file/folder renames and moves. See planSync for the matching rules.
+     * Items missing from disk are only moved to the trash when
+     * confirmDeletes is set; otherwise they are left alone and counted
+     * as pending.
+     * @param {Object} options - { plan, confirmDeletes }
+     * @returns {Object} { added, updated, renamed, deleted, pending, renames, newPaperFolders }
      */
-    async syncToDatabase() {
-        if (!this.rootHandle) {
+    async syncToDatabase(options = {}) {
+        const { confirmDeletes = false } = options;
+
+        if (!this.hasMasterFolder()) {
             console.log('No master folder configured, skipping sync');
-            return { added: 0, updated: 0, deleted: 0 };
+            return { added: 0, updated: 0, renamed: 0, deleted: 0, pending: 0, renames: [], newPaperFolders: [] };
         }
 
         // Notify start
+        this.isSyncing = true;
         window.dispatchEvent(new CustomEvent('app:sync-start'));
 
-        const structure = await this.scanMasterFolder();
-        const papers = AppState.getPapers();
-        const paperIds = papers.map(p => p.id);
+        let result;
+        try {
+            const plan = options.plan || await this.planSync(await this.scanLibrary());
+            result = await this.applySync(plan, confirmDeletes);
+        } finally {
+            this.isSyncing = false;
+        }
 
-        let added = 0;
-        let updated = 0;
-        let deleted = 0;
+        // Invalidate caches after sync
+        AppState.invalidateCache();
 
-        // Track active IDs to identify deletions
-        const validProviderIds = new Set();
-        const validCourseIds = new Set();
-        const validLectureIds = new Set();
+        console.log(`Sync complete:`, result);
+        result.renames.forEach(r => console.log(`[Sync] Renamed ${r.kind}: "${r.from}" → "${r.to}"`));
 
-        // Process each paper folder
-        for (const [paperFolderName, providers] of Object.entries(structure)) {
-            // Match folder name to paper ID (flexible matching)
-            const paperId = this.matchPaperFolder(paperFolderName, papers);
+        // Notify end
+        window.dispatchEvent(new CustomEvent('app:sync-end', { detail: result }));
 
-            if (!paperId) {
-                console.log(`Skipping unknown paper folder: ${paperFolderName}`);
-                continue;
-            }
+        // Index PDF text in the background (unchanged files are skipped)
+        PdfIndexer.start();
+
+        return result;
+    },
+
+    /**
+     * Match a folder scan against the database without changing anything
+     *
+     * 1. Providers, courses and lectures are matched by name/fileName, as before.
+     * 2. Remaining files are paired with unmatched lectures by fingerprint
+     *    (a renamed or moved file).
+     * 3. A new course folder whose lectures came from an unmatched course is
+     *    that course renamed/moved; likewise for provider folders.
+     * Whatever is still unmatched in the database is to be deleted.
+     * Trashed records take part in matching, so items that reappear on
+     * disk (e.g., a drive mounted again) are restored with their progress.
+     * Providers with the same name on different roots merge into one;
+     * courses belong to a single root. Courses on roots that weren't
+     * scanned are out of scope and never removed.
+     * Top-level folders that match no paper (and weren't ignored) are
+     * returned as newPaperFolders for the user to add.
+     *
+     * @param {Object} library - Result of scanLibrary
+     * @returns {Promise<Object>} { providers, courses, lectures, deletions, trashedIds, newPaperFolders }
+     */
+    async planSync(library) {
+        const papers = AppState.getPapers();
+        const ignoredFolders = new Set((await AppState.getIgnoredPaperFolders()).map(name => this.normalizeName(name)));
+        const newPaperFolders = [];
+        const [providers, courses, lectures, trashed] = await Promise.all([
+            DB.getAll('providers'),
+            DB.getAll('courses'),
+            DB.getAll('lectures'),
+            Trash.getAll()
+        ]);
+
+        const trashedIds = new Set();
+        for (const item of trashed) {
+            const list = { provider: providers, course: courses, lecture: lectures }[item.kind];
+            list.push(item.record);
+            trashedIds.add(item.id);
+        }
+
+        const claimed = new Set(); // Matched provider/course/lecture IDs
+        const scannedPaperIds = new Set();
+        const providerEntries = [];
+        const courseEntries = [];
+        const lectureEntries = [];
+
+        const findUnclaimed = (list, predicate) => list.find(item => !claimed.has(item.id) && predicate(item)) || null;
+        const sameName = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+        // Courses on roots we couldn't scan are left alone
+        const scannedRootIds = new Set(Object.keys(library));
+        const courseInScope = (course) => !course.rootId ||
+            scannedRootIds.has(course.rootId) || !this.getRoot(course.rootId);
+        const courseById = new Map(courses.map(c => [c.id, c]));
+        const lectureInScope = (lecture) => {
+            const course = courseById.get(lecture.courseId);
+            return !course || courseInScope(course);
+        };
+
+        // 1. Match by name
+        for (const [rootId, structure] of Object.entries(library)) {
+            for (const [paperFolderName, providerFolders] of Object.entries(structure)) {
+                // Match folder name to paper ID (flexible matching)
+                const paperId = this.matchPaperFolder(paperFolderName, papers);
+
+                if (!paperId) {
+                    const key = this.normalizeName(paperFolderName);
+                    if (!ignoredFolders.has(key) && !newPaperFolders.some(name => this.normalizeName(name) === key)) {
+                        console.log(`Unknown paper folder: ${paperFolderName}`);
+                        newPaperFolders.push(paperFolderName);
+                    }
+                    continue;
+                }
+
+                scannedPaperIds.add(paperId);
+
+                for (const [providerName, courseFolders] of Object.entries(providerFolders)) {
+                    // Same provider on another root: merge
+                    let providerEntry = providerEntries.find(e => e.paperId === paperId && sameName(e.name, providerName));
+                    if (!providerEntry) {
+                        providerEntry = {
+                            paperId,
+                            name: providerName,
+                            existing: findUnclaimed(providers, p => p.paperId === paperId && sameName(p.name, providerName)),
+                            renamed: false
+                        };
+                        if (providerEntry.existing) claimed.add(providerEntry.existing.id);
+                        providerEntries.push(providerEntry);
+                    }
 
-            console.log(`Matched folder "${paperFolderName}" to paper: ${paperId}`);
-
-            // Process providers
-            for (const [providerName, courses] of Object.entries(providers)) {
-                const provider = await this.ensureProvider(paperId, providerName);
-                validProviderIds.add(provider.id);
-
-                // Process courses - pass actual folder path
-                for (const [courseName, lectures] of Object.entries(courses)) {
-                    // Build actual folder path using real folder names
-                    const folderPath = `${paperFolderName}/${providerName}/${courseName}`;
-                    const course = await this.ensureCourse(provider.id, courseName, folderPath);
-                    validCourseIds.add(course.id);
-
-                    // Process lectures
-                    for (let i = 0; i < lectures.length; i++) {
-                        const lectureFile = lectures[i];
-                        const result = await this.ensureLecture(course.id, lectureFile, i);
-                        validLectureIds.add(result.lecture.id);
-                        if (result.created) added++;
-                        if (result.updated) updated++;
+                    for (const [courseName, files] of Object.entries(courseFolders)) {
+                        await this.planCourseFolder({
+                            rootId,
+                            providerEntry,
+                            courseName,
+                            // Actual folder path using real folder names
+                            folderPath: `${paperFolderName}/${providerName}/${courseName}`,
+                            files
+                        }, { courses, lectures, claimed, courseEntries, lectureEntries, findUnclaimed, sameName });
                     }
                 }
             }
         }
 
-        // Garbage Collection: Remove items not found in scan
+        // 2. Pair remaining files with missing lectures by fingerprint
+        for (const entry of lectureEntries) {
+            if (entry.existing) continue;
 
-        // 1. Providers
-        const allProviders = await DB.getAll('providers');
-        for (const p of allProviders) {
-            // Only clean up providers for papers we actually scanned/matched
-            // (If we skipped a paper folder, we shouldn't delete its providers)
-            const isScannedPaper = paperIds.includes(p.paperId) &&
-                Object.keys(structure).some(name => this.matchPaperFolder(name, papers) === p.paperId);
-
-            if (isScannedPaper && !validProviderIds.has(p.id)) {
-                console.log(`[Sync] Deleting missing provider: ${p.name}`);
-                await DB.delete('providers', p.id);
-                // Also clean up children (courses/lectures) for this provider? 
-                // DB integrity relies on cascaded checks, but let's let the next steps handle it or explicitly do it.
-                // Since we iterate all courses next, we will catch them there.
-                deleted++;
-            }
+            const candidates = lectures.filter(l => !claimed.has(l.id) && l.fingerprint === entry.fingerprint &&
+                (trashedIds.has(l.id) || lectureInScope(l)));
+            if (candidates.length === 0) continue;
+
+            // Prefer the same file name (folder move) over a plain rename
+            const lecture = candidates.find(l => l.fileName === entry.file.name) || candidates[0];
+            claimed.add(lecture.id);
+            entry.existing = lecture;
+            entry.moved = true;
         }
 
-        // 2. Courses
-        const allCourses = await DB.getAll('courses');
-        for (const c of allCourses) {
-            // If the parent provider was deleted, this course *should* be deleted.
-            // But strict set check is safer: if it wasn't in the scan, it's gone or moved.
-            if (validProviderIds.has(c.providerId) && !validCourseIds.has(c.id)) {
-                console.log(`[Sync] Deleting missing course: ${c.name}`);
-                await DB.delete('courses', c.id);
-                deleted++;
+        // 3. Renamed/moved folders take over the record their contents came from
+        const mostCommonUnclaimed = (ids, list) => {
+            const counts = new Map();
+            ids.forEach(id => counts.set(id, (counts.get(id) || 0) + 1));
+            const ranked = Array.from(counts.entries()).sort((a, b) => b[1] - a[1]);
+            for (const [id] of ranked) {
+                const item = list.find(x => x.id === id);
+                if (item && !claimed.has(item.id)) return item;
             }
-            // If provider itself is invalid (deleted above), we should delete this course too.
-            // But the safe way is: if ID not in validCourseIds, delete it.
-            // However, we need to be careful not to delete courses from Providers that represent UNTOUCHED papers?
-            // The structure scan only covers folders that exist. 
-            // If we have validProviderIds populated only from scanned folders, 
-            // then `allCourses` might contain courses from papers we didn't populate validProviderIds for?
-            // Actually `validProviderIds` only contains IDs from the current scan.
-            // If we have a Paper in DB but no folder on disk, `matchPaperFolder` wouldn't return it? 
-            // Wait, we iterate folders found on disk. 
-            // If a Paper folder is completely missing from disk, we never enter the loop for it. 
-            // So `validProviderIds` will NOT contain existing providers for that missing paper.
-            // If we delete everything not in `validProviderIds`, we delete data for disconnected drives/folders?
-            // "SyncToDatabase" implies syncing the *Master Folder*. 
-            // If the Master Folder doesn't contain the Paper anymore, it should probably be removed.
-            // BUT, to be safe and "Smallest Change", let's restrict deletions to:
-            // "Items belonging to parents that ARE valid, but the item itself is missing"
-            // OR "Items that belong to the scope of what we scanned".
-            // Since we scan the entire Master Folder, anything NOT found there should be removed.
-
-            // To be safe against partial scans or bugs:
-            // We only delete if we are sure we *would have seen it*.
-            // We saw all top level papers in the folder.
-        }
-
-        // Revised GC Logic for safety:
-        // Only delete items if their parent exists in the valid set OR if we are doing a full destructive sync.
-        // Given it's a "Master Folder", the user expects a mirror.
-
-        // Let's stick to the plan: "Delete items whose IDs are not in the valid sets."
-        // Refinement: We need to filter `allCourses` to only those belonging to processed parents?
-        // No, if a whole Provider folder is deleted, `validProviderIds` won't have it.
-        // So we delete the Provider.
-        // Then we check courses. `validCourseIds` won't have the courses. So we delete them.
-
-        // Optimized GC Loop:
-        // We need to check if the *root* (Paper) was potentially part of the scan?
-        // If the user has "GS1" in DB but deleted "GS1" folder:
-        // The loop `for (const [paperFolderName...` will NOT run for GS1.
-        // So validProviderIds will NOT have GS1 providers.
-        // So we would delete all GS1 providers. This is correct behavior for a Sync.
-
-        // Iterate all providers again to be sure
-        const validProviderIdsList = Array.from(validProviderIds);
-        // We use the Set for O(1) checks
-
-        // 2. Courses (Safe delete)
-        for (const c of allCourses) {
-            // Check if course belongs to a provider that WAS valid/scanned?
-            // Actually, simply: if it's not in validCourseIds, it's not on disk.
-            if (!validCourseIds.has(c.id)) {
-                // Optimization: Only delete if we are sure? 
-                // Yes, Master Folder is the source of truth.
-                await DB.delete('courses', c.id);
-                deleted++;
+            return null;
+        };
+
+        for (const courseEntry of courseEntries) {
+            if (courseEntry.existing) continue;
+
+            const origins = lectureEntries
+                .filter(e => e.course === courseEntry && e.moved)
+                .map(e => e.existing.courseId);
+            const course = mostCommonUnclaimed(origins, courses);
+            if (course) {
+                claimed.add(course.id);
+                courseEntry.existing = course;
+                courseEntry.renamed = true;
             }
         }
 
-        // 3. Lectures
-        const allLectures = await DB.getAll('lectures');
-        for (const l of allLectures) {
-            if (!validLectureIds.has(l.id)) {
-                await DB.delete('lectures', l.id);
-                deleted++;
+        for (const providerEntry of providerEntries) {
+            if (providerEntry.existing) continue;
+
+            const origins = courseEntries
+                .filter(e => e.provider === providerEntry && e.renamed)
+                .map(e => e.existing.providerId);
+            const provider = mostCommonUnclaimed(origins, providers);
+            if (provider) {
+                claimed.add(provider.id);
+                providerEntry.existing = provider;
+                providerEntry.renamed = true;
             }
         }
 
-        // Re-cleaning Providers (moved after children for clarity, though IndexedDB doesn't enforce FKs)
-        // We did providers first above, which is fine.
-
-        // Invalidate caches after sync
-        AppState.invalidateCache();
-
-        const result = { added, updated, deleted };
-
-        console.log(`Sync complete:`, result);
-
-        // Notify end
-        window.dispatchEvent(new CustomEvent('app:sync-end', { detail: result }));
-
-        return result;
+        // 4. Anything unmatched (and not already trashed) is gone from disk
+        // (providers only for papers we actually scanned, and only if
+        // none of their courses live on an unscanned root)
+        const isGone = (item) => !claimed.has(item.id) && !trashedIds.has(item.id);
+        const hasUnscannedCourses = (provider) => courses.some(c =>
+            c.providerId === provider.id && !trashedIds.has(c.id) && !courseInScope(c));
+        const deletions = {
+            providers: providers.filter(p => isGone(p) && scannedPaperIds.has(p.paperId) && !hasUnscannedCourses(p)),
+            courses: courses.filter(c => isGone(c) && courseInScope(c)),
+            lectures: lectures.filter(l => isGone(l) && lectureInScope(l))
+        };
+
+        return {
+            providers: providerEntries,
+            courses: courseEntries,
+            lectures: lectureEntries,
+            deletions,
+            trashedIds,
+            newPaperFolders
+        };
     },
 
     /**
-     * Ensure a provider exists, create if not
+     * Plan one course folder: match the course and its files by name
+     * (step 1 of planSync)
+     * @param {Object} folder - { rootId, providerEntry, courseName, folderPath, files }
+     * @param {Object} ctx - Shared planSync state
      */
-    async ensureProvider(paperId, name) {
-        const existing = await AppState.getProviders(paperId);
-        let provider = existing.find(p => p.name.toLowerCase() === name.toLowerCase());
-
-        if (!provider) {
-            provider = await AppState.addProvider(paperId, name);
+    async planCourseFolder(folder, ctx) {
+        const { rootId, providerEntry, courseName, folderPath, files } = folder;
+        const { courses, lectures, claimed, courseEntries, lectureEntries, findUnclaimed, sameName } = ctx;
+
+        const existingProvider = providerEntry.existing;
+        const courseEntry = {
+            provider: providerEntry,
+            name: courseName,
+            rootId,
+            folderPath,
+            existing: existingProvider
+                ? findUnclaimed(courses, c => c.providerId === existingProvider.id && sameName(c.name, courseName) &&
+                    (!c.rootId || c.rootId === rootId))
+                : null,
+            renamed: false
+        };
+        if (courseEntry.existing) claimed.add(courseEntry.existing.id);
+        courseEntries.push(courseEntry);
+
+        for (let i = 0; i < files.length; i++) {
+            const lectureFile = files[i];
+            const file = await lectureFile.handle.getFile();
+            const existingCourse = courseEntry.existing;
+            const existing = existingCourse
+                ? findUnclaimed(lectures, l => l.courseId === existingCourse.id && l.fileName === lectureFile.name &&
+                    (l.subPath || '') === lectureFile.subPath)
+                : null;
+
+            // Reuse the stored fingerprint while the file is unchanged
+            const unchanged = existing && existing.fingerprint &&
+                existing.fileSize === file.size && existing.lastModified === file.lastModified;
+
+            const lectureEntry = {
+                course: courseEntry,
+                file: lectureFile,
+                orderIndex: i,
+                fileSize: file.size,
+                lastModified: file.lastModified,
+                fingerprint: unchanged ? existing.fingerprint : await this.getFingerprint(file),
+                existing,
+                moved: false
+            };
+            if (existing) claimed.add(existing.id);
+            lectureEntries.push(lectureEntry);
         }
+    },
 
-        return provider;
+    /**
+     * Check whether a sync plan changes anything
+     * @param {Object} plan - Result of planSync
+     * @returns {boolean}
+     */
+    hasChanges(plan) {
+        const { deletions } = plan;
+        return deletions.providers.length + deletions.courses.length + deletions.lectures.length > 0 ||
+            plan.providers.some(e => !e.existing || e.renamed) ||
+            plan.courses.some(e => !e.existing || e.renamed) ||
+            plan.lectures.some(e => !e.existing || e.moved || plan.trashedIds.has(e.existing.id));
     },
 
     /**
-     * Ensure a course exists, create if not
-     * @param {string} providerId
-     * @param {string} name
-     * @param {string} folderPath - Actual folder path like "GS 1/Provider/Course"
+     * Write a sync plan to the database
+     * @param {Object} plan - Result of planSync
+     * @param {boolean} confirmDeletes - Move missing items to the trash
+     * @returns {Promise<Object>} { added, updated, renamed, deleted, pending, restored, renames }
      */
-    async ensureCourse(providerId, name, folderPath) {
-        const existing = await AppState.getCourses(providerId);
-        let course = existing.find(c => c.name.toLowerCase() === name.toLowerCase());
+    async applySync(plan, confirmDeletes = false) {
+        let added = 0;
+        let updated = 0;
+        let deleted = 0;
+        let restored = 0;
+        const renames = [];
+
+        // Records matched out of the trash go back into their stores
+        const restore = async (record) => {
+            if (!plan.trashedIds.has(record.id)) return false;
+            await Trash.release(record.id);
+            restored++;
+            return true;
+        };
+
+        // Old course locations (for moving note files along with lectures)
+        const locationOf = (course) => ({ rootId: course.rootId || null, folderPath: course.folderPath });
+        const oldLocations = new Map(plan.courses
+            .filter(e => e.existing)
+            .map(e => [e.existing.id, locationOf(e.existing)]));
+        plan.deletions.courses.forEach(c => oldLocations.set(c.id, locationOf(c)));
+
+        // 1. Providers
+        for (const entry of plan.providers) {
+            if (!entry.existing) {
+                entry.record = await AppState.addProvider(entry.paperId, entry.name);
+                continue;
+            }
 
-        if (!course) {
-            course = await AppState.addCourse(providerId, name);
-            console.log(`Created new course: ${name}`);
+            entry.record = entry.existing;
+            const wasTrashed = await restore(entry.record);
+            if (entry.renamed) {
+                renames.push({ kind: 'provider', from: entry.existing.name, to: entry.name });
+                entry.record.name = entry.name;
+                entry.record.paperId = entry.paperId;
+            }
+            if (entry.renamed || wasTrashed) {
+                await DB.put('providers', entry.record);
+            }
         }
 
-        // ALWAYS update folderPath during sync (ensures latest path from disk)
-        if (folderPath) {
-            if (course.folderPath !== folderPath) {
-                console.log(`Updating folderPath: "${course.folderPath}" → "${folderPath}"`);
+        // 2. Courses
+        for (const entry of plan.courses) {
+            const providerId = entry.provider.record.id;
+
+            if (!entry.existing) {
+                entry.record = await AppState.addCourse(providerId, entry.name);
+                console.log(`Created new course: ${entry.name}`);
+            } else {
+                entry.record = entry.existing;
+                await restore(entry.record);
+                if (entry.renamed) {
+                    // Only report what changed (not every child of a renamed provider)
+                    if (!(entry.provider.renamed && entry.record.name === entry.name)) {
+                        renames.push({ kind: 'course', from: entry.record.folderPath || entry.record.name, to: entry.folderPath });
+                    }
+                    entry.record.name = entry.name;
+                    entry.record.providerId = providerId;
+                } else if (entry.record.folderPath !== entry.folderPath) {
+                    console.log(`Updating folderPath: "${entry.record.folderPath}" → "${entry.folderPath}"`);
+                }
             }
-            course.folderPath = folderPath;
-            await DB.put('courses', course);
-            AppState.invalidateCache();
+
+            // ALWAYS update folderPath during sync (ensures latest path from disk)
+            entry.record.folderPath = entry.folderPath;
+            entry.record.rootId = entry.rootId;
+            await DB.put('courses', entry.record);
         }
 
-        return course;
-    },
+        // 3. Lectures
+        for (const entry of plan.lectures) {
+            const courseId = entry.course.record.id;
+            const fileName = entry.file.name;
+            const subPath = entry.file.subPath;
+            const fileInfo = {
+                fileSize: entry.fileSize,
+                lastModified: entry.lastModified,
+                fingerprint: entry.fingerprint
+            };
+            const subtitles = (entry.file.subtitles || []).map(sub => sub.name);
+
+            if (!entry.existing) {
+                entry.record = await AppState.addLecture(courseId, {
+                    title: this.getTitleFromFilename(fileName),
+                    fileName: fileName,
+                    subPath: subPath,
+                    type: entry.file.type,
+                    orderIndex: entry.orderIndex,
+                    subtitles,
+                    ...fileInfo
+                });
+                added++;
+            } else {
+                const lecture = entry.existing;
+                let changed = lecture.orderIndex !== entry.orderIndex;
+
+                if (entry.moved) {
+                    const oldLocation = oldLocations.get(lecture.courseId);
+                    const oldFolderPath = oldLocation && this.joinPath(oldLocation.folderPath, lecture.subPath);
+                    const newFolderPath = this.joinPath(entry.course.folderPath, subPath);
+                    if (lecture.courseId !== courseId || lecture.fileName !== fileName || (lecture.subPath || '') !== subPath) {
+                        renames.push({
+                            kind: 'lecture',
+                            from: oldLocation ? `${oldFolderPath}/${lecture.fileName}` : lecture.fileName,
+                            to: `${newFolderPath}/${fileName}`
+                        });
+                    }
 
-    /**
-     * Ensure a lecture exists, create or update
-     */
-    async ensureLecture(courseId, lectureFile, orderIndex) {
-        const existing = await AppState.getLectures(courseId);
-        const fileName = lectureFile.name;
-        let lecture = existing.find(l => l.fileName === fileName);
+                    if (oldLocation) {
+                        await this.moveNoteFile(
+                            { rootId: oldLocation.rootId, folderPath: oldFolderPath, fileName: lecture.fileName },
+                            { rootId: entry.course.rootId, folderPath: newFolderPath, fileName }
+                        );
+                    }
 
-        if (!lecture) {
-            // Create new lecture
-            lecture = await AppState.addLecture(courseId, {
-                title: this.getTitleFromFilename(fileName),
-                fileName: fileName,
-                type: lectureFile.type,
-                orderIndex: orderIndex,
-                fileHandle: lectureFile.handle
-            });
-            return { created: true, updated: false, lecture };
+                    // Keep custom titles, follow the file name otherwise
+                    if (lecture.title === this.getTitleFromFilename(lecture.fileName)) {
+                        lecture.title = this.getTitleFromFilename(fileName);
+                    }
+                    lecture.courseId = courseId;
+                    lecture.fileName = fileName;
+                    lecture.subPath = subPath;
+                } else if (lecture.fingerprint && lecture.fingerprint !== entry.fingerprint) {
+                    changed = true; // Contents replaced in place
+                }
+
+                const wasTrashed = await restore(lecture);
+                const subtitlesChanged = (lecture.subtitles || []).join('\n') !== subtitles.join('\n');
+                const needsWrite = changed || entry.moved || wasTrashed || subtitlesChanged ||
+                    lecture.fingerprint !== entry.fingerprint;
+                lecture.orderIndex = entry.orderIndex;
+                lecture.subtitles = subtitles;
+                Object.assign(lecture, fileInfo);
+
+                if (needsWrite) await DB.put('lectures', lecture);
+                if (changed) updated++;
+                entry.record = lecture;
+            }
+
+            if (entry.file.type === 'pdf') {
+                PdfIndexer.enqueue(entry.record.id, entry.file.handle);
+            }
         }
 
-        // Update order if changed
-        if (lecture.orderIndex !== orderIndex) {
-            lecture.orderIndex = orderIndex;
-            await DB.put('lectures', lecture);
-            return { created: false, updated: true, lecture };
+        // 4. Deletions go to the trash, and only when confirmed
+        const { deletions } = plan;
+        const pending = deletions.providers.length + deletions.courses.length + deletions.lectures.length;
+
+        if (confirmDeletes && pending > 0) {
+            const batchId = Utils.generateId();
+
+            for (const l of deletions.lectures) {
+                console.log(`[Sync] Trashing missing lecture: ${l.fileName}`);
+                await Trash.add('lecture', l, batchId);
+                deleted++;
+            }
+
+            for (const c of deletions.courses) {
+                console.log(`[Sync] Trashing missing course: ${c.name}`);
+                await Trash.add('course', c, batchId);
+                deleted++;
+            }
+
+            for (const p of deletions.providers) {
+                console.log(`[Sync] Trashing missing provider: ${p.name}`);
+                await Trash.add('provider', p, batchId);
+                deleted++;
+            }
+        } else if (pending > 0) {
+            console.log(`[Sync] ${pending} item(s) missing from disk, kept until confirmed`);
         }
 
-        return { created: false, updated: false, lecture };
+        return {
+            added,
+            updated,
+            renamed: renames.length,
+            deleted,
+            pending: confirmDeletes ? 0 : pending,
+            restored,
+            renames,
+            newPaperFolders: plan.newPaperFolders
+        };
+    },
+
+    /**
+     * Summarize a sync result for display
+     * @param {Object} result - Result of syncToDatabase
+     * @returns {string} e.g., "2 added, 1 renamed"
+     */
+    describeSyncResult(result) {
+        const parts = [];
+        if (result.added) parts.push(`${result.added} added`);
+        if (result.renamed) parts.push(`${result.renamed} renamed`);
+        if (result.updated) parts.push(`${result.updated} updated`);
+        if (result.restored) parts.push(`${result.restored} restored`);
+        if (result.deleted) parts.push(`${result.deleted} moved to Trash`);
+        if (result.pending) parts.push(`${result.pending} missing (not removed)`);
+        return parts.length > 0 ? parts.join(', ') : 'Everything up to date';
     },
 
+    /**
+     * Move a lecture's Markdown note after its file was renamed/moved
+     * Best effort: skipped if the old folder is gone (the note moved with it)
+     * or a note already exists at the destination.
+     * @param {Object} from - { rootId, folderPath, fileName } before the move
+     * @param {Object} to - { rootId, folderPath, fileName } after the move
+     * @returns {Promise<boolean>} True if the note was moved
+     */
+    async moveNoteFile(from, to) {
+        if (!from.folderPath) return false;
 
+        try {
+            const fromFolder = await this.getFolder(from.folderPath, from.rootId);
+            const toFolder = await this.getFolder(to.folderPath, to.rootId);
+            if (!fromFolder || !toFolder) return false;
+
+            const oldName = this.getNoteFileName(from.fileName);
+            const newName = this.getNoteFileName(to.fileName);
+            if (from.rootId === to.rootId && from.folderPath === to.folderPath && oldName === newName) return false;
+
+            const oldHandle = await fromFolder.getFileHandle(oldName);
+            if (await this.hasFile(toFolder, newName)) return false;
+
+            const content = await (await this.readFile(oldHandle)).text();
+            await this.writeFile(toFolder, new File([content], newName, { type: 'text/markdown' }));
+            await fromFolder.removeEntry(oldName);
+            return true;
+        } catch (err) {
+            if (err.name === 'NotFoundError') return false;
+            console.warn('[Sync] Could not move note file:', err);
+            return false;
+        }
+    },
+
+    /**
+     * Check whether a folder contains a file
+     */
+    async hasFile(folderHandle, name) {
+        try {
+            await folderHandle.getFileHandle(name);
+            return true;
+        } catch (err) {
+            if (err.name === 'NotFoundError') return false;
+            throw err;
+        }
+    },
 
     /**
      * Sanitize filename/foldername
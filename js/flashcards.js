@@ -0,0 +1,307 @@
+/**
+ * UPSC Study Desk - Flashcards Module
+ * Cards extracted from lecture notes, scheduled with SM-2
+ *
+ * Notes mark cards in two ways:
+ *   Q: What does Article 21 protect?      (question/answer lines; the
+ *   A: Life and personal liberty           answer may span several lines)
+ *
+ *   Fundamental rights are in {{c1::Part III}}; DPSPs in {{c2::Part IV::part}}.
+ *                                          (cloze deletions, one card per cN)
+ *
+ * Cards are re-extracted whenever a note is saved. A card keeps its
+ * review schedule as long as its question (or cloze paragraph) is
+ * unchanged; cards removed from the note are deleted.
+ */
+
+const Flashcards = {
+    // Self-rated recall -> SM-2 quality (0-5)
+    RATINGS: {
+        again: { label: 'Again', quality: 1 },
+        hard: { label: 'Hard', quality: 3 },
+        good: { label: 'Good', quality: 4 },
+        easy: { label: 'Easy', quality: 5 }
+    },
+
+    // Starting ease factor (SM-2)
+    DEFAULT_EASE: 2.5,
+    MIN_EASE: 1.3,
+
+    /**
+     * Extract cards from note content
+     * @param {string} content - Markdown
+     * @returns {Array} [{ key, type, front, back, source }]
+     */
+    parse(content) {
+        const cards = [];
+        const lines = (content || '').replace(/\r\n?/g, '\n').split('\n');
+        const questionRe = /^\s*(?:[-*]\s+)?Q:\s*(.*)$/i;
+        const answerRe = /^\s*(?:[-*]\s+)?A:\s*(.*)$/i;
+
+        // Q/A pairs
+        for (let i = 0; i < lines.length; i++) {
+            const q = lines[i].match(questionRe);
+            if (!q) continue;
+
+            // "Q: ... A: ..." on one line
+            const inline = q[1].match(/^(.*?)\s+A:\s*(.+)$/i);
+            if (inline) {
+                cards.push(this.createQA(inline[1], inline[2]));
+                continue;
+            }
+
+            const question = [q[1]];
+            let j = i + 1;
+            while (j < lines.length && lines[j].trim() && !answerRe.test(lines[j]) && !questionRe.test(lines[j])) {
+                question.push(lines[j++]);
+            }
+            if (j >= lines.length || !answerRe.test(lines[j])) continue;
+
+            const answer = [lines[j].match(answerRe)[1]];
+            j++;
+            while (j < lines.length && lines[j].trim() && !questionRe.test(lines[j])) {
+                answer.push(lines[j++]);
+            }
+
+            cards.push(this.createQA(question.join('\n'), answer.join('\n')));
+            i = j - 1;
+        }
+
+        // Cloze deletions, per paragraph
+        const clozeRe = /\{\{c(\d+)::(.*?)(?:::(.*?))?\}\}/g;
+        for (const paragraph of lines.join('\n').split(/\n\s*\n/)) {
+            const source = paragraph.trim();
+            const numbers = new Set(Array.from(source.matchAll(clozeRe), m => m[1]));
+
+            for (const n of numbers) {
+                const fill = (hide) => source.replace(clozeRe, (m, k, text, hint) =>
+                    k === n && hide ? `[${hint || '...'}]` : text
+                );
+                cards.push({
+                    key: `cloze:${n}:${source}`,
+                    type: 'cloze',
+                    front: fill(true),
+                    back: fill(false),
+                    source
+                });
+            }
+        }
+
+        return cards.filter(card => card.front.trim() && card.back.trim());
+    },
+
+    /**
+     * Build a Q/A card
+     */
+    createQA(question, answer) {
+        return {
+            key: `qa:${question.trim()}`,
+            type: 'qa',
+            front: question.trim(),
+            back: answer.trim(),
+            source: null
+        };
+    },
+
+    /**
+     * Short stable hash for card IDs
+     * @param {string} str
+     */
+    hash(str) {
+        let h = 5381;
+        for (let i = 0; i < str.length; i++) {
+            h = ((h * 33) ^ str.charCodeAt(i)) >>> 0;
+        }
+        return h.toString(36);
+    },
+
+    /**
+     * Re-extract the cards of one lecture from its note
+     * @param {string} lectureId
+     * @param {string} content - Note content
+     * @returns {Promise<number>} Number of cards
+     */
+    async syncLecture(lectureId, content) {
+        const parsed = this.parse(content);
+        const existing = new Map(
+            (await DB.getByIndex('flashcards', 'lectureId', lectureId)).map(card => [card.id, card])
+        );
+        const keep = new Set();
+
+        for (const card of parsed) {
+            const id = `${lectureId}:${this.hash(card.key)}`;
+            if (keep.has(id)) continue;
+            keep.add(id);
+
+            const old = existing.get(id);
+            if (old && old.front === card.front && old.back === card.back) continue;
+
+            await DB.put('flashcards', {
+                // Review state survives edits to the answer
+                ease: this.DEFAULT_EASE,
+                interval: 0,
+                reps: 0,
+                lapses: 0,
+                due: Revision.dateKey(),
+                lastReviewedAt: null,
+                createdAt: new Date().toISOString(),
+                ...old,
+                id,
+                lectureId,
+                type: card.type,
+                front: card.front,
+                back: card.back,
+                source: card.source
+            });
+        }
+
+        for (const id of existing.keys()) {
+            if (!keep.has(id)) await DB.delete('flashcards', id);
+        }
+
+        return keep.size;
+    },
+
+    /**
+     * Re-extract cards from every note (picks up notes saved before
+     * flashcards existed, and drops cards whose note is gone)
+     */
+    async syncAll() {
+        const notes = await DB.getAll('notes');
+        const withNotes = new Set();
+
+        for (const note of notes) {
+            withNotes.add(note.lectureId);
+            await this.syncLecture(note.lectureId, note.content);
+        }
+
+        for (const card of await DB.getAll('flashcards')) {
+            if (!withNotes.has(card.lectureId)) await DB.delete('flashcards', card.id);
+        }
+    },
+
+    /**
+     * All cards with their lecture, course and paper
+     * (cards of trashed lectures are left out)
+     * @param {Object} deck - Optional { paperId, courseId } filter
+     * @returns {Promise<Array>} [{ card, lecture, course, paper }]
+     */
+    async getCards(deck = {}) {
+        const [cards, lectures, courses, providers] = await Promise.all([
+            DB.getAll('flashcards'),
+            DB.getAll('lectures'),
+            DB.getAll('courses'),
+            DB.getAll('providers')
+        ]);
+        const lectureById = new Map(lectures.map(l => [l.id, l]));
+        const courseById = new Map(courses.map(c => [c.id, c]));
+        const providerById = new Map(providers.map(p => [p.id, p]));
+
+        const result = [];
+        for (const card of cards) {
+            const lecture = lectureById.get(card.lectureId);
+            const course = lecture && courseById.get(lecture.courseId);
+            const provider = course && providerById.get(course.providerId);
+            const paper = provider && AppState.getPaper(provider.paperId);
+            if (!paper) continue;
+
+            if (deck.courseId && course.id !== deck.courseId) continue;
+            if (deck.paperId && paper.id !== deck.paperId) continue;
+
+            result.push({ card, lecture, course, paper });
+        }
+
+        return result.sort((a, b) =>
+            a.paper.orderIndex - b.paper.orderIndex ||
+            a.course.name.localeCompare(b.course.name, undefined, { numeric: true }) ||
+            (a.lecture.orderIndex || 0) - (b.lecture.orderIndex || 0)
+        );
+    },
+
+    /**
+     * Check whether a card is due today (or overdue)
+     */
+    isDue(card) {
+        return card.due <= Revision.dateKey();
+    },
+
+    /**
+     * Next interval (days) for a rating, without changing the card
+     */
+    getNextInterval(card, rating) {
+        const { quality } = this.RATINGS[rating];
+        if (quality < 3) return 1;
+
+        const reps = card.reps + 1;
+        if (reps === 1) return 1;
+        if (reps === 2) return 6;
+        return Math.max(1, Math.round(card.interval * card.ease));
+    },
+
+    /**
+     * Record a review (SM-2)
+     * @param {Object} card - Modified in place
+     * @param {string} rating - Key of RATINGS
+     * @returns {Promise<number>} Days until the card is due again
+     */
+    async review(card, rating) {
+        const { quality } = this.RATINGS[rating];
+        const interval = this.getNextInterval(card, rating);
+
+        if (quality < 3) {
+            card.reps = 0;
+            card.lapses = (card.lapses || 0) + 1;
+        } else {
+            card.reps++;
+        }
+        card.ease = Math.max(this.MIN_EASE, card.ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+        card.interval = interval;
+        card.due = Revision.daysFromToday(interval);
+        card.lastReviewedAt = new Date().toISOString();
+
+        await DB.put('flashcards', card);
+        return interval;
+    },
+
+    /**
+     * Convert cards to an Anki import file
+     * Uses Anki's file headers so Basic and Cloze cards can share one file;
+     * each course becomes a sub-deck. Cloze paragraphs are exported once
+     * (Anki makes the c1, c2... cards itself).
+     * @param {Array} entries - Result of getCards
+     * @returns {string}
+     */
+    toAnkiCSV(entries) {
+        const quote = (cell) => `"${String(cell).replace(/"/g, '""')}"`;
+        const tag = (name) => name.trim().replace(/\s+/g, '_');
+        const rows = [];
+        const seenCloze = new Set();
+
+        for (const { card, lecture, course, paper } of entries) {
+            const deck = ['UPSC', paper.name, course.name].map(name => name.replace(/::/g, ':')).join('::');
+            const tags = `${tag(paper.name)} ${tag(lecture.title)}`;
+
+            if (card.type === 'cloze') {
+                const key = `${card.lectureId}\n${card.source}`;
+                if (seenCloze.has(key)) continue;
+                seenCloze.add(key);
+                rows.push(['Cloze', deck, card.source, '', tags]);
+            } else {
+                rows.push(['Basic', deck, card.front, card.back, tags]);
+            }
+        }
+
+        const header = [
+            '#separator:Comma',
+            '#html:false',
+            '#notetype column:1',
+            '#deck column:2',
+            '#tags column:5'
+        ];
+
+        return [...header, ...rows.map(row => row.map(quote).join(','))].join('\n');
+    }
+};
+
+// Make Flashcards globally available
+window.Flashcards = Flashcards;
@@ -0,0 +1,288 @@
+/**
+ * UPSC Study Desk - Focus Session (Pomodoro)
+ * Focus/break timer shown in the Study Mode header
+ *
+ * A session keeps running across lectures (and in browse mode). When
+ * the focus period ends, playback pauses, the session is logged to the
+ * focusSessions store and the break starts. Optionally, leaving Study
+ * Mode is blocked until the focus period is over.
+ */
+
+const FocusSession = {
+    // Defaults for the settings dialog (saved in config 'focusSettings')
+    defaults: { focusMinutes: 50, breakMinutes: 10, lockNavigation: false },
+
+    // 'idle' | 'focus' | 'break'
+    phase: 'idle',
+
+    // Settings of the running session
+    settings: null,
+
+    startedAt: null,
+    endsAt: 0,
+    timer: null,
+    unloadListener: null,
+
+    // Header control (re-created on each Study Mode render)
+    controlEl: null,
+
+    /**
+     * Saved settings
+     * @returns {Promise<Object>} { focusMinutes, breakMinutes, lockNavigation }
+     */
+    async getSettings() {
+        const config = await DB.get('config', 'focusSettings');
+        return { ...this.defaults, ...(config ? config.value : {}) };
+    },
+
+    /**
+     * Create the header control
+     * @returns {HTMLElement}
+     */
+    createControl() {
+        this.controlEl = Utils.createElement('button', {
+            className: 'btn btn-secondary focus-control',
+            onClick: async () => await this.handleClick()
+        });
+        this.updateControl();
+        return this.controlEl;
+    },
+
+    /**
+     * Refresh the header control
+     */
+    updateControl() {
+        const el = this.controlEl;
+        if (!el) return;
+
+        Utils.clearElement(el);
+        el.classList.toggle('focus-active', this.phase === 'focus');
+        el.classList.toggle('focus-break', this.phase === 'break');
+
+        if (this.phase === 'idle') {
+            el.title = 'Start a focus session';
+            el.appendChild(Utils.createElement('i', { className: 'ph-duotone ph-target' }));
+            el.appendChild(Utils.createElement('span', {}, ' Focus'));
+            return;
+        }
+
+        const remaining = Math.max(0, Math.ceil((this.endsAt - Date.now()) / 1000));
+        el.title = this.phase === 'focus' ? 'Focus session in progress' : 'Break';
+        el.appendChild(Utils.createElement('i', {
+            className: this.phase === 'focus' ? 'ph-duotone ph-target' : 'ph-duotone ph-coffee'
+        }));
+        el.appendChild(Utils.createElement('span', {}, ` ${Utils.formatTime(remaining)}`));
+    },
+
+    /**
+     * Header control clicked: configure and start, or manage the running session
+     */
+    async handleClick() {
+        if (this.phase === 'idle') {
+            const settings = await this.promptSettings();
+            if (settings) this.start(settings);
+            return;
+        }
+
+        const isFocus = this.phase === 'focus';
+        const choice = await Dialog.open({
+            title: isFocus ? 'Focus Session' : 'Break',
+            body: Utils.createElement('p', {},
+                isFocus
+                    ? `${Utils.formatTime((this.endsAt - Date.now()) / 1000)} left. Ending now won't count this session.`
+                    : `${Utils.formatTime((this.endsAt - Date.now()) / 1000)} left in your break.`
+            ),
+            actions: [
+                { label: 'Continue', value: null },
+                isFocus
+                    ? { label: 'End Session', value: 'end' }
+                    : { label: 'Start Focusing', value: 'focus', className: 'btn btn-primary' }
+            ]
+        });
+
+        if (choice === 'end') this.stop();
+        if (choice === 'focus') this.start(this.settings);
+    },
+
+    /**
+     * Ask for the focus/break lengths
+     * @returns {Promise<Object|null>} Settings, or null if cancelled
+     */
+    async promptSettings() {
+        const saved = await this.getSettings();
+
+        const focusInput = Utils.createElement('input', {
+            className: 'modal-input', type: 'number', min: '1', max: '240', value: String(saved.focusMinutes)
+        });
+        const breakInput = Utils.createElement('input', {
+            className: 'modal-input', type: 'number', min: '1', max: '60', value: String(saved.breakMinutes)
+        });
+        const lockInput = Utils.createElement('input', {
+            type: 'checkbox',
+            ...(saved.lockNavigation ? { checked: 'checked' } : {})
+        });
+
+        const confirmed = await Dialog.open({
+            title: 'Start Focus Session',
+            body: Utils.createElement('div', { className: 'focus-form' }, [
+                Utils.createElement('label', {}, [Utils.createElement('span', {}, 'Focus (minutes)'), focusInput]),
+                Utils.createElement('label', {}, [Utils.createElement('span', {}, 'Break (minutes)'), breakInput]),
+                Utils.createElement('label', { className: 'focus-form-check' }, [
+                    lockInput,
+                    Utils.createElement('span', {}, 'Stay in Study Mode until the focus period ends')
+                ])
+            ]),
+            actions: [
+                { label: 'Cancel', value: false },
+                { label: 'Start', value: true, className: 'btn btn-primary' }
+            ]
+        });
+        if (!confirmed) return null;
+
+        const clamp = (value, max, fallback) => {
+            const n = parseInt(value);
+            return Number.isFinite(n) && n > 0 ? Math.min(n, max) : fallback;
+        };
+        const settings = {
+            focusMinutes: clamp(focusInput.value, 240, saved.focusMinutes),
+            breakMinutes: clamp(breakInput.value, 60, saved.breakMinutes),
+            lockNavigation: lockInput.checked
+        };
+
+        await DB.put('config', { id: 'focusSettings', value: settings });
+        return settings;
+    },
+
+    /**
+     * Start a focus period
+     * @param {Object} settings
+     */
+    start(settings) {
+        this.settings = settings;
+        this.setPhase('focus', settings.focusMinutes);
+        this.startedAt = new Date().toISOString();
+
+        if (settings.lockNavigation && !this.unloadListener) {
+            this.unloadListener = (e) => {
+                if (this.isLocked()) {
+                    e.preventDefault();
+                    e.returnValue = '';
+                }
+            };
+            window.addEventListener('beforeunload', this.unloadListener);
+        }
+
+        console.log(`[Focus] Started ${settings.focusMinutes}/${settings.breakMinutes} session`);
+        KeyboardShortcuts.showToast(`Focus for ${settings.focusMinutes} minutes`);
+    },
+
+    /**
+     * Stop the session (an unfinished focus period isn't logged)
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.phase = 'idle';
+        this.startedAt = null;
+
+        if (this.unloadListener) {
+            window.removeEventListener('beforeunload', this.unloadListener);
+            this.unloadListener = null;
+        }
+
+        this.updateControl();
+    },
+
+    /**
+     * Switch phase and restart the countdown
+     */
+    setPhase(phase, minutes) {
+        clearInterval(this.timer);
+        this.phase = phase;
+        this.endsAt = Date.now() + minutes * 60 * 1000;
+        this.timer = setInterval(() => this.tick(), 1000);
+        this.updateControl();
+    },
+
+    /**
+     * Countdown step
+     */
+    tick() {
+        if (Date.now() < this.endsAt) {
+            this.updateControl();
+            return;
+        }
+
+        if (this.phase === 'focus') {
+            this.completeFocus();
+        } else {
+            this.stop();
+            KeyboardShortcuts.showToast('Break over. Click Focus to start another session.');
+        }
+    },
+
+    /**
+     * Focus period finished: pause playback, log it, start the break
+     */
+    async completeFocus() {
+        const session = {
+            id: Utils.generateId(),
+            date: Revision.dateKey(),
+            startedAt: this.startedAt,
+            endedAt: new Date().toISOString(),
+            minutes: this.settings.focusMinutes,
+            lectureId: StudyMode.currentLecture ? StudyMode.currentLecture.id : null
+        };
+
+        this.setPhase('break', this.settings.breakMinutes);
+
+        if (StudyMode.player) {
+            StudyMode.player.pause();
+        } else {
+            const media = document.querySelector('.study-video');
+            if (media) media.pause();
+        }
+
+        KeyboardShortcuts.showToast(`Focus session done! Take a ${this.settings.breakMinutes}-minute break.`);
+
+        try {
+            await DB.put('focusSessions', session);
+            console.log(`[Focus] Logged ${session.minutes}-minute session`);
+        } catch (err) {
+            console.error('[Focus] Save error:', err);
+        }
+    },
+
+    /**
+     * Whether leaving Study Mode is blocked
+     */
+    isLocked() {
+        return this.phase === 'focus' && Boolean(this.settings && this.settings.lockNavigation);
+    },
+
+    /**
+     * Check before leaving Study Mode; explains why if blocked
+     * @returns {boolean} True if leaving is allowed
+     */
+    canLeave() {
+        if (!this.isLocked()) return true;
+
+        KeyboardShortcuts.showToast(`Focus session in progress: ${Utils.formatTime((this.endsAt - Date.now()) / 1000)} left`);
+        return false;
+    },
+
+    /**
+     * Completed focus sessions per date
+     * @returns {Promise<Object>} { 'YYYY-MM-DD': count }
+     */
+    async getDayCounts() {
+        const counts = {};
+        for (const session of await DB.getAll('focusSessions')) {
+            counts[session.date] = (counts[session.date] || 0) + 1;
+        }
+        return counts;
+    }
+};
+
+// Make FocusSession globally available
+window.FocusSession = FocusSession;
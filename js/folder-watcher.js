@@ -0,0 +1,202 @@
+/**
+ * UPSC Study Desk - Folder Watcher
+ * Detects changes in the library folders and resyncs in the background
+ *
+ * Uses FileSystemObserver where the browser has it, otherwise polls the
+ * directory listing (names only) and compares it with the last one.
+ * Background resyncs never remove anything (see FileSystem.syncToDatabase).
+ */
+
+const FolderWatcher = {
+    // Polling fallback interval
+    POLL_INTERVAL: 30 * 1000,
+
+    // Wait for a burst of changes (e.g., a folder copy) to settle
+    DEBOUNCE_DELAY: 2000,
+
+    observer: null,
+    pollTimer: null,
+    visibilityListener: null,
+    debounceTimer: null,
+    lastSignature: null,
+
+    // Missing-item count last reported (avoid repeating the toast)
+    lastPending: 0,
+
+    // Unmatched top-level folders last reported
+    lastNewPaperFolders: 0,
+
+    // Paused while the user reviews a manual sync
+    paused: false,
+
+    // A change arrived during Study Mode (resync when it exits)
+    pendingResync: false,
+
+    /**
+     * Start watching every connected library folder (restarts if already watching)
+     */
+    async start() {
+        this.stop();
+        if (!FileSystem.hasMasterFolder()) return;
+
+        if (!this.visibilityListener) {
+            this.visibilityListener = () => {
+                if (!document.hidden && this.pollTimer) this.poll();
+            };
+            document.addEventListener('visibilitychange', this.visibilityListener);
+        }
+
+        if ('FileSystemObserver' in window) {
+            try {
+                this.observer = new FileSystemObserver((records) => this.handleRecords(records));
+                const roots = FileSystem.getConnectedRoots();
+                for (const root of roots) {
+                    await this.observer.observe(root.handle, { recursive: true });
+                }
+                console.log(`[Watcher] Watching ${roots.length} folder(s) (FileSystemObserver)`);
+                return;
+            } catch (err) {
+                console.warn('[Watcher] FileSystemObserver failed, falling back to polling:', err);
+                if (this.observer) this.observer.disconnect();
+                this.observer = null;
+            }
+        }
+
+        this.lastSignature = null;
+        this.pollTimer = setInterval(() => this.poll(), this.POLL_INTERVAL);
+        console.log(`[Watcher] Polling library folders every ${this.POLL_INTERVAL / 1000}s`);
+    },
+
+    /**
+     * Stop watching
+     */
+    stop() {
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+        clearInterval(this.pollTimer);
+        clearTimeout(this.debounceTimer);
+        this.pollTimer = null;
+        this.debounceTimer = null;
+        this.pendingResync = false;
+    },
+
+    /**
+     * Pause/resume automatic resyncs
+     */
+    pause() {
+        this.paused = true;
+    },
+
+    resume() {
+        this.paused = false;
+    },
+
+    /**
+     * Handle FileSystemObserver change records
+     * Ignores the app's own Markdown note writes.
+     */
+    handleRecords(records) {
+        const relevant = records.some(record => {
+            const parts = record.relativePathComponents || [];
+            const name = parts[parts.length - 1] || '';
+            return !name.toLowerCase().endsWith('.md');
+        });
+
+        if (relevant) this.schedule();
+    },
+
+    /**
+     * Compare the directory listing with the last poll
+     */
+    async poll() {
+        if (document.hidden || this.paused || FileSystem.isSyncing) return;
+
+        try {
+            const library = await FileSystem.scanLibrary();
+            const signature = FileSystem.getStructureSignature(library);
+
+            if (this.lastSignature !== null && signature !== this.lastSignature) {
+                this.schedule();
+            }
+            this.lastSignature = signature;
+        } catch (err) {
+            console.warn('[Watcher] Poll failed:', err);
+        }
+    },
+
+    /**
+     * Debounce a resync
+     */
+    schedule() {
+        clearTimeout(this.debounceTimer);
+        this.debounceTimer = setTimeout(() => this.resync(), this.DEBOUNCE_DELAY);
+    },
+
+    /**
+     * Run an incremental sync and refresh the visible view
+     */
+    async resync() {
+        // Try again later if a sync is running or being reviewed
+        if (this.paused || FileSystem.isSyncing) {
+            this.schedule();
+            return;
+        }
+
+        // Study Mode saves its open lecture record as it plays, which would
+        // undo a rename/move synced underneath it - wait until it exits
+        if (AppState.mode === 'study') {
+            this.pendingResync = true;
+            return;
+        }
+
+        try {
+            const result = await FileSystem.syncToDatabase();
+            const changed = result.added || result.updated || result.renamed || result.restored;
+
+            if (result.pending > this.lastPending) {
+                KeyboardShortcuts.showToast(`${result.pending} item(s) missing from disk. Use Sync Now to review.`);
+            }
+            this.lastPending = result.pending;
+
+            if (result.newPaperFolders.length > this.lastNewPaperFolders) {
+                KeyboardShortcuts.showToast(`New folder(s) found: ${result.newPaperFolders.join(', ')}. Use Sync Now to add them as papers.`);
+            }
+            this.lastNewPaperFolders = result.newPaperFolders.length;
+
+            if (changed) {
+                console.log(`[Watcher] Folder changed: ${FileSystem.describeSyncResult(result)}`);
+                await this.refreshView();
+            }
+        } catch (err) {
+            console.error('[Watcher] Resync failed:', err);
+        }
+    },
+
+    /**
+     * Run a resync held back during Study Mode
+     */
+    resumeAfterStudy() {
+        if (!this.pendingResync) return;
+        this.pendingResync = false;
+        this.schedule();
+    },
+
+    /**
+     * Update whatever is on screen
+     * Study Mode is left alone; the list refreshes when it exits.
+     */
+    async refreshView() {
+        if (AppState.mode === 'study') return;
+
+        if (AppState.currentView.course) {
+            await LectureList.update();
+        } else {
+            await App.render();
+        }
+    }
+};
+
+// Make FolderWatcher globally available
+window.FolderWatcher = FolderWatcher;
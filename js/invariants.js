@@ -4,6 +4,31 @@
  */
 
 const Invariants = {
+    /**
+     * Validate a paper object
+     * @param {Object} paper
+     * @returns {Object} { valid: boolean, error: string|null }
+     */
+    validatePaper(paper) {
+        if (!paper) {
+            return { valid: false, error: 'Paper is required' };
+        }
+
+        if (!paper.id || typeof paper.id !== 'string') {
+            return { valid: false, error: 'Paper must have a valid ID' };
+        }
+
+        if (!paper.name || typeof paper.name !== 'string' || paper.name.trim() === '') {
+            return { valid: false, error: 'Paper must have a non-empty name' };
+        }
+
+        if (!paper.icon || typeof paper.icon !== 'string') {
+            return { valid: false, error: 'Paper must have an icon' };
+        }
+
+        return { valid: true, error: null };
+    },
+
     /**
      * Validate a provider object
      * @param {Object} provider
@@ -79,8 +104,9 @@ const Invariants = {
             return { valid: false, error: `Lecture must have a valid courseId. Got: ${lecture.courseId}` };
         }
 
-        if (!['video', 'pdf'].includes(lecture.type)) {
-            return { valid: false, error: `Lecture type must be 'video' or 'pdf'. Got: ${lecture.type}` };
+        const types = Object.keys(FileSystem.supportedTypes);
+        if (!types.includes(lecture.type)) {
+            return { valid: false, error: `Lecture type must be one of ${types.join(', ')}. Got: ${lecture.type}` };
         }
 
         return { valid: true, error: null };
@@ -108,9 +134,69 @@ const Invariants = {
         return { valid: true, error: null };
     },
 
+    /**
+     * Validate a PDF annotation (highlight or page note)
+     * @param {Object} annotation
+     * @param {Array} validLectureIds - List of valid lecture IDs
+     * @returns {Object} { valid: boolean, error: string|null }
+     */
+    validateAnnotation(annotation, validLectureIds) {
+        if (!annotation) {
+            return { valid: false, error: 'Annotation is required' };
+        }
+
+        if (!annotation.id || typeof annotation.id !== 'string') {
+            return { valid: false, error: 'Annotation must have a valid ID' };
+        }
+
+        if (!annotation.lectureId || !validLectureIds.includes(annotation.lectureId)) {
+            return { valid: false, error: `Annotation must have a valid lectureId. Got: ${annotation.lectureId}` };
+        }
+
+        if (!Number.isInteger(annotation.page) || annotation.page < 1) {
+            return { valid: false, error: `Annotation must have a page number. Got: ${annotation.page}` };
+        }
+
+        if (!['highlight', 'note'].includes(annotation.kind)) {
+            return { valid: false, error: `Annotation kind must be 'highlight' or 'note'. Got: ${annotation.kind}` };
+        }
+
+        return { valid: true, error: null };
+    },
+
+    /**
+     * Validate a video bookmark
+     * @param {Object} bookmark
+     * @param {Array} validLectureIds - List of valid lecture IDs
+     * @returns {Object} { valid: boolean, error: string|null }
+     */
+    validateBookmark(bookmark, validLectureIds) {
+        if (!bookmark) {
+            return { valid: false, error: 'Bookmark is required' };
+        }
+
+        if (!bookmark.id || typeof bookmark.id !== 'string') {
+            return { valid: false, error: 'Bookmark must have a valid ID' };
+        }
+
+        if (!bookmark.lectureId || !validLectureIds.includes(bookmark.lectureId)) {
+            return { valid: false, error: `Bookmark must have a valid lectureId. Got: ${bookmark.lectureId}` };
+        }
+
+        if (typeof bookmark.time !== 'number' || bookmark.time < 0) {
+            return { valid: false, error: `Bookmark must have a valid time. Got: ${bookmark.time}` };
+        }
+
+        if (!bookmark.label || typeof bookmark.label !== 'string' || bookmark.label.trim() === '') {
+            return { valid: false, error: 'Bookmark must have a non-empty label' };
+        }
+
+        return { valid: true, error: null };
+    },
+
     /**
      * Check and throw if invalid
-     * @param {string} type - 'provider', 'course', 'lecture', 'note'
+     * @param {string} type - 'paper', 'provider', 'course', 'lecture', 'note', 'annotation', 'bookmark'
      * @param {Object} data - Data to validate
      * @param {Array} validParentIds - Valid parent IDs for referential integrity
      * @throws {Error} If validation fails
@@ -119,6 +205,9 @@ const Invariants = {
         let result;
 
         switch (type) {
+            case 'paper':
+                result = this.validatePaper(data);
+                break;
             case 'provider':
                 result = this.validateProvider(data, validParentIds);
                 break;
@@ -131,6 +220,12 @@ const Invariants = {
             case 'note':
                 result = this.validateNote(data, validParentIds);
                 break;
+            case 'annotation':
+                result = this.validateAnnotation(data, validParentIds);
+                break;
+            case 'bookmark':
+                result = this.validateBookmark(data, validParentIds);
+                break;
             default:
                 throw new Error(`Unknown invariant type: ${type}`);
         }
@@ -15,11 +15,37 @@ const KeyboardShortcuts = {
     },
 
     handleKeydown(e) {
+        // Alt+T stamps the note even while typing in it
+        if (e.altKey && e.code === 'KeyT' && AppState.mode === 'study') {
+            e.preventDefault();
+            this.insertTimestamp();
+            return;
+        }
+
+        // Ctrl/Cmd+K opens search from anywhere
+        if ((e.ctrlKey || e.metaKey) && e.code === 'KeyK') {
+            e.preventDefault();
+            SearchBox.open();
+            return;
+        }
+
         // Ignore if typing in input field
         if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') {
             return;
         }
 
+        // "/" opens search (browse and study mode)
+        if (e.key === '/' && !e.ctrlKey && !e.altKey && !e.metaKey) {
+            e.preventDefault();
+            SearchBox.open();
+            return;
+        }
+
+        // Flashcard review: Space shows the answer, 1-4 rate
+        if (AppState.mode !== 'study' && AppState.currentView.screen === 'flashcards' && FlashcardReview.handleKey(e)) {
+            return;
+        }
+
         // Only active in study mode
         if (AppState.mode !== 'study') {
             return;
@@ -119,6 +145,16 @@ const KeyboardShortcuts = {
                 }
                 break;
 
+            case 'KeyT':
+                e.preventDefault();
+                this.insertTimestamp();
+                break;
+
+            case 'KeyB':
+                e.preventDefault();
+                VideoBookmarks.promptAdd();
+                break;
+
             case 'KeyP':
                 e.preventDefault();
                 if (document.pictureInPictureEnabled) {
@@ -160,6 +196,14 @@ const KeyboardShortcuts = {
         }
     },
 
+    insertTimestamp() {
+        const time = StudyMode.getCurrentTime();
+        if (time === null) return;
+
+        NotesPanel.insertTimestamp(time);
+        this.showToast(`Note at ${Utils.formatTime(time)}`);
+    },
+
     changeSpeed(delta) {
         const player = StudyMode.player;
         const speeds = [0.5, 0.75, 1, 1.25, 1.5, 2];
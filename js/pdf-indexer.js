@@ -0,0 +1,226 @@
+/**
+ * UPSC Study Desk - PDF Indexer
+ * Background full-text indexing of PDF lectures using the bundled pdf.js
+ *
+ * Each PDF found during sync is queued, its text extracted page by page,
+ * and merged into a per-page inverted index (term -> lecture/page postings)
+ * in IndexedDB. Unchanged files (same size + lastModified) are skipped.
+ */
+
+const PdfIndexer = {
+    // Worker shipped alongside js/vendor/pdf.min.js (same pdf.js build)
+    WORKER_SRC: 'js/vendor/pdf.worker.min.js',
+
+    // Terms shorter than this are not indexed
+    MIN_TERM_LENGTH: 2,
+
+    // Common words that would bloat the index
+    STOP_WORDS: new Set([
+        'the', 'and', 'for', 'are', 'was', 'were', 'has', 'have', 'had', 'not', 'but', 'with',
+        'this', 'that', 'from', 'which', 'its', 'his', 'her', 'their', 'they', 'them', 'then',
+        'than', 'there', 'these', 'those', 'into', 'also', 'been', 'being', 'can', 'will',
+        'would', 'should', 'could', 'may', 'such', 'any', 'all', 'our', 'you', 'your', 'who',
+        'what', 'when', 'where', 'how', 'more', 'most', 'other', 'some', 'only', 'over',
+        'about', 'after', 'before', 'between', 'under', 'each', 'both', 'very', 'per',
+        'of', 'to', 'in', 'is', 'on', 'at', 'by', 'an', 'as', 'or', 'be', 'it', 'if', 'no', 'so'
+    ]),
+
+    // Pending { lectureId, handle } jobs
+    queue: [],
+
+    // Progress state
+    isRunning: false,
+    status: { total: 0, done: 0, current: null },
+
+    /**
+     * Queue a PDF lecture for indexing
+     * @param {string} lectureId
+     * @param {FileSystemFileHandle} handle
+     */
+    enqueue(lectureId, handle) {
+        if (this.queue.some(job => job.lectureId === lectureId)) return;
+        this.queue.push({ lectureId, handle });
+        this.status.total++;
+    },
+
+    /**
+     * Process the queue in the background (safe to call repeatedly)
+     */
+    async start() {
+        if (this.isRunning || this.queue.length === 0) return;
+
+        if (!window.pdfjsLib) {
+            console.warn('[PdfIndexer] pdf.js not loaded, skipping indexing');
+            this.queue = [];
+            this.status = { total: 0, done: 0, current: null };
+            return;
+        }
+
+        pdfjsLib.GlobalWorkerOptions.workerSrc = this.WORKER_SRC;
+        this.isRunning = true;
+        console.log(`[PdfIndexer] Indexing ${this.queue.length} PDF(s)...`);
+
+        while (this.queue.length > 0) {
+            const job = this.queue.shift();
+            this.status.current = job.lectureId;
+
+            try {
+                await this.indexLecture(job.lectureId, job.handle);
+            } catch (err) {
+                console.error(`[PdfIndexer] Failed to index ${job.lectureId}:`, err);
+            }
+
+            this.status.done++;
+        }
+
+        this.isRunning = false;
+        this.status = { total: 0, done: 0, current: null };
+        console.log('[PdfIndexer] Indexing complete');
+    },
+
+    /**
+     * Extract and index one PDF (skipped if unchanged since last index)
+     * @param {string} lectureId
+     * @param {FileSystemFileHandle} handle
+     */
+    async indexLecture(lectureId, handle) {
+        const file = await handle.getFile();
+        const meta = await DB.get('pdfIndexMeta', lectureId);
+
+        if (meta && meta.fileSize === file.size && meta.lastModified === file.lastModified) {
+            return;
+        }
+
+        const pdf = await pdfjsLib.getDocument({ data: await file.arrayBuffer() }).promise;
+
+        // term -> [{ lectureId, page, count }]
+        const postings = new Map();
+
+        try {
+            for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
+                const page = await pdf.getPage(pageNum);
+                const content = await page.getTextContent();
+                const text = content.items.map(item => item.str).join(' ');
+
+                for (const [term, count] of this.countTerms(text)) {
+                    if (!postings.has(term)) postings.set(term, []);
+                    postings.get(term).push({ lectureId, page: pageNum, count });
+                }
+
+                page.cleanup();
+
+                // Yield to keep the UI responsive
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        } finally {
+            await pdf.destroy();
+        }
+
+        // Replace this lecture's old postings with the new ones
+        const oldTerms = meta ? meta.terms : [];
+        const allTerms = Array.from(new Set([...oldTerms, ...postings.keys()]));
+
+        await DB.bulkUpdate('pdfIndex', allTerms, (term, existing) => {
+            const kept = existing ? existing.postings.filter(p => p.lectureId !== lectureId) : [];
+            const merged = kept.concat(postings.get(term) || []);
+            return merged.length > 0 ? { term, postings: merged } : null;
+        });
+
+        await DB.put('pdfIndexMeta', {
+            lectureId,
+            fileSize: file.size,
+            lastModified: file.lastModified,
+            pageCount: pdf.numPages,
+            terms: Array.from(postings.keys()),
+            indexedAt: new Date().toISOString()
+        });
+
+        console.log(`[PdfIndexer] Indexed ${file.name}: ${pdf.numPages} pages, ${postings.size} terms`);
+    },
+
+    /**
+     * Count indexable terms in a page of text
+     * @param {string} text
+     * @returns {Map<string, number>}
+     */
+    countTerms(text) {
+        const counts = new Map();
+
+        for (const term of Search.tokenize(text)) {
+            if (term.length < this.MIN_TERM_LENGTH || this.STOP_WORDS.has(term)) continue;
+            counts.set(term, (counts.get(term) || 0) + 1);
+        }
+
+        return counts;
+    },
+
+    /**
+     * Drop a lecture from the index (e.g., file deleted)
+     * @param {string} lectureId
+     */
+    async remove(lectureId) {
+        const meta = await DB.get('pdfIndexMeta', lectureId);
+        if (!meta) return;
+
+        await DB.bulkUpdate('pdfIndex', meta.terms, (term, existing) => {
+            const kept = existing ? existing.postings.filter(p => p.lectureId !== lectureId) : [];
+            return kept.length > 0 ? { term, postings: kept } : null;
+        });
+        await DB.delete('pdfIndexMeta', lectureId);
+    },
+
+    /**
+     * Find PDF pages containing every query term
+     * The last term matches as a prefix (search-as-you-type).
+     * @param {Array<string>} tokens - Tokenized query
+     * @returns {Promise<Array>} [{ lectureId, page, count }] best first
+     */
+    async searchPages(tokens) {
+        const terms = tokens.filter(t => t.length >= this.MIN_TERM_LENGTH && !this.STOP_WORDS.has(t));
+        if (terms.length === 0) return [];
+
+        let matches = null; // "lectureId:page" -> { lectureId, page, count }
+
+        for (let i = 0; i < terms.length; i++) {
+            const term = terms[i];
+            const isLast = i === terms.length - 1;
+
+            const records = isLast
+                ? await DB.getRange('pdfIndex', IDBKeyRange.bound(term, term + '\uffff'))
+                : [await DB.get('pdfIndex', term)].filter(Boolean);
+
+            const pages = new Map();
+            for (const record of records) {
+                for (const posting of record.postings) {
+                    const key = `${posting.lectureId}:${posting.page}`;
+                    const prev = pages.get(key);
+                    pages.set(key, {
+                        lectureId: posting.lectureId,
+                        page: posting.page,
+                        count: (prev ? prev.count : 0) + posting.count
+                    });
+                }
+            }
+
+            if (matches === null) {
+                matches = pages;
+            } else {
+                for (const [key, hit] of matches) {
+                    const next = pages.get(key);
+                    if (next) {
+                        hit.count += next.count;
+                    } else {
+                        matches.delete(key);
+                    }
+                }
+            }
+
+            if (matches.size === 0) return [];
+        }
+
+        return Array.from(matches.values()).sort((a, b) => b.count - a.count || a.page - b.page);
+    }
+};
+
+// Make PdfIndexer globally available
+window.PdfIndexer = PdfIndexer;
@@ -0,0 +1,142 @@
+/**
+ * UPSC Study Desk - Study Planner
+ * Course plans ("finish by a date, N lectures a day") and the daily queue
+ *
+ * Plans are stored per course in the plans store:
+ *   { id: courseId, courseId, targetDate: 'YYYY-MM-DD', lecturesPerDay, createdAt }
+ *
+ * Each day's target is the plan's lectures per day; the queue is the next
+ * incomplete lectures in course order. A course is behind schedule when
+ * the pace needed to finish by the target date (counted from the start
+ * of today) is more than the planned lectures per day.
+ */
+
+const Planner = {
+    /**
+     * Get a course's plan
+     * @param {string} courseId
+     * @returns {Promise<Object|undefined>}
+     */
+    async get(courseId) {
+        return await DB.get('plans', courseId);
+    },
+
+    /**
+     * Create or update a course's plan
+     * @param {string} courseId
+     * @param {Object} plan - { targetDate, lecturesPerDay }
+     */
+    async save(courseId, { targetDate, lecturesPerDay }) {
+        const existing = await this.get(courseId);
+        const plan = {
+            createdAt: new Date().toISOString(),
+            ...existing,
+            id: courseId,
+            courseId,
+            targetDate,
+            lecturesPerDay
+        };
+        await DB.put('plans', plan);
+        console.log(`[Planner] ${courseId}: ${lecturesPerDay}/day until ${targetDate}`);
+        return plan;
+    },
+
+    /**
+     * Remove a course's plan
+     * @param {string} courseId
+     */
+    async remove(courseId) {
+        await DB.delete('plans', courseId);
+    },
+
+    /**
+     * Date key of this week's Monday
+     */
+    weekStart() {
+        const day = new Date().getDay();
+        return Revision.daysFromToday(-((day + 6) % 7));
+    },
+
+    /**
+     * Progress of a plan against its schedule
+     * @param {Object} plan
+     * @returns {Promise<Object>} { plan, progress, remaining, daysLeft, requiredPerDay,
+     *   doneToday, todayTarget, doneThisWeek, weekTarget, queue, projectedFinish, status }
+     *   status: 'done' | 'overdue' | 'behind' | 'on-track'
+     */
+    async getStatus(plan) {
+        const lectures = await AppState.getLectures(plan.courseId);
+        const progress = await AppState.getCourseProgress(plan.courseId);
+        const today = Revision.dateKey();
+        const monday = this.weekStart();
+
+        const completedOn = (lecture) =>
+            lecture.completed && lecture.completedAt ? Revision.dateKey(new Date(lecture.completedAt)) : null;
+        const doneToday = lectures.filter(l => completedOn(l) === today).length;
+        const doneThisWeek = lectures.filter(l => completedOn(l) >= monday).length;
+
+        const remaining = progress.total - progress.completed;
+        const remainingToday = remaining + doneToday;
+        const daysLeft = Revision.daysUntil(plan.targetDate) + 1;
+        const requiredPerDay = daysLeft > 0 ? Math.ceil(remainingToday / daysLeft) : remainingToday;
+
+        const todayTarget = Math.min(plan.lecturesPerDay, remainingToday);
+        const weekTarget = Math.min(plan.lecturesPerDay * 7, remaining + doneThisWeek);
+        const queue = lectures
+            .filter(l => !l.completed)
+            .slice(0, Math.max(0, todayTarget - doneToday));
+
+        const daysNeeded = Math.ceil(remainingToday / plan.lecturesPerDay);
+        const projectedFinish = remaining > 0 ? Revision.daysFromToday(Math.max(0, daysNeeded - 1)) : today;
+
+        let status = 'on-track';
+        if (remaining === 0) status = 'done';
+        else if (daysLeft <= 0) status = 'overdue';
+        else if (requiredPerDay > plan.lecturesPerDay) status = 'behind';
+
+        return {
+            plan, progress, remaining, daysLeft, requiredPerDay,
+            doneToday, todayTarget, doneThisWeek, weekTarget,
+            queue, projectedFinish, status
+        };
+    },
+
+    /**
+     * Format a date key for display (e.g., "15 Dec")
+     */
+    formatDate(key) {
+        const [y, m, d] = key.split('-').map(Number);
+        const date = new Date(y, m - 1, d);
+        return date.toLocaleDateString(undefined, {
+            day: 'numeric',
+            month: 'short',
+            ...(y !== new Date().getFullYear() ? { year: 'numeric' } : {})
+        });
+    },
+
+    /**
+     * All plans with their course, paper and status
+     * (plans of trashed courses are left out)
+     * @returns {Promise<Array>} [{ course, paper, ...getStatus }] by paper, then target date
+     */
+    async getAll() {
+        const result = [];
+
+        for (const plan of await DB.getAll('plans')) {
+            const course = await AppState.getCourse(plan.courseId);
+            const provider = course && await DB.get('providers', course.providerId);
+            const paper = provider && AppState.getPaper(provider.paperId);
+            if (!paper) continue;
+
+            result.push({ course, paper, ...await this.getStatus(plan) });
+        }
+
+        return result.sort((a, b) =>
+            a.paper.orderIndex - b.paper.orderIndex ||
+            a.plan.targetDate.localeCompare(b.plan.targetDate)
+        );
+    }
+};
+
+// Make Planner globally available
+window.Planner = Planner;
@@ -0,0 +1,123 @@
+/**
+ * UPSC Study Desk - Revision Scheduler
+ * Spaced-repetition revisions for completed lectures
+ *
+ * Completing a lecture schedules its first revision. Each revision is
+ * rated by recall, which moves the lecture along the interval ladder:
+ * "again" starts over, "hard" repeats the current step, "good" moves up
+ * one step and "easy" two. The last step repeats indefinitely.
+ *
+ * Stored on the lecture record:
+ *   revisionStage   - index into INTERVALS for the next revision
+ *   nextRevisionAt  - local date 'YYYY-MM-DD' (null = not scheduled)
+ *   revisions       - history [{ date, recall, interval }]
+ */
+
+const Revision = {
+    // Days between revisions, by stage
+    INTERVALS: [1, 7, 30, 90],
+
+    // Recall ratings, worst to best (step = change in stage)
+    RECALL: {
+        again: { label: 'Again', step: null },
+        hard: { label: 'Hard', step: 0 },
+        good: { label: 'Good', step: 1 },
+        easy: { label: 'Easy', step: 2 }
+    },
+
+    /**
+     * Local date as 'YYYY-MM-DD'
+     * @param {Date} date
+     */
+    dateKey(date = new Date()) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    },
+
+    /**
+     * Date key a number of days from today
+     */
+    daysFromToday(days) {
+        const date = new Date();
+        date.setDate(date.getDate() + days);
+        return this.dateKey(date);
+    },
+
+    /**
+     * Whole days from today to a date key (negative = in the past)
+     */
+    daysUntil(key) {
+        const [y, m, d] = key.split('-').map(Number);
+        const today = new Date();
+        const target = new Date(y, m - 1, d);
+        const start = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+        return Math.round((target - start) / 86400000);
+    },
+
+    /**
+     * Schedule the first revision of a newly completed lecture
+     * (lectures already on the ladder keep their place)
+     * @param {Object} lecture - Modified in place
+     */
+    schedule(lecture) {
+        if (lecture.nextRevisionAt) return;
+
+        lecture.revisionStage = lecture.revisionStage || 0;
+        lecture.nextRevisionAt = this.daysFromToday(this.INTERVALS[lecture.revisionStage]);
+    },
+
+    /**
+     * Stop scheduling revisions (lecture marked incomplete); history is kept
+     * @param {Object} lecture - Modified in place
+     */
+    unschedule(lecture) {
+        lecture.nextRevisionAt = null;
+    },
+
+    /**
+     * Record a revision and schedule the next one
+     * @param {Object} lecture - Modified in place
+     * @param {string} recall - Key of RECALL
+     * @returns {number} Days until the next revision
+     */
+    record(lecture, recall) {
+        const rating = this.RECALL[recall];
+        if (!rating) throw new Error(`Unknown recall rating: ${recall}`);
+
+        const last = this.INTERVALS.length - 1;
+        const stage = lecture.revisionStage || 0;
+        const nextStage = rating.step === null ? 0 : Math.min(stage + rating.step, last);
+        const interval = this.INTERVALS[nextStage];
+
+        lecture.revisions = [...(lecture.revisions || []), {
+            date: new Date().toISOString(),
+            recall,
+            interval
+        }];
+        lecture.revisionStage = nextStage;
+        lecture.nextRevisionAt = this.daysFromToday(interval);
+
+        return interval;
+    },
+
+    /**
+     * Check whether a lecture is due for revision today (or overdue)
+     */
+    isDue(lecture) {
+        return Boolean(lecture.completed && lecture.nextRevisionAt && lecture.nextRevisionAt <= this.dateKey());
+    },
+
+    /**
+     * Lectures due for revision, most overdue first
+     * @param {Array} lectures
+     * @returns {Array}
+     */
+    getDue(lectures) {
+        return lectures
+            .filter(l => this.isDue(l))
+            .sort((a, b) => a.nextRevisionAt.localeCompare(b.nextRevisionAt));
+    }
+};
+
+// Make Revision globally available
+window.Revision = Revision;
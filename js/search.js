@@ -0,0 +1,256 @@
+/**
+ * UPSC Study Desk - Search Module
+ * Full-text search across lectures, courses, providers, notes
+ * and (via PdfIndexer) the text inside PDFs
+ *
+ * The index is rebuilt from IndexedDB each time search opens, so it
+ * never goes stale after a sync or a note edit.
+ */
+
+const Search = {
+    // Searchable documents (built by buildIndex)
+    docs: [],
+
+    // Lecture documents by lecture ID (for PDF page hits)
+    lectureDocs: new Map(),
+
+    // Max PDF page hits per query
+    PDF_PAGE_LIMIT: 15,
+
+    // Ranking weights
+    weights: {
+        titleWordExact: 15,
+        titleWordPrefix: 10,
+        titleContains: 6,
+        pathContains: 3,
+        bodyContains: 1,
+        phraseInTitle: 10
+    },
+
+    /**
+     * Build the search index from the database
+     * @returns {Promise<Array>} Indexed documents
+     */
+    async buildIndex() {
+        const papers = AppState.getPapers();
+        const [providers, courses, lectures, notes] = await Promise.all([
+            DB.getAll('providers'),
+            DB.getAll('courses'),
+            DB.getAll('lectures'),
+            DB.getAll('notes')
+        ]);
+
+        const paperById = new Map(papers.map(p => [p.id, p]));
+        const providerById = new Map(providers.map(p => [p.id, p]));
+        const courseById = new Map(courses.map(c => [c.id, c]));
+        const lectureById = new Map(lectures.map(l => [l.id, l]));
+        const docs = [];
+
+        // Resolve the Paper › Provider › Course trail for a course
+        const trailFor = (course) => {
+            const provider = course && providerById.get(course.providerId);
+            const paper = provider && paperById.get(provider.paperId);
+            return {
+                paperId: paper ? paper.id : null,
+                providerId: provider ? provider.id : null,
+                courseId: course ? course.id : null,
+                labels: [paper?.name, provider?.name, course?.name].filter(Boolean)
+            };
+        };
+
+        for (const provider of providers) {
+            const paper = paperById.get(provider.paperId);
+            docs.push({
+                kind: 'provider',
+                id: provider.id,
+                title: provider.name,
+                path: paper ? paper.name : '',
+                body: '',
+                paperId: provider.paperId,
+                providerId: provider.id
+            });
+        }
+
+        for (const course of courses) {
+            const trail = trailFor(course);
+            docs.push({
+                kind: 'course',
+                id: course.id,
+                title: course.name,
+                path: [trail.labels.slice(0, 2).join(' › '), course.folderPath || ''].join(' '),
+                body: '',
+                paperId: trail.paperId,
+                providerId: trail.providerId,
+                courseId: course.id
+            });
+        }
+
+        for (const lecture of lectures) {
+            const trail = trailFor(courseById.get(lecture.courseId));
+            docs.push({
+                kind: 'lecture',
+                id: lecture.id,
+                title: lecture.title,
+                path: [trail.labels.join(' › '), lecture.subPath, lecture.fileName].filter(Boolean).join(' '),
+                body: '',
+                type: lecture.type,
+                paperId: trail.paperId,
+                providerId: trail.providerId,
+                courseId: trail.courseId,
+                lectureId: lecture.id
+            });
+        }
+
+        for (const note of notes) {
+            const lecture = lectureById.get(note.lectureId);
+            if (!lecture || !note.content) continue;
+
+            const trail = trailFor(courseById.get(lecture.courseId));
+            docs.push({
+                kind: 'note',
+                id: note.id,
+                title: `Notes: ${lecture.title}`,
+                path: trail.labels.join(' › '),
+                body: note.content,
+                paperId: trail.paperId,
+                providerId: trail.providerId,
+                courseId: trail.courseId,
+                lectureId: lecture.id
+            });
+        }
+
+        this.docs = docs;
+        this.lectureDocs = new Map(docs.filter(d => d.kind === 'lecture').map(d => [d.lectureId, d]));
+        return docs;
+    },
+
+    /**
+     * Split text into lowercase search tokens
+     * @param {string} text
+     * @returns {Array<string>}
+     */
+    tokenize(text) {
+        return (text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    },
+
+    /**
+     * Score a document against query tokens
+     * @returns {number} Score, or 0 if any token is missing
+     */
+    scoreDoc(doc, tokens, phrase) {
+        const title = doc.title.toLowerCase();
+        const titleWords = this.tokenize(doc.title);
+        const path = doc.path.toLowerCase();
+        const body = doc.body.toLowerCase();
+        let score = 0;
+
+        for (const token of tokens) {
+            let tokenScore = 0;
+
+            if (titleWords.includes(token)) {
+                tokenScore += this.weights.titleWordExact;
+            } else if (titleWords.some(w => w.startsWith(token))) {
+                tokenScore += this.weights.titleWordPrefix;
+            } else if (title.includes(token)) {
+                tokenScore += this.weights.titleContains;
+            }
+
+            if (path.includes(token)) tokenScore += this.weights.pathContains;
+            if (body.includes(token)) tokenScore += this.weights.bodyContains;
+
+            // Every token must match somewhere
+            if (tokenScore === 0) return 0;
+            score += tokenScore;
+        }
+
+        if (tokens.length > 1 && title.includes(phrase)) {
+            score += this.weights.phraseInTitle;
+        }
+
+        return score;
+    },
+
+    /**
+     * Run a ranked query against the index
+     * @param {string} text - User query
+     * @param {number} limit - Max results
+     * @returns {Array} Results { doc, score, snippet }
+     */
+    query(text, limit = 20) {
+        const tokens = this.tokenize(text);
+        if (tokens.length === 0) return [];
+
+        const phrase = tokens.join(' ');
+        const results = [];
+
+        for (const doc of this.docs) {
+            const score = this.scoreDoc(doc, tokens, phrase);
+            if (score > 0) {
+                results.push({ doc, score, snippet: this.getSnippet(doc.body, tokens) });
+            }
+        }
+
+        results.sort((a, b) => b.score - a.score || a.doc.title.localeCompare(b.doc.title, undefined, { numeric: true }));
+        return results.slice(0, limit);
+    },
+
+    /**
+     * Search the PDF text index for pages matching the query
+     * @param {string} text - User query
+     * @returns {Promise<Array>} Results { doc, score, snippet } with doc.page set
+     */
+    async queryPdfPages(text) {
+        const hits = await PdfIndexer.searchPages(this.tokenize(text));
+        const results = [];
+
+        for (const hit of hits) {
+            const lectureDoc = this.lectureDocs.get(hit.lectureId);
+            if (!lectureDoc) continue; // Lecture removed since indexing
+
+            results.push({
+                doc: {
+                    ...lectureDoc,
+                    kind: 'page',
+                    id: `${hit.lectureId}:${hit.page}`,
+                    path: `Page ${hit.page} · ${lectureDoc.path}`,
+                    page: hit.page
+                },
+                score: hit.count,
+                snippet: `${hit.count} match${hit.count === 1 ? '' : 'es'} on page ${hit.page}`
+            });
+
+            if (results.length >= this.PDF_PAGE_LIMIT) break;
+        }
+
+        return results;
+    },
+
+    /**
+     * Extract a short excerpt around the first matching token
+     * @param {string} body
+     * @param {Array<string>} tokens
+     * @returns {string}
+     */
+    getSnippet(body, tokens) {
+        if (!body) return '';
+
+        const lower = body.toLowerCase();
+        const positions = tokens.map(t => lower.indexOf(t)).filter(i => i >= 0);
+        if (positions.length === 0) return '';
+
+        const first = Math.min(...positions);
+        let start = Math.max(0, first - 40);
+
+        // Don't cut the leading word in half
+        if (start > 0) {
+            const space = body.indexOf(' ', start);
+            if (space !== -1 && space < first) start = space + 1;
+        }
+
+        const excerpt = body.slice(start, start + 120).replace(/\s+/g, ' ').trim();
+        return (start > 0 ? '…' : '') + excerpt + (start + 120 < body.length ? '…' : '');
+    }
+};
+
+// Make Search globally available
+window.Search = Search;
@@ -8,7 +8,18 @@ const AppState = {
     currentView: {
         paper: null,
         provider: null,
-        course: null
+        course: null,
+        screen: null  // Standalone screen outside the hierarchy (e.g., 'trash')
+    },
+
+    // Breadcrumb labels for standalone screens
+    screenLabels: {
+        trash: 'Trash',
+        papers: 'Papers',
+        flashcards: 'Flashcards',
+        syllabus: 'Syllabus',
+        collection: 'Collection',
+        playlist: 'Playlist'
     },
 
     // App mode
@@ -20,6 +31,8 @@ const AppState = {
     // Cached data (refreshed from DB as needed)
     _cache: {
         papers: null,
+        collections: null,
+        playlists: null,
         providers: {},
         courses: {},
         lectures: {}
@@ -32,6 +45,8 @@ const AppState = {
         await DB.init();
         await DB.seed();
         await this.refreshPapers();
+        await this.refreshCollections();
+        await this.refreshPlaylists();
     },
 
     /**
@@ -59,6 +74,269 @@ const AppState = {
         return papers.find(p => p.id === paperId);
     },
 
+    /**
+     * Refresh smart collections cache from database
+     */
+    async refreshCollections() {
+        const collections = await DB.getAll('collections');
+        collections.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+        this._cache.collections = collections;
+        return collections;
+    },
+
+    /**
+     * Get all smart collections (sorted by name)
+     */
+    getCollections() {
+        return this._cache.collections || [];
+    },
+
+    /**
+     * Get smart collection by ID
+     */
+    getCollection(collectionId) {
+        return this.getCollections().find(c => c.id === collectionId);
+    },
+
+    /**
+     * Create or update a smart collection
+     * @param {Object} collection - { id?, name, query }
+     * @throws {Error} If the query doesn't parse
+     */
+    async saveCollection({ id, name, query }) {
+        Collections.parse(query);
+
+        const existing = id ? this.getCollection(id) : null;
+        const collection = {
+            ...existing,
+            id: id || Utils.generateId(),
+            name: name.trim(),
+            query: query.trim(),
+            createdAt: existing ? existing.createdAt : new Date().toISOString()
+        };
+
+        await DB.put('collections', collection);
+        await this.refreshCollections();
+        return collection;
+    },
+
+    /**
+     * Delete a smart collection (lectures are not affected)
+     */
+    async deleteCollection(collectionId) {
+        await DB.delete('collections', collectionId);
+        await this.refreshCollections();
+    },
+
+    /**
+     * Refresh playlists cache from database
+     */
+    async refreshPlaylists() {
+        const playlists = await DB.getAll('playlists');
+        playlists.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+        this._cache.playlists = playlists;
+        return playlists;
+    },
+
+    /**
+     * Get all playlists (sorted by name)
+     */
+    getPlaylists() {
+        return this._cache.playlists || [];
+    },
+
+    /**
+     * Get playlist by ID
+     */
+    getPlaylist(playlistId) {
+        return this.getPlaylists().find(p => p.id === playlistId);
+    },
+
+    /**
+     * Create or update a playlist
+     * @param {Object} playlist - { id?, name, lectureIds } (lectures in play order)
+     */
+    async savePlaylist({ id, name, lectureIds }) {
+        const existing = id ? this.getPlaylist(id) : null;
+        const playlist = {
+            ...existing,
+            id: id || Utils.generateId(),
+            name: name.trim(),
+            lectureIds: Array.from(new Set(lectureIds || [])),
+            createdAt: existing ? existing.createdAt : new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+
+        await DB.put('playlists', playlist);
+        await this.refreshPlaylists();
+        return playlist;
+    },
+
+    /**
+     * Append a lecture to a playlist (no-op if it's already there)
+     * @returns {Promise<boolean>} True if added
+     */
+    async addToPlaylist(playlistId, lectureId) {
+        const playlist = this.getPlaylist(playlistId);
+        if (!playlist || playlist.lectureIds.includes(lectureId)) return false;
+
+        await this.savePlaylist({ ...playlist, lectureIds: [...playlist.lectureIds, lectureId] });
+        return true;
+    },
+
+    /**
+     * Delete a playlist (lectures are not affected)
+     */
+    async deletePlaylist(playlistId) {
+        await DB.delete('playlists', playlistId);
+        await this.refreshPlaylists();
+    },
+
+    /**
+     * Add a new paper
+     * @param {string} name - Short name shown in the sidebar (e.g., "Essay")
+     * @param {Object} options - { fullName, icon, folderNames }
+     */
+    async addPaper(name, options = {}) {
+        const papers = this.getPapers();
+
+        const paper = {
+            id: Utils.generateId(),
+            name: name.trim(),
+            fullName: (options.fullName || name).trim(),
+            icon: options.icon || 'ph-duotone ph-book-open',
+            // Folder names on disk that belong to this paper (besides its names)
+            folderNames: options.folderNames || [],
+            orderIndex: papers.length,
+            createdAt: new Date().toISOString()
+        };
+
+        await Invariants.check('paper', paper);
+
+        await DB.put('papers', paper);
+        await this.refreshPapers();
+
+        return paper;
+    },
+
+    /**
+     * Update a paper's name, full name or icon
+     * Old names are kept as folder names so existing folders still match.
+     * @param {string} paperId
+     * @param {Object} changes - { name, fullName, icon }
+     */
+    async updatePaper(paperId, changes) {
+        const paper = { ...this.getPaper(paperId) };
+        const folderNames = new Set(paper.folderNames || []);
+
+        if (changes.name && changes.name.trim() !== paper.name) {
+            folderNames.add(paper.name);
+            paper.name = changes.name.trim();
+        }
+        if (changes.fullName !== undefined) {
+            if (paper.fullName && changes.fullName.trim() !== paper.fullName) folderNames.add(paper.fullName);
+            paper.fullName = changes.fullName.trim() || paper.name;
+        }
+        if (changes.icon) paper.icon = changes.icon;
+        paper.folderNames = Array.from(folderNames);
+
+        await Invariants.check('paper', paper);
+
+        await DB.put('papers', paper);
+        await this.refreshPapers();
+
+        return paper;
+    },
+
+    /**
+     * Move a paper up or down in the order
+     * @param {string} paperId
+     * @param {number} offset - -1 (up) or 1 (down)
+     */
+    async movePaper(paperId, offset) {
+        const papers = this.getPapers().slice();
+        const index = papers.findIndex(p => p.id === paperId);
+        const target = index + offset;
+        if (index < 0 || target < 0 || target >= papers.length) return;
+
+        [papers[index], papers[target]] = [papers[target], papers[index]];
+        for (let i = 0; i < papers.length; i++) {
+            if (papers[i].orderIndex !== i) {
+                await DB.put('papers', { ...papers[i], orderIndex: i });
+            }
+        }
+        await this.refreshPapers();
+    },
+
+    /**
+     * Delete a paper; its providers, courses and lectures go to the trash
+     * Its folders are ignored by sync until added back as a paper.
+     * @param {string} paperId
+     * @returns {Promise<number>} Number of records trashed
+     */
+    async deletePaper(paperId) {
+        const paper = this.getPaper(paperId);
+        if (!paper) return 0;
+
+        const batchId = Utils.generateId();
+        const providers = await DB.getByIndex('providers', 'paperId', paperId);
+        let trashed = 0;
+
+        for (const provider of providers) {
+            const courses = await DB.getByIndex('courses', 'providerId', provider.id);
+            for (const course of courses) {
+                const lectures = await DB.getByIndex('lectures', 'courseId', course.id);
+                for (const lecture of lectures) {
+                    await Trash.add('lecture', lecture, batchId);
+                    trashed++;
+                }
+                await Trash.add('course', course, batchId);
+                trashed++;
+            }
+            // The paper comes back if any of its providers is restored
+            await Trash.add('provider', provider, batchId, paper);
+            trashed++;
+        }
+
+        await DB.delete('papers', paperId);
+
+        const names = [paper.name, paper.fullName, ...(paper.folderNames || [])].filter(Boolean);
+        for (const name of names) {
+            await this.setPaperFolderIgnored(name, true);
+        }
+
+        if (this.currentView.paper === paperId) {
+            this.navigateTo(null, null, null);
+        }
+
+        this.invalidateCache();
+        await this.refreshPapers();
+        return trashed;
+    },
+
+    /**
+     * Top-level folders the user chose not to add as papers
+     * @returns {Promise<Array<string>>}
+     */
+    async getIgnoredPaperFolders() {
+        const config = await DB.get('config', 'ignoredPaperFolders');
+        return config ? config.names : [];
+    },
+
+    /**
+     * Ignore (or stop ignoring) a top-level folder during sync
+     * @param {string} folderName
+     * @param {boolean} ignored
+     */
+    async setPaperFolderIgnored(folderName, ignored) {
+        const key = FileSystem.normalizeName(folderName);
+        const names = (await this.getIgnoredPaperFolders())
+            .filter(name => FileSystem.normalizeName(name) !== key);
+        if (ignored) names.push(folderName);
+
+        await DB.put('config', { id: 'ignoredPaperFolders', names });
+    },
+
     /**
      * Get providers for a paper
      */
@@ -196,9 +474,15 @@ const AppState = {
             id: Utils.generateId(),
             title: lectureData.title,
             courseId: courseId,
-            type: lectureData.type,  // 'video' or 'pdf'
+            type: lectureData.type,  // See FileSystem.supportedTypes
             fileName: lectureData.fileName,
+            subPath: lectureData.subPath || '',  // Module folder inside the course ('' = top level)
             orderIndex: orderIndex,
+            // File identity (set by sync, used to follow renames/moves)
+            fileSize: lectureData.fileSize || null,
+            lastModified: lectureData.lastModified || null,
+            fingerprint: lectureData.fingerprint || null,
+            subtitles: lectureData.subtitles || [],  // Sidecar .srt/.vtt file names (set by sync)
             completed: false,
             lastPosition: 0,
             createdAt: new Date().toISOString()
@@ -216,11 +500,246 @@ const AppState = {
         return lecture;
     },
 
+    /**
+     * Mark a lecture complete or incomplete
+     * Completing schedules its revisions (see Revision).
+     * @param {Object} lecture - Modified in place
+     * @param {boolean} completed
+     */
+    async setLectureCompleted(lecture, completed) {
+        lecture.completed = completed;
+
+        if (completed) {
+            lecture.completedAt = lecture.completedAt || new Date().toISOString();
+            Revision.schedule(lecture);
+        } else {
+            lecture.completedAt = null;
+            Revision.unschedule(lecture);
+        }
+
+        await DB.put('lectures', lecture);
+        this.invalidateCache();
+    },
+
+    /**
+     * Set a lecture's free-form tags
+     * @param {Object} lecture - Modified in place
+     * @param {Array} tags
+     */
+    async setLectureTags(lecture, tags) {
+        lecture.tags = Collections.cleanTags(tags);
+        await DB.put('lectures', lecture);
+        this.invalidateCache();
+    },
+
+    /**
+     * Tag a lecture with syllabus topics
+     * @param {Object} lecture - Modified in place
+     * @param {Array} topicIds - See Syllabus.TREE
+     */
+    async setLectureTopics(lecture, topicIds) {
+        lecture.syllabusTopics = Syllabus.clean(topicIds);
+        await DB.put('lectures', lecture);
+        this.invalidateCache();
+    },
+
+    /**
+     * Tag a lecture's note with syllabus topics (creates an empty note if needed)
+     * @param {string} lectureId
+     * @param {Array} topicIds - See Syllabus.TREE
+     */
+    async setNoteTopics(lectureId, topicIds) {
+        const note = await this.getNote(lectureId) || await this.saveNote(lectureId, '');
+        note.syllabusTopics = Syllabus.clean(topicIds);
+        await DB.put('notes', note);
+        return note;
+    },
+
+    /**
+     * Record a revision of a lecture with the self-rated recall
+     * @param {Object} lecture - Modified in place
+     * @param {string} recall - 'again' | 'hard' | 'good' | 'easy'
+     * @returns {Promise<number>} Days until the next revision
+     */
+    async recordRevision(lecture, recall) {
+        const interval = Revision.record(lecture, recall);
+        await DB.put('lectures', lecture);
+        this.invalidateCache();
+        return interval;
+    },
+
+    /**
+     * Get the note for a lecture
+     * @param {string} lectureId
+     * @returns {Promise<Object|null>}
+     */
+    async getNote(lectureId) {
+        const notes = await DB.getByIndex('notes', 'lectureId', lectureId);
+        return notes[0] || null;
+    },
+
+    /**
+     * Save (create or update) the note for a lecture
+     * Flashcards marked in the note are re-extracted.
+     * @param {string} lectureId
+     * @param {string} content - Markdown content
+     */
+    async saveNote(lectureId, content) {
+        const lecture = await this.getLecture(lectureId);
+        const validLectureIds = lecture ? [lecture.id] : [];
+
+        const existing = await this.getNote(lectureId);
+        const note = {
+            id: existing ? existing.id : Utils.generateId(),
+            lectureId: lectureId,
+            content: content,
+            syllabusTopics: existing ? existing.syllabusTopics || [] : [],
+            createdAt: existing ? existing.createdAt : new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+
+        // Validate before saving
+        await Invariants.check('note', note, validLectureIds);
+
+        await DB.put('notes', note);
+        await Flashcards.syncLecture(lectureId, content);
+
+        return note;
+    },
+
+    /**
+     * Get PDF annotations for a lecture, in page order
+     * @param {string} lectureId
+     * @returns {Promise<Array>}
+     */
+    async getAnnotations(lectureId) {
+        const annotations = await DB.getByIndex('annotations', 'lectureId', lectureId);
+        annotations.sort((a, b) => a.page - b.page || a.createdAt.localeCompare(b.createdAt));
+        return annotations;
+    },
+
+    /**
+     * Add a PDF annotation
+     * @param {string} lectureId
+     * @param {Object} data - { kind: 'highlight'|'note', page, text, comment }
+     */
+    async addAnnotation(lectureId, data) {
+        const lecture = await this.getLecture(lectureId);
+        const validLectureIds = lecture ? [lecture.id] : [];
+
+        const annotation = {
+            id: Utils.generateId(),
+            lectureId: lectureId,
+            kind: data.kind,
+            page: data.page,
+            text: data.text || '',
+            comment: data.comment || '',
+            createdAt: new Date().toISOString()
+        };
+
+        // Validate before saving
+        await Invariants.check('annotation', annotation, validLectureIds);
+
+        await DB.put('annotations', annotation);
+
+        return annotation;
+    },
+
+    /**
+     * Delete a PDF annotation
+     * @param {string} annotationId
+     */
+    async deleteAnnotation(annotationId) {
+        await DB.delete('annotations', annotationId);
+    },
+
+    /**
+     * Get video bookmarks for a lecture, in time order
+     * @param {string} lectureId
+     * @returns {Promise<Array>}
+     */
+    async getBookmarks(lectureId) {
+        const bookmarks = await DB.getByIndex('bookmarks', 'lectureId', lectureId);
+        bookmarks.sort((a, b) => a.time - b.time);
+        return bookmarks;
+    },
+
+    /**
+     * Add a named video bookmark
+     * @param {string} lectureId
+     * @param {number} time - Seconds into the video
+     * @param {string} label - e.g., "Article 370 discussion"
+     */
+    async addBookmark(lectureId, time, label) {
+        const lecture = await this.getLecture(lectureId);
+        const validLectureIds = lecture ? [lecture.id] : [];
+
+        const bookmark = {
+            id: Utils.generateId(),
+            lectureId: lectureId,
+            time: Math.floor(time),
+            label: label.trim(),
+            createdAt: new Date().toISOString()
+        };
+
+        // Validate before saving
+        await Invariants.check('bookmark', bookmark, validLectureIds);
+
+        await DB.put('bookmarks', bookmark);
+
+        return bookmark;
+    },
+
+    /**
+     * Rename a video bookmark
+     * @param {Object} bookmark - Updated only once the new label is valid and saved
+     * @param {string} label
+     */
+    async renameBookmark(bookmark, label) {
+        const renamed = { ...bookmark, label: (label || '').trim() };
+        await Invariants.check('bookmark', renamed, [bookmark.lectureId]);
+        await DB.put('bookmarks', renamed);
+        bookmark.label = renamed.label;
+        return bookmark;
+    },
+
+    /**
+     * Delete a video bookmark
+     * @param {string} bookmarkId
+     */
+    async deleteBookmark(bookmarkId) {
+        await DB.delete('bookmarks', bookmarkId);
+    },
+
     /**
      * Navigate to a specific view
      */
     navigateTo(paper = null, provider = null, course = null) {
-        this.currentView = { paper, provider, course };
+        this.currentView = { paper, provider, course, screen: null };
+    },
+
+    /**
+     * Open a standalone screen (leaves the Paper/Provider/Course hierarchy)
+     * @param {string} screen - e.g., 'trash'
+     */
+    openScreen(screen) {
+        this.currentView = { paper: null, provider: null, course: null, screen };
+    },
+
+    /**
+     * Open a smart collection (a virtual lecture list)
+     * @param {string} collectionId
+     */
+    openCollection(collectionId) {
+        this.currentView = { paper: null, provider: null, course: null, screen: 'collection', collection: collectionId };
+    },
+
+    /**
+     * Open a playlist
+     * @param {string} playlistId
+     */
+    openPlaylist(playlistId) {
+        this.currentView = { paper: null, provider: null, course: null, screen: 'playlist', playlist: playlistId };
     },
 
     /**
@@ -229,6 +748,23 @@ const AppState = {
     async getBreadcrumb() {
         const trail = [{ label: 'Home', target: null }];
 
+        if (this.currentView.screen === 'collection') {
+            const collection = this.getCollection(this.currentView.collection);
+            trail.push({ label: collection ? collection.name : this.screenLabels.collection, target: null });
+            return trail;
+        }
+
+        if (this.currentView.screen === 'playlist') {
+            const playlist = this.getPlaylist(this.currentView.playlist);
+            trail.push({ label: playlist ? playlist.name : this.screenLabels.playlist, target: null });
+            return trail;
+        }
+
+        if (this.currentView.screen) {
+            trail.push({ label: this.screenLabels[this.currentView.screen], target: null });
+            return trail;
+        }
+
         if (this.currentView.paper) {
             const paper = this.getPaper(this.currentView.paper);
             if (paper) {
@@ -285,7 +821,11 @@ const AppState = {
     },
 
     /**
-     * Get course progress (completed/total lectures)
+     * Get course progress
+     * percent is weighted by duration and counts partly watched lectures;
+     * lectures of unknown length (PDFs, videos never opened) weigh as much
+     * as an average video of the course; images and documents, which have
+     * nothing to watch, only count once completed
      * @param {string} courseId
      * @returns {Object} { total, completed, percent }
      */
@@ -293,11 +833,74 @@ const AppState = {
         const lectures = await this.getLectures(courseId);
         const total = lectures.length;
         const completed = lectures.filter(l => l.completed).length;
-        const percent = total > 0 ? Math.round((completed / total) * 100) : 0;
+
+        const durations = lectures.map(l => l.duration).filter(d => d > 0);
+        const average = durations.length > 0 ? durations.reduce((sum, d) => sum + d, 0) / durations.length : 1;
+        let weight = 0;
+        let done = 0;
+        lectures.forEach(lecture => {
+            if ((lecture.type === 'image' || lecture.type === 'document') && !lecture.completed) return;
+            const w = lecture.duration > 0 ? lecture.duration : average;
+            weight += w;
+            done += w * this.getWatchedFraction(lecture);
+        });
+        const percent = weight > 0 ? Math.round((done / weight) * 100) : 0;
 
         return { total, completed, percent };
     },
 
+    /**
+     * How much of a lecture has been watched/read: time actually played over
+     * duration (video, audio), or pages viewed over page count (PDF).
+     * Seeking or jumping ahead doesn't count.
+     * @param {Object} lecture
+     * @returns {number} 0-1 (1 when completed; 0 if the length is unknown)
+     */
+    getWatchedFraction(lecture) {
+        if (lecture.completed) return 1;
+
+        const isPdf = lecture.type === 'pdf';
+        const done = isPdf ? (lecture.readPages || []).length : this.getPlayedSeconds(lecture);
+        const length = isPdf ? lecture.pageCount : lecture.duration;
+        return length > 0 ? Math.min(done / length, 1) : 0;
+    },
+
+    /**
+     * Seconds of a video/audio lecture actually played
+     * @param {Object} lecture
+     */
+    getPlayedSeconds(lecture) {
+        return (lecture.playedRanges || []).reduce((sum, [start, end]) => sum + end - start, 0);
+    },
+
+    /**
+     * Record a stretch of playback, merged into the lecture's played ranges
+     * @param {Object} lecture - Modified in place (not saved)
+     * @param {number} start - Seconds
+     * @param {number} end - Seconds
+     */
+    addPlayedRange(lecture, start, end) {
+        const ranges = [...(lecture.playedRanges || []), [start, end]].sort((a, b) => a[0] - b[0]);
+        const merged = [];
+        for (const [s, e] of ranges) {
+            const last = merged[merged.length - 1];
+            // Ranges a second apart are one stretch (timeupdate gaps)
+            if (last && s <= last[1] + 1) last[1] = Math.max(last[1], e);
+            else merged.push([s, e]);
+        }
+        lecture.playedRanges = merged.map(([s, e]) => [Math.round(s * 10) / 10, Math.round(e * 10) / 10]);
+    },
+
+    /**
+     * Record a PDF page as viewed
+     * @param {Object} lecture - Modified in place (not saved)
+     * @param {number} page
+     */
+    addReadPage(lecture, page) {
+        const pages = lecture.readPages || [];
+        if (!pages.includes(page)) lecture.readPages = [...pages, page].sort((a, b) => a - b);
+    },
+
     /**
      * Invalidate all caches (use after bulk operations)
      */
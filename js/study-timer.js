@@ -0,0 +1,273 @@
+/**
+ * UPSC Study Desk - Study Timer
+ * Records active study time per lecture and per day
+ *
+ * Time only counts while the tab is visible and:
+ *  - video/audio is playing, or
+ *  - for PDFs, images and documents, the window is focused and there
+ *    was mouse/keyboard/scroll activity in the last IDLE_TIMEOUT.
+ * Seconds are buffered in memory and written to the studyTime store
+ * ({ id: 'date:lectureId', date, lectureId, seconds }) every
+ * FLUSH_INTERVAL, when the tab is hidden, and when the lecture closes.
+ */
+
+const StudyTimer = {
+    // Check interval
+    TICK: 1000,
+
+    // No activity for this long = idle (non-playing lectures)
+    IDLE_TIMEOUT: 2 * 60 * 1000,
+
+    // How often buffered time is written
+    FLUSH_INTERVAL: 30 * 1000,
+
+    // Minimum tracked time for a day to count as studied
+    MIN_DAY_SECONDS: 5 * 60,
+
+    // Events that count as activity
+    ACTIVITY_EVENTS: ['mousemove', 'pointerdown', 'keydown', 'wheel', 'scroll', 'touchstart'],
+
+    initialized: false,
+    lectureId: null,
+    timer: null,
+    lastTick: 0,
+    lastFlush: 0,
+    lastActivity: 0,
+
+    // Buffered milliseconds per date (current lecture)
+    pending: {},
+
+    // Chain of database writes
+    writing: Promise.resolve(),
+
+    // Time on the current lecture today (stored + this session), in ms
+    todayMs: 0,
+
+    // Header display element
+    displayEl: null,
+
+    /**
+     * Listen for activity and page hide (once)
+     */
+    init() {
+        if (this.initialized) return;
+        this.initialized = true;
+
+        this.watchActivity(document);
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) this.flush();
+        });
+        window.addEventListener('pagehide', () => this.flush());
+    },
+
+    /**
+     * Count events on a target as activity (e.g., the PDF viewer iframe)
+     * @param {EventTarget} target
+     */
+    watchActivity(target) {
+        this.ACTIVITY_EVENTS.forEach(type => {
+            target.addEventListener(type, () => this.markActive(), { passive: true, capture: true });
+        });
+    },
+
+    markActive() {
+        this.lastActivity = Date.now();
+    },
+
+    /**
+     * Start timing a lecture (stops any previous one)
+     * @param {Object} lecture
+     */
+    async start(lecture) {
+        await this.stop();
+        this.init();
+
+        this.lectureId = lecture.id;
+        this.pending = {};
+        this.todayMs = 0;
+        this.lastTick = Date.now();
+        this.lastFlush = Date.now();
+        this.markActive();
+        this.timer = setInterval(() => this.tick(), this.TICK);
+
+        const record = await DB.get('studyTime', `${Revision.dateKey()}:${lecture.id}`);
+        if (this.lectureId === lecture.id && record) {
+            this.todayMs += record.seconds * 1000;
+            this.updateDisplay(this.isActive());
+        }
+    },
+
+    /**
+     * Stop timing and write buffered time
+     */
+    async stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        const writing = this.flush();
+        this.lectureId = null;
+        this.pending = {};
+        await writing;
+        this.displayEl = null;
+    },
+
+    /**
+     * Whether the current moment counts as study time
+     */
+    isActive() {
+        const lecture = StudyMode.currentLecture;
+        if (!lecture || document.hidden) return false;
+
+        if (FileSystem.isPlayable(lecture.type)) {
+            if (StudyMode.player) return StudyMode.player.playing;
+            const media = document.querySelector('.study-video');
+            return Boolean(media && !media.paused);
+        }
+
+        return document.hasFocus() && Date.now() - this.lastActivity < this.IDLE_TIMEOUT;
+    },
+
+    /**
+     * Add the time since the last tick if active
+     */
+    tick() {
+        const now = Date.now();
+        // Timers are throttled in the background; never count a long gap
+        const elapsed = Math.min(now - this.lastTick, this.TICK * 5);
+        this.lastTick = now;
+
+        const active = this.isActive();
+        if (active) {
+            const date = Revision.dateKey();
+            this.pending[date] = (this.pending[date] || 0) + elapsed;
+            this.todayMs += elapsed;
+        }
+        this.updateDisplay(active);
+
+        if (now - this.lastFlush >= this.FLUSH_INTERVAL) this.flush();
+    },
+
+    /**
+     * Write buffered time to the database
+     * Writes are chained so overlapping flushes can't lose an update.
+     */
+    flush() {
+        const lectureId = this.lectureId;
+        const pending = this.pending;
+        this.pending = {};
+        this.lastFlush = Date.now();
+        if (!lectureId) return this.writing;
+
+        // Keep sub-second remainders for the next flush
+        const seconds = {};
+        for (const [date, ms] of Object.entries(pending)) {
+            seconds[date] = Math.floor(ms / 1000);
+            const remainder = ms - seconds[date] * 1000;
+            if (remainder > 0) this.pending[date] = (this.pending[date] || 0) + remainder;
+        }
+
+        this.writing = this.writing
+            .then(() => this.write(lectureId, seconds))
+            .catch(err => console.error('[StudyTimer] Save error:', err));
+        return this.writing;
+    },
+
+    /**
+     * Add seconds to a lecture's per-day records
+     * @param {string} lectureId
+     * @param {Object} seconds - { date: seconds }
+     */
+    async write(lectureId, seconds) {
+        for (const [date, value] of Object.entries(seconds)) {
+            if (value === 0) continue;
+
+            const id = `${date}:${lectureId}`;
+            const record = await DB.get('studyTime', id) || { id, date, lectureId, seconds: 0 };
+            record.seconds += value;
+            record.updatedAt = new Date().toISOString();
+            await DB.put('studyTime', record);
+        }
+    },
+
+    /**
+     * Create the header display (time on this lecture today)
+     * @returns {HTMLElement}
+     */
+    createDisplay() {
+        this.displayEl = Utils.createElement('span', {
+            className: 'study-timer paused',
+            title: 'Active study time on this lecture today (pauses when idle)'
+        });
+        this.updateDisplay(false);
+        return this.displayEl;
+    },
+
+    /**
+     * Refresh the header display
+     */
+    updateDisplay(active) {
+        if (!this.displayEl) return;
+        this.displayEl.textContent = Utils.formatTime(this.todayMs / 1000);
+        this.displayEl.classList.toggle('paused', !active);
+    },
+
+    /**
+     * Tracked seconds per date
+     * @returns {Promise<Object>} { 'YYYY-MM-DD': seconds }
+     */
+    async getDayTotals() {
+        const totals = {};
+        for (const record of await DB.getAll('studyTime')) {
+            totals[record.date] = (totals[record.date] || 0) + record.seconds;
+        }
+        return totals;
+    },
+
+    /**
+     * Tracked seconds per paper since a date
+     * (time on lectures that no longer exist is left out)
+     * @param {string} since - Date key (inclusive)
+     * @returns {Promise<Array>} [{ paper, seconds }] most time first
+     */
+    async getPaperTotals(since) {
+        const [records, lectures, courses, providers] = await Promise.all([
+            DB.getAll('studyTime'),
+            DB.getAll('lectures'),
+            DB.getAll('courses'),
+            DB.getAll('providers')
+        ]);
+        const lectureById = new Map(lectures.map(l => [l.id, l]));
+        const courseById = new Map(courses.map(c => [c.id, c]));
+        const providerById = new Map(providers.map(p => [p.id, p]));
+
+        const byPaper = new Map();
+        for (const record of records) {
+            if (record.date < since) continue;
+
+            const lecture = lectureById.get(record.lectureId);
+            const course = lecture && courseById.get(lecture.courseId);
+            const provider = course && providerById.get(course.providerId);
+            const paper = provider && AppState.getPaper(provider.paperId);
+            if (!paper) continue;
+
+            byPaper.set(paper.id, {
+                paper,
+                seconds: (byPaper.has(paper.id) ? byPaper.get(paper.id).seconds : 0) + record.seconds
+            });
+        }
+
+        return Array.from(byPaper.values()).sort((a, b) => b.seconds - a.seconds);
+    },
+
+    /**
+     * Format seconds as hours and minutes (e.g., "1h 05m", "12m")
+     */
+    formatDuration(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        const h = Math.floor(minutes / 60);
+        const m = minutes % 60;
+        return h > 0 ? `${h}h ${String(m).padStart(2, '0')}m` : `${m}m`;
+    }
+};
+
+// Make StudyTimer globally available
+window.StudyTimer = StudyTimer;
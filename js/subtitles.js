@@ -0,0 +1,85 @@
+/**
+ * UPSC Study Desk - Subtitles
+ * Parses sidecar .srt/.vtt files into cues and builds WebVTT tracks
+ *
+ * Browsers only play WebVTT in <track>, so SRT files are parsed and
+ * re-written as VTT before being attached to the player.
+ */
+
+const Subtitles = {
+    /**
+     * Load a subtitle file as cues
+     * @param {FileSystemFileHandle} handle
+     * @returns {Promise<Array>} [{ start, end, text }] in seconds
+     */
+    async load(handle) {
+        const file = await handle.getFile();
+        return this.parse(await file.text());
+    },
+
+    /**
+     * Parse SRT or WebVTT text
+     * Cue numbers, VTT headers/NOTE blocks and cue settings are ignored.
+     * @param {string} text
+     * @returns {Array} [{ start, end, text }]
+     */
+    parse(text) {
+        const cues = [];
+        const blocks = text.replace(/^﻿/, '').replace(/\r\n?/g, '\n').split(/\n{2,}/);
+
+        for (const block of blocks) {
+            const lines = block.split('\n');
+            const timingIndex = lines.findIndex(line => line.includes('-->'));
+            if (timingIndex < 0) continue;
+
+            const [from, to] = lines[timingIndex].split('-->');
+            const start = this.parseTimestamp(from);
+            const end = this.parseTimestamp(to);
+            if (start === null || end === null) continue;
+
+            const cueText = lines.slice(timingIndex + 1).join('\n').trim();
+            if (cueText) cues.push({ start, end, text: cueText });
+        }
+
+        return cues.sort((a, b) => a.start - b.start);
+    },
+
+    /**
+     * Parse a cue timestamp
+     * @param {string} str - e.g., "00:01:02,500", "01:02.500" (settings after it are ignored)
+     * @returns {number|null} Seconds
+     */
+    parseTimestamp(str) {
+        const match = (str || '').trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2})[,.](\d{1,3})/);
+        if (!match) return null;
+
+        const [, h, m, s, ms] = match;
+        return (parseInt(h || '0') * 3600) + (parseInt(m) * 60) + parseInt(s) + parseInt(ms.padEnd(3, '0')) / 1000;
+    },
+
+    /**
+     * Write cues as a WebVTT document
+     * @param {Array} cues
+     * @returns {string}
+     */
+    toVtt(cues) {
+        const stamp = (seconds) => {
+            const ms = Math.round(seconds * 1000);
+            const pad = (n, width = 2) => String(n).padStart(width, '0');
+            return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}.${pad(ms % 1000, 3)}`;
+        };
+
+        return 'WEBVTT\n\n' + cues.map(cue => `${stamp(cue.start)} --> ${stamp(cue.end)}\n${cue.text}`).join('\n\n') + '\n';
+    },
+
+    /**
+     * Strip formatting tags from cue text (for the transcript)
+     * @param {string} text
+     */
+    toPlainText(text) {
+        return text.replace(/<[^>]+>/g, '').replace(/\{\\[^}]*\}/g, '').replace(/\s+/g, ' ').trim();
+    }
+};
+
+// Make Subtitles globally available
+window.Subtitles = Subtitles;
@@ -0,0 +1,253 @@
+/**
+ * UPSC Study Desk - Syllabus Map
+ * The official Prelims/GS1-GS4 syllabus as a topic tree, and coverage
+ *
+ * Lectures (videos, PDFs...) and notes are tagged with topic IDs:
+ *   lecture.syllabusTopics / note.syllabusTopics = ['gs2-polity-parliament', ...]
+ * Any node can be tagged; coverage rolls up from children to parents.
+ */
+
+const Syllabus = {
+    // Topic tree (condensed from the UPSC CSE notification)
+    TREE: [
+        {
+            id: 'pre', name: 'Prelims (GS Paper I)', children: [
+                { id: 'pre-current', name: 'Current events of national and international importance' },
+                { id: 'pre-history', name: 'History of India and Indian National Movement' },
+                { id: 'pre-geography', name: 'Indian and World Geography (physical, social, economic)' },
+                { id: 'pre-polity', name: 'Indian Polity and Governance (Constitution, Panchayati Raj, public policy, rights issues)' },
+                { id: 'pre-economy', name: 'Economic and Social Development (sustainable development, poverty, inclusion, demographics)' },
+                { id: 'pre-environment', name: 'Environmental ecology, biodiversity and climate change' },
+                { id: 'pre-science', name: 'General Science' },
+                {
+                    id: 'pre-csat', name: 'CSAT (GS Paper II)', children: [
+                        { id: 'pre-csat-comprehension', name: 'Comprehension' },
+                        { id: 'pre-csat-interpersonal', name: 'Interpersonal and communication skills' },
+                        { id: 'pre-csat-reasoning', name: 'Logical reasoning and analytical ability' },
+                        { id: 'pre-csat-decision', name: 'Decision making and problem solving' },
+                        { id: 'pre-csat-mental', name: 'General mental ability' },
+                        { id: 'pre-csat-numeracy', name: 'Basic numeracy and data interpretation' }
+                    ]
+                }
+            ]
+        },
+        {
+            id: 'gs1', name: 'GS1: Heritage, Culture, History and Geography', children: [
+                { id: 'gs1-culture', name: 'Indian culture: art forms, literature and architecture' },
+                { id: 'gs1-modern', name: 'Modern Indian history (mid-18th century to present)' },
+                { id: 'gs1-freedom', name: 'The Freedom Struggle: stages and contributors' },
+                { id: 'gs1-post', name: 'Post-independence consolidation and reorganization' },
+                { id: 'gs1-world', name: 'World history (industrial revolution, world wars, colonization, political philosophies)' },
+                { id: 'gs1-society', name: 'Salient features of Indian society and diversity' },
+                { id: 'gs1-women', name: 'Role of women, population, poverty, urbanization' },
+                { id: 'gs1-globalization', name: 'Effects of globalization on Indian society' },
+                { id: 'gs1-social', name: 'Social empowerment, communalism, regionalism and secularism' },
+                { id: 'gs1-physical', name: "Salient features of world's physical geography" },
+                { id: 'gs1-resources', name: 'Distribution of key natural resources and industry location factors' },
+                { id: 'gs1-phenomena', name: 'Geophysical phenomena (earthquakes, tsunami, volcanoes, cyclones)' }
+            ]
+        },
+        {
+            id: 'gs2', name: 'GS2: Governance, Constitution, Polity, Social Justice and IR', children: [
+                {
+                    id: 'gs2-polity', name: 'Constitution and Polity', children: [
+                        { id: 'gs2-polity-constitution', name: 'Constitution: evolution, features, amendments, basic structure' },
+                        { id: 'gs2-polity-federal', name: 'Union and States: federal structure, devolution to local levels' },
+                        { id: 'gs2-polity-separation', name: 'Separation of powers and dispute redressal' },
+                        { id: 'gs2-polity-comparison', name: 'Comparison with other countries' },
+                        { id: 'gs2-polity-parliament', name: 'Parliament and State Legislatures' },
+                        { id: 'gs2-polity-executive', name: 'Executive and Judiciary; pressure groups' },
+                        { id: 'gs2-polity-rpa', name: 'Representation of People’s Act' },
+                        { id: 'gs2-polity-bodies', name: 'Constitutional, statutory, regulatory and quasi-judicial bodies' }
+                    ]
+                },
+                {
+                    id: 'gs2-governance', name: 'Governance', children: [
+                        { id: 'gs2-governance-policies', name: 'Government policies and interventions' },
+                        { id: 'gs2-governance-development', name: 'Development processes: NGOs, SHGs, civil society' },
+                        { id: 'gs2-governance-transparency', name: 'Transparency, accountability, e-governance, citizens charters' },
+                        { id: 'gs2-governance-civil', name: 'Role of civil services in a democracy' }
+                    ]
+                },
+                {
+                    id: 'gs2-social', name: 'Social Justice', children: [
+                        { id: 'gs2-social-vulnerable', name: 'Welfare schemes for vulnerable sections' },
+                        { id: 'gs2-social-services', name: 'Health, education and human resources' },
+                        { id: 'gs2-social-poverty', name: 'Poverty and hunger' }
+                    ]
+                },
+                {
+                    id: 'gs2-ir', name: 'International Relations', children: [
+                        { id: 'gs2-ir-neighbourhood', name: 'India and its neighbourhood' },
+                        { id: 'gs2-ir-groupings', name: 'Bilateral, regional and global groupings' },
+                        { id: 'gs2-ir-policies', name: "Effect of other countries' policies; Indian diaspora" },
+                        { id: 'gs2-ir-institutions', name: 'International institutions and agencies' }
+                    ]
+                }
+            ]
+        },
+        {
+            id: 'gs3', name: 'GS3: Technology, Economy, Environment, Security', children: [
+                {
+                    id: 'gs3-economy', name: 'Indian Economy', children: [
+                        { id: 'gs3-economy-planning', name: 'Planning, mobilization of resources, growth and employment' },
+                        { id: 'gs3-economy-inclusive', name: 'Inclusive growth' },
+                        { id: 'gs3-economy-budgeting', name: 'Government budgeting' },
+                        { id: 'gs3-economy-agriculture', name: 'Agriculture: cropping, irrigation, subsidies, MSP, PDS' },
+                        { id: 'gs3-economy-food', name: 'Food processing and related industries' },
+                        { id: 'gs3-economy-land', name: 'Land reforms' },
+                        { id: 'gs3-economy-liberalization', name: 'Liberalization and industrial policy' },
+                        { id: 'gs3-economy-infrastructure', name: 'Infrastructure: energy, ports, roads, airports, railways' },
+                        { id: 'gs3-economy-investment', name: 'Investment models' }
+                    ]
+                },
+                {
+                    id: 'gs3-science', name: 'Science and Technology', children: [
+                        { id: 'gs3-science-developments', name: 'Developments and their applications in everyday life' },
+                        { id: 'gs3-science-indians', name: 'Achievements of Indians in science and technology' },
+                        { id: 'gs3-science-fields', name: 'IT, space, computers, robotics, nanotech, biotech, IPR' }
+                    ]
+                },
+                {
+                    id: 'gs3-environment', name: 'Environment and Disaster Management', children: [
+                        { id: 'gs3-environment-conservation', name: 'Conservation, pollution and EIA' },
+                        { id: 'gs3-environment-disaster', name: 'Disaster and disaster management' }
+                    ]
+                },
+                {
+                    id: 'gs3-security', name: 'Internal Security', children: [
+                        { id: 'gs3-security-extremism', name: 'Development and spread of extremism' },
+                        { id: 'gs3-security-actors', name: 'External state and non-state actors' },
+                        { id: 'gs3-security-cyber', name: 'Communication networks, media, social networks, cyber security' },
+                        { id: 'gs3-security-border', name: 'Border areas, organized crime and terrorism' },
+                        { id: 'gs3-security-forces', name: 'Security forces and agencies and their mandate' }
+                    ]
+                }
+            ]
+        },
+        {
+            id: 'gs4', name: 'GS4: Ethics, Integrity and Aptitude', children: [
+                { id: 'gs4-ethics', name: 'Ethics and Human Interface' },
+                { id: 'gs4-attitude', name: 'Attitude: content, structure, function' },
+                { id: 'gs4-aptitude', name: 'Aptitude and foundational values for civil service' },
+                { id: 'gs4-ei', name: 'Emotional intelligence' },
+                { id: 'gs4-thinkers', name: 'Contributions of moral thinkers and philosophers' },
+                { id: 'gs4-public', name: 'Public/civil service values and ethics in public administration' },
+                { id: 'gs4-probity', name: 'Probity in governance' },
+                { id: 'gs4-cases', name: 'Case studies' }
+            ]
+        }
+    ],
+
+    // id -> { topic, parentId, depth } (built on first use)
+    _index: null,
+
+    /**
+     * Topic lookup, built from TREE on first use
+     */
+    getIndex() {
+        if (!this._index) {
+            this._index = new Map();
+            const walk = (topics, parentId, depth) => topics.forEach(topic => {
+                this._index.set(topic.id, { topic, parentId, depth });
+                if (topic.children) walk(topic.children, topic.id, depth + 1);
+            });
+            walk(this.TREE, null, 0);
+        }
+        return this._index;
+    },
+
+    /**
+     * Get a topic by ID
+     * @returns {Object|null}
+     */
+    getTopic(id) {
+        const entry = this.getIndex().get(id);
+        return entry ? entry.topic : null;
+    },
+
+    /**
+     * Topic names from the paper down (e.g., ['GS2: ...', 'Constitution and Polity', 'Parliament...'])
+     */
+    getPath(id) {
+        const path = [];
+        let entry = this.getIndex().get(id);
+        while (entry) {
+            path.unshift(entry.topic.name);
+            entry = this.getIndex().get(entry.parentId);
+        }
+        return path;
+    },
+
+    /**
+     * All topics in tree order
+     * @returns {Array} [{ topic, depth }]
+     */
+    flatten() {
+        return Array.from(this.getIndex().values(), ({ topic, depth }) => ({ topic, depth }));
+    },
+
+    /**
+     * Drop IDs that aren't in the tree (and duplicates)
+     * @param {Array} ids
+     */
+    clean(ids) {
+        return Array.from(new Set(ids || [])).filter(id => this.getIndex().has(id));
+    },
+
+    /**
+     * Coverage of every topic, rolled up from its children
+     * (lectures in the trash are left out)
+     * @returns {Promise<Map>} id -> { lectures, notes, completed, status }
+     *   lectures/notes: tagged on the topic or below; completed: completed lectures
+     *   status: 'none' (no material) | 'material' | 'completed' (all tagged lectures completed)
+     */
+    async getCoverage() {
+        const [lectures, notes] = await Promise.all([DB.getAll('lectures'), DB.getAll('notes')]);
+        const lectureById = new Map(lectures.map(l => [l.id, l]));
+
+        const direct = new Map();
+        const add = (id, kind, item) => {
+            if (!direct.has(id)) direct.set(id, { lectures: [], notes: [] });
+            direct.get(id)[kind].push(item);
+        };
+
+        lectures.forEach(lecture => {
+            this.clean(lecture.syllabusTopics).forEach(id => add(id, 'lectures', lecture));
+        });
+        notes.forEach(note => {
+            const lecture = lectureById.get(note.lectureId);
+            if (!lecture) return;
+            this.clean(note.syllabusTopics).forEach(id => add(id, 'notes', { note, lecture }));
+        });
+
+        const coverage = new Map();
+        const collect = (topic) => {
+            const own = direct.get(topic.id) || { lectures: [], notes: [] };
+            const lectureSet = new Map(own.lectures.map(l => [l.id, l]));
+            const noteSet = new Map(own.notes.map(n => [n.note.id, n]));
+
+            (topic.children || []).forEach(child => {
+                const sub = collect(child);
+                sub.lectures.forEach(l => lectureSet.set(l.id, l));
+                sub.notes.forEach(n => noteSet.set(n.note.id, n));
+            });
+
+            const tagged = Array.from(lectureSet.values());
+            const completed = tagged.filter(l => l.completed).length;
+            let status = 'none';
+            if (tagged.length > 0 && completed === tagged.length) status = 'completed';
+            else if (tagged.length > 0 || noteSet.size > 0) status = 'material';
+
+            const result = { lectures: tagged, notes: Array.from(noteSet.values()), completed, status };
+            coverage.set(topic.id, result);
+            return result;
+        };
+        this.TREE.forEach(collect);
+
+        return coverage;
+    }
+};
+
+// Make Syllabus globally available
+window.Syllabus = Syllabus;
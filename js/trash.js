@@ -0,0 +1,237 @@
+/**
+ * UPSC Study Desk - Trash Module
+ * Soft delete for providers, courses and lectures removed by sync
+ *
+ * Trashed records keep their IDs, so notes, bookmarks, annotations and
+ * flashcards (stored by lectureId) reconnect on restore. They are only
+ * deleted for good when the trash entry is purged (after 30 days or by hand).
+ */
+
+const Trash = {
+    // Days a trashed item can be restored
+    RETENTION_DAYS: 30,
+
+    // Record store per kind
+    storeFor: {
+        provider: 'providers',
+        course: 'courses',
+        lecture: 'lectures'
+    },
+
+    /**
+     * Move a record to the trash
+     * @param {string} kind - 'provider', 'course' or 'lecture'
+     * @param {Object} record - Record as stored in its own store
+     * @param {string} batchId - Groups items deleted together (one sync)
+     * @param {Object|null} paper - Paper record deleted along with a provider
+     *   (recreated if the provider is restored)
+     */
+    async add(kind, record, batchId, paper = null) {
+        await DB.put('trash', {
+            id: record.id,
+            kind: kind,
+            record: record,
+            batchId: batchId,
+            ...(paper ? { paper } : {}),
+            deletedAt: new Date().toISOString()
+        });
+        await DB.delete(this.storeFor[kind], record.id);
+    },
+
+    /**
+     * Get all trash entries, newest first
+     * @returns {Promise<Array>}
+     */
+    async getAll() {
+        const items = await DB.getAll('trash');
+        return items.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+    },
+
+    /**
+     * Count trash entries
+     */
+    async count() {
+        return await DB.count('trash');
+    },
+
+    /**
+     * Days left before an entry is purged
+     * @param {Object} item - Trash entry
+     * @returns {number}
+     */
+    getDaysLeft(item) {
+        const age = (Date.now() - new Date(item.deletedAt).getTime()) / (24 * 60 * 60 * 1000);
+        return Math.max(0, Math.ceil(this.RETENTION_DAYS - age));
+    },
+
+    /**
+     * Get the parent ID of a trashed record
+     */
+    getParentId(item) {
+        if (item.kind === 'lecture') return item.record.courseId;
+        if (item.kind === 'course') return item.record.providerId;
+        return null;
+    },
+
+    /**
+     * Restore an entry, its trashed ancestors, and anything
+     * trashed beneath it in the same batch
+     * @param {string} id - Trash entry ID (= record ID)
+     * @returns {Promise<number>} Number of records restored
+     */
+    async restore(id) {
+        const items = await this.getAll();
+        const byId = new Map(items.map(item => [item.id, item]));
+        const item = byId.get(id);
+        if (!item) return 0;
+
+        const toRestore = new Set([item]);
+
+        // Ancestors (a lecture needs its course, a course its provider)
+        let parentId = this.getParentId(item);
+        while (parentId && byId.has(parentId)) {
+            const parent = byId.get(parentId);
+            toRestore.add(parent);
+            parentId = this.getParentId(parent);
+        }
+
+        // Descendants from the same batch
+        let added = true;
+        while (added) {
+            added = false;
+            for (const other of items) {
+                if (toRestore.has(other) || other.batchId !== item.batchId) continue;
+                const parent = byId.get(this.getParentId(other));
+                if (parent && toRestore.has(parent)) {
+                    toRestore.add(other);
+                    added = true;
+                }
+            }
+        }
+
+        // Parent must exist somewhere to restore into
+        const rootItem = Array.from(toRestore).find(i => !toRestore.has(byId.get(this.getParentId(i))));
+        const rootParentId = this.getParentId(rootItem);
+        const recreatePaper = rootItem.kind === 'provider' && !AppState.getPaper(rootItem.record.paperId);
+        if (recreatePaper && !rootItem.paper) {
+            throw new Error('Its paper no longer exists');
+        }
+        if (rootParentId && !(await DB.get(rootItem.kind === 'lecture' ? 'courses' : 'providers', rootParentId))) {
+            throw new Error('Its parent folder is no longer in the library');
+        }
+
+        // Paper deleted from Manage Papers: bring it back (and stop ignoring its folders)
+        if (recreatePaper) {
+            const { paper } = rootItem;
+            await DB.put('papers', paper);
+            for (const name of [paper.name, paper.fullName, ...(paper.folderNames || [])].filter(Boolean)) {
+                await AppState.setPaperFolderIgnored(name, false);
+            }
+            await AppState.refreshPapers();
+            console.log(`[Trash] Recreated paper "${paper.name}"`);
+        }
+
+        for (const entry of toRestore) {
+            await DB.put(this.storeFor[entry.kind], entry.record);
+            await DB.delete('trash', entry.id);
+        }
+
+        AppState.invalidateCache();
+        console.log(`[Trash] Restored ${toRestore.size} item(s)`);
+        return toRestore.size;
+    },
+
+    /**
+     * Drop a trash entry after its record was restored by sync
+     * @param {string} id
+     */
+    async release(id) {
+        await DB.delete('trash', id);
+    },
+
+    /**
+     * Permanently delete an entry and its trashed descendants,
+     * along with lecture notes, bookmarks, annotations, flashcards and PDF index
+     * @param {string} id
+     */
+    async purge(id) {
+        const items = await this.getAll();
+        const doomed = new Set([id]);
+
+        let added = true;
+        while (added) {
+            added = false;
+            for (const item of items) {
+                if (!doomed.has(item.id) && doomed.has(this.getParentId(item))) {
+                    doomed.add(item.id);
+                    added = true;
+                }
+            }
+        }
+
+        for (const item of items) {
+            if (!doomed.has(item.id)) continue;
+            if (item.kind === 'lecture') await this.deleteLectureData(item.id);
+            if (item.kind === 'course') await this.deleteCourseData(item.id);
+            await DB.delete('trash', item.id);
+        }
+    },
+
+    /**
+     * Delete everything attached to a lecture
+     * @param {string} lectureId
+     */
+    async deleteLectureData(lectureId) {
+        for (const storeName of ['notes', 'annotations', 'bookmarks', 'flashcards']) {
+            const records = await DB.getByIndex(storeName, 'lectureId', lectureId);
+            for (const record of records) {
+                await DB.delete(storeName, record.id);
+            }
+        }
+        await PdfIndexer.remove(lectureId);
+    },
+
+    /**
+     * Delete everything attached to a course
+     * @param {string} courseId
+     */
+    async deleteCourseData(courseId) {
+        await DB.delete('plans', courseId);
+        await DB.delete('courseSettings', courseId);
+    },
+
+    /**
+     * Permanently delete entries older than the retention period
+     * @returns {Promise<number>} Number of entries purged
+     */
+    async purgeExpired() {
+        const cutoff = new Date(Date.now() - this.RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+        const items = await this.getAll();
+        let purged = 0;
+
+        for (const item of items) {
+            if (item.deletedAt < cutoff) {
+                await this.purge(item.id);
+                purged++;
+            }
+        }
+
+        if (purged > 0) console.log(`[Trash] Purged ${purged} expired item(s)`);
+        return purged;
+    },
+
+    /**
+     * Permanently delete everything in the trash
+     */
+    async empty() {
+        const items = await this.getAll();
+        for (const item of items) {
+            if (item.kind === 'lecture') await this.deleteLectureData(item.id);
+            if (item.kind === 'course') await this.deleteCourseData(item.id);
+        }
+        await DB.clear('trash');
+    }
+};
+
+// Make Trash globally available
+window.Trash = Trash;
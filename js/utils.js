@@ -93,6 +93,31 @@ const Utils = {
      */
     capitalize(str) {
         return str.replace(/\b\w/g, char => char.toUpperCase());
+    },
+
+    /**
+     * Format seconds as a clock timestamp
+     * @param {number} seconds - e.g., 754
+     * @returns {string} - e.g., "12:34" (or "1:02:03" past an hour)
+     */
+    formatTime(seconds) {
+        const total = Math.max(0, Math.floor(seconds || 0));
+        const h = Math.floor(total / 3600);
+        const m = Math.floor((total % 3600) / 60);
+        const s = total % 60;
+        const pad = n => String(n).padStart(2, '0');
+
+        return h > 0 ? `${h}:${pad(m)}:${pad(s)}` : `${pad(m)}:${pad(s)}`;
+    },
+
+    /**
+     * Parse a clock timestamp back into seconds
+     * @param {string} str - e.g., "12:34" or "1:02:03"
+     * @returns {number|null} Seconds, or null if not a timestamp
+     */
+    parseTime(str) {
+        if (!/^\d{1,2}(:\d{2}){1,2}$/.test(str)) return null;
+        return str.split(':').reduce((acc, part) => acc * 60 + parseInt(part, 10), 0);
     }
 };
 
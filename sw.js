@@ -1,11 +1,12 @@
 // UPSC Pro Service Worker - v3.0
 // Advanced caching with offline fallback
 
-const CACHE_NAME = 'upsc-pro-v3.1';
+const CACHE_NAME = 'upsc-pro-v3.2';
 const OFFLINE_URL = '/offline.html';
 
 // Core files to cache immediately
-'./',
+const PRECACHE_URLS = [
+    './',
     'index.html',
     'offline.html',
     'guide.html',
@@ -17,31 +18,61 @@ const OFFLINE_URL = '/offline.html';
     'js/invariants.js',
     'js/state.js',
     'js/file-system.js',
+    'js/trash.js',
+    'js/folder-watcher.js',
+    'js/search.js',
+    'js/pdf-indexer.js',
+    'js/document-reader.js',
+    'js/subtitles.js',
     'js/app.js',
     'js/vendor/plyr.js',
     'js/vendor/pdf.min.js',
+    'js/vendor/pdf.worker.min.js',
     'js/components/sidebar.js',
     'js/components/breadcrumb.js',
     'js/components/modal.js',
+    'js/components/dialog.js',
+    'js/components/sync-preview.js',
+    'js/components/trash-view.js',
+    'js/components/paper-manager.js',
+    'js/components/search-box.js',
     'js/components/drop-zone.js',
     'js/components/provider-list.js',
     'js/components/course-list.js',
     'js/components/lecture-list.js',
+    'js/components/notes-panel.js',
+    'js/components/pdf-annotations.js',
+    'js/components/video-bookmarks.js',
+    'js/components/transcript-panel.js',
     'js/components/study-mode.js',
     'js/components/export.js',
     'js/keyboard-shortcuts.js',
     'js/pwa-install.js',
     'js/analytics.js',
+    'js/study-timer.js',
+    'js/focus-session.js',
+    'js/planner.js',
+    'js/exams.js',
+    'js/syllabus.js',
+    'js/collections.js',
+    'js/course-settings.js',
     'js/components/analytics-dashboard.js',
+    'js/revision.js',
+    'js/components/revision-queue.js',
+    'js/components/study-planner.js',
+    'js/components/exam-countdown.js',
+    'js/components/syllabus-map.js',
+    'js/components/playlist-view.js',
+    'js/flashcards.js',
+    'js/components/flashcard-review.js',
     'assets/logo.png',
     'assets/icons/icon-512.png',
     'assets/phosphor/duotone/style.css',
-    'assets/phosphor/src/bold/style.css',
-    'assets/phosphor/src/duotone/style.css',
-    'assets/phosphor/src/fill/style.css',
-    'assets/phosphor/src/light/style.css',
-    'assets/phosphor/src/regular/style.css',
-    'assets/phosphor/src/thin/style.css'
+    'assets/phosphor/bold/style.css',
+    'assets/phosphor/fill/style.css',
+    'assets/phosphor/light/style.css',
+    'assets/phosphor/regular/style.css',
+    'assets/phosphor/thin/style.css'
 ];
 
 // Install - Precache core files